@@ -2,6 +2,27 @@
 
 const Joi = require('../');
 
+
+const internals = {};
+
+
+internals.nested = function () {
+
+    return Joi.object({
+        id: Joi.string().required(),
+        user: Joi.object({
+            name: Joi.string().min(2).max(50).required(),
+            age: Joi.number().integer().min(0),
+            tags: Joi.array().items(Joi.string())
+        }).required(),
+        meta: Joi.object({
+            created: Joi.number().required(),
+            updated: Joi.number().min(Joi.ref('created'))
+        })
+    });
+};
+
+
 module.exports = [
     [
         'Simple object',
@@ -37,6 +58,47 @@ module.exports = [
             return schema.validate(value);
         }
     ],
+    [
+        'Simple object with inlined prefs compiled',
+        () => [
+            Joi.compileValidator(Joi.object({
+                id: Joi.string().required(),
+                level: Joi.string()
+                    .valid('debug', 'info', 'notice')
+                    .required()
+            }).unknown(false).prefs({ convert: false })),
+            { id: '1', level: 'info' },
+            { id: '2', level: 'warning' }
+        ],
+        (validate, value) => {
+
+            return validate(value);
+        }
+    ],
+    [
+        'Nested object',
+        () => [
+            internals.nested(),
+            { id: '1', user: { name: 'john', age: 32, tags: ['a', 'b'] }, meta: { created: 5, updated: 10 } },
+            { id: '1', user: { name: 'john', age: -1, tags: ['a', 'b'] }, meta: { created: 5, updated: 1 } }
+        ],
+        (schema, value) => {
+
+            return schema.validate(value);
+        }
+    ],
+    [
+        'Nested object compiled',
+        () => [
+            Joi.compileValidator(internals.nested()),
+            { id: '1', user: { name: 'john', age: 32, tags: ['a', 'b'] }, meta: { created: 5, updated: 10 } },
+            { id: '1', user: { name: 'john', age: -1, tags: ['a', 'b'] }, meta: { created: 5, updated: 1 } }
+        ],
+        (validate, value) => {
+
+            return validate(value);
+        }
+    ],
     [
         'JSON object',
         () => [
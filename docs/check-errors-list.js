@@ -9,8 +9,7 @@ const Messages = require('../lib/messages');
 const internals = {
     API: Fs.readFileSync(Path.join(__dirname, '../API.md'), 'utf8'),
     startString: '<!-- errors -->',
-    endString: '<!-- errorsstop -->',
-    ignoredCodes: ['root']
+    endString: '<!-- errorsstop -->'
 };
 
 
@@ -27,22 +26,13 @@ internals.parseTitles = function (markdown) {
 };
 
 
-internals.checkMissing = function (titles) {
-
-    return Object.keys(Messages.errors)
-        .filter((code) => !internals.ignoredCodes.includes(code))
-        .filter((code) => !titles.includes(code))
-        .sort();
-};
-
-
 internals.updateTable = function () {
 
     const start = internals.API.indexOf(internals.startString);
     const end = internals.API.indexOf(internals.endString);
     const errorSection = internals.API.substring(start, end);
     const titles = internals.parseTitles(errorSection);
-    const missing = internals.checkMissing(titles);
+    const missing = Messages.missing(titles);
     if (missing.length) {
         console.log(`Missing:
 ${missing.map((m) => `#### \`${m}\`
@@ -9,7 +9,9 @@ let Messages;
 let Schemas;
 
 
-const internals = {};
+const internals = {
+    suggestLength: 100                          // Longer strings are not compared against the candidates
+};
 
 
 exports.version = Pkg.version;
@@ -19,19 +21,29 @@ exports.defaults = {
     abortEarly: true,
     allowUnknown: false,
     cache: true,
+    changes: false,
     context: null,
     convert: true,
     dateFormat: 'iso',
+    debug: false,
     errors: {
         escapeHtml: false,
         language: null,
+        limit: Infinity,
+        pathFormat: 'array',
+        suggest: false,
         wrapArrays: true
     },
     // externals: true,                         // Defaults to semi-true (collect but not execute)
+    maxDepth: Infinity,
+    maxItems: Infinity,
+    maxKeys: Infinity,
+    maxStringLength: Infinity,
     messages: {},
     nonEnumerables: false,
     noDefaults: false,
     presence: 'optional',
+    sensitive: false,
     skipFunctions: false,
     stripUnknown: false,
     warnings: false
@@ -51,6 +63,14 @@ exports.symbols = {
 };
 
 
+exports.abort = function (errors, prefs) {
+
+    // Stop collecting errors on the first error or once over the errors limit (to report the truncation)
+
+    return prefs.abortEarly || errors.length > prefs.errors.limit;
+};
+
+
 exports.alias = function (Class, aliases) {
 
     for (const [from, to] of aliases) {
@@ -197,6 +217,42 @@ exports.preferences = function (target, source) {
 };
 
 
+exports.suggest = function (local, value, candidates, prefs) {
+
+    // Closest case-insensitive candidate within an edit distance of a third of the value length
+
+    if (!prefs.errors.suggest ||
+        typeof value !== 'string' ||
+        value.length > internals.suggestLength) {
+
+        return local;
+    }
+
+    const lower = value.toLowerCase();
+    let max = Math.floor(value.length / 3);
+    for (const candidate of candidates) {
+        if (typeof candidate !== 'string') {
+            continue;
+        }
+
+        // The length difference is the minimum distance
+
+        const other = candidate.toLowerCase();
+        if (Math.abs(other.length - lower.length) > max) {
+            continue;
+        }
+
+        const distance = internals.distance(lower, other);
+        if (distance <= max) {
+            local.suggestion = candidate;
+            max = distance - 1;
+        }
+    }
+
+    return local;
+};
+
+
 exports.tryWithPath = function (fn, key, options = {}) {
 
     try {
@@ -225,3 +281,37 @@ exports.verifyFlat = function (args, method) {
         Hoek.assert(!Array.isArray(arg), 'Method no longer accepts array arguments:', method);
     }
 };
+
+
+internals.distance = function (a, b) {
+
+    // Optimal string alignment distance (Levenshtein with adjacent transpositions)
+
+    let previous = null;
+    let last = [];
+    for (let i = 0; i <= b.length; ++i) {
+        last.push(i);
+    }
+
+    for (let i = 1; i <= a.length; ++i) {
+        const row = [i];
+        for (let j = 1; j <= b.length; ++j) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(last[j] + 1, row[j - 1] + 1, last[j - 1] + cost);
+            if (i > 1 &&
+                j > 1 &&
+                a[i - 1] === b[j - 2] &&
+                a[i - 2] === b[j - 1]) {
+
+                distance = Math.min(distance, previous[j - 2] + 1);
+            }
+
+            row.push(distance);
+        }
+
+        previous = last;
+        last = row;
+    }
+
+    return last[b.length];
+};
@@ -0,0 +1,425 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+
+const Common = require('./common');
+const Validator = require('./validator');
+
+
+const internals = {};
+
+
+exports.compile = function (schema, prefs) {
+
+    const settings = Validator.settings(prefs);
+    Hoek.assert(!settings.debug, 'Cannot compile a validator with debug enabled');
+    Hoek.assert(!settings.changes, 'Cannot compile a validator with changes enabled');
+
+    const compiler = new internals.Compiler();
+    const root = compiler.node(schema, settings);
+    const validate = compiler.generate(root);
+
+    return function (value) {
+
+        return Validator.run(value, schema, settings, validate);
+    };
+};
+
+
+internals.Compiler = class {
+
+    constructor() {
+
+        this.schemas = [];
+        this.prefs = [];
+        this.tests = [];
+        this.code = [];
+    }
+
+    node(schema, prefs) {
+
+        const id = this.schemas.length;
+        this.schemas.push(schema);
+        this.tests.push(schema._tests);
+
+        if (!internals.supported(schema)) {
+            this.prefs.push(prefs);                                 // Merged with the schema preferences by exports.validate()
+            this.fallback(id);
+            return id;
+        }
+
+        this.prefs.push(schema._preferences ? Common.preferences(prefs, schema._preferences) : prefs);
+        this.specialize(id);
+        return id;
+    }
+
+    generate(root) {
+
+        const source = [
+            ...this.schemas.map((schema, id) => `const s${id} = S[${id}], p${id} = P[${id}], t${id} = T[${id}];`),
+            ...this.code,
+            `return function (value, schema, state) { return v${root}(value, state.path, state.ancestors, state); };`
+        ].join('\n');
+
+        const factory = new Function('S', 'P', 'T', 'R', source);
+        return factory(this.schemas, this.prefs, this.tests, internals.runtime);
+    }
+
+    // Validate using the generic pipeline (the parent state is rebuilt to match exports.validate() input)
+
+    fallback(id) {
+
+        this.code.push(
+            `function v${id}(value, path, ancestors, state) {`,
+            `    return s${id}._validate(value, { path, ancestors, mainstay: state.mainstay, flags: state.flags, schemas: state.schemas }, p${id});`,
+            `}`
+        );
+    }
+
+    // Unroll exports.validate() for the schema, resolving all preference checks at compile time
+
+    specialize(id) {
+
+        const schema = this.schemas[id];
+        const prefs = this.prefs[id];
+        const children = internals.inline(schema) ? schema._inners.keys.map((child) => this.node(child.schema, prefs)) : null;
+
+        const s = `s${id}`;
+        const p = `p${id}`;
+        const code = [];
+        const line = (...lines) => code.push(...lines.map((item) => `    ${item}`));
+        const fail = (errors) => `return f${id}(value, original, ${errors}, state);`;
+
+        code.push(`function v${id}(value, path, ancestors, parent) {`);
+        line(`const state = { path, ancestors, mainstay: parent.mainstay, flags: ${s}._flags, schemas: [${s}, ...parent.schemas] };`);
+        line('const original = value;');
+
+        // Size limits
+
+        const limited = internals.limited(prefs);
+        if (limited) {
+            line(`const limited = R.limits(value, ${s}, state, ${p});`);
+            line(`if (limited) { ${fail('[limited]')} }`);
+        }
+
+        // Type coercion
+
+        if (schema._coerce &&
+            prefs.convert) {
+
+            line(schema._coerce.type ? `if (typeof value === '${schema._coerce.type}') {` : '{');
+            line(`    const coerced = ${s}._coerce(value, state, ${p});`);
+            line('    if (coerced) {');
+            line('        if (coerced.errors) {');
+            line(`            return f${id}(coerced.value, original, [].concat(coerced.errors), state);`);
+            line('        }');
+            if (limited) {
+                line(`        const limit = R.limits(coerced.value, ${s}, state, ${p});`);
+                line(`        if (limit) { return f${id}(coerced.value, original, [limit], state); }`);
+            }
+
+            line('        value = coerced.value;');
+            line('    }');
+            line('}');
+        }
+
+        // Presence requirements
+
+        const presence = schema._flags.presence;                   // Always set since schemas default to required
+        if (presence === 'forbidden') {
+            line(`if (value === undefined) { ${fail('null')} }`);
+            line(fail(`[${s}.createError('any.unknown', value, null, state, ${p})]`));
+            code.push('}');
+            this.finalize(id, code);
+            return;
+        }
+
+        if (presence === 'required') {
+            line(`if (value === undefined) { ${fail(`[${s}.createError('any.required', value, null, state, ${p})]`)} }`);
+        }
+        else if (schema._type !== 'object' ||
+            schema._flags.default !== Common.symbols.deepDefault) {
+
+            line(`if (value === undefined) { ${fail('null')} }`);
+        }
+        else {
+            line('if (value === undefined) { value = {}; }');
+        }
+
+        line('const errors = [];');
+
+        // Allowed values
+
+        const insensitive = !!schema._flags.insensitive;
+
+        if (schema._valids) {
+            line(`const match = ${s}._valids.get(value, state, ${p}, ${insensitive});`);
+            line(`if (match) { ${prefs.convert ? 'value = match.value; ' : ''}${fail('null')} }`);
+
+            if (schema._flags.only) {
+                line(`const valids = ${s}._valids.values({ stripUndefined: true });`);
+                line(`errors.push(${s}.createError('any.only', value, ${prefs.errors.suggest ? `R.suggest({ valids }, value, valids, ${p})` : '{ valids }'}, state, ${p}));`);
+                if (prefs.abortEarly) {
+                    line(fail('errors'));
+                    code.push('}');
+                    this.finalize(id, code);
+                    return;
+                }
+            }
+        }
+
+        // Denied values
+
+        if (schema._invalids) {
+            line(`if (${s}._invalids.has(value, state, ${p}, ${insensitive})) {`);
+            line(`    errors.push(${s}.createError(value === '' ? 'any.empty' : 'any.invalid', value, { invalids: ${s}._invalids.values({ stripUndefined: true }) }, state, ${p}));`);
+            if (prefs.abortEarly) {
+                line(`    ${fail('errors')}`);
+            }
+
+            line('}');
+        }
+
+        // Base type
+
+        if (children) {
+            this.object(id, children, line, fail);
+        }
+        else if (schema._base) {
+            line(`const base = ${s}._base(value, state, ${p});`);
+            line('if (base) {');
+            line('    value = base.value;');
+            line('    if (base.errors) {');
+            line('        if (!Array.isArray(base.errors)) {');
+            line('            errors.push(base.errors);');
+            line(`            ${fail('errors')}`);
+            line('        }');
+            line('        if (base.errors.length) {');
+            line('            errors.push(...base.errors);');
+            line(`            ${fail('errors')}`);
+            line('        }');
+            line('    }');
+            line('}');
+        }
+
+        // Validate tests
+
+        this.rules(id, line, fail);
+
+        line(fail('errors'));
+        code.push('}');
+        this.finalize(id, code);
+    }
+
+    object(id, children, line, fail) {
+
+        const schema = this.schemas[id];
+        const prefs = this.prefs[id];
+        const s = `s${id}`;
+        const p = `p${id}`;
+
+        line(`if (!value || typeof value !== 'object' || Array.isArray(value)) {`);
+        line(`    errors.push(${s}.createError('object.base', value, null, state, ${p}));`);
+        line(`    ${fail('errors')}`);
+        line('}');
+
+        line(prefs.nonEnumerables ? 'value = R.Hoek.clone(value, { shallow: true });' : 'value = Object.assign(Object.create(Object.getPrototypeOf(value)), value);');
+
+        const stripUnknown = prefs.stripUnknown ? (prefs.stripUnknown === true ? true : !!prefs.stripUnknown.objects) : false;
+        const filterUnknown = prefs.stripUnknown && !schema._flags.unknown || prefs.skipFunctions;
+        const forbidUnknown = !Common.default(schema._flags.unknown, prefs.allowUnknown);
+        const unknown = filterUnknown || forbidUnknown;
+
+        line('const count = errors.length;');
+        if (unknown) {
+            line('const unprocessed = new Set(Object.keys(value));');
+        }
+
+        line('const keys = [value, ...ancestors];');
+
+        for (let i = 0; i < children.length; ++i) {
+            const key = JSON.stringify(schema._inners.keys[i].key);
+            const child = this.schemas[children[i]];
+
+            line('{');
+            line(`    const item = value[${key}];`);
+            if (unknown) {
+                line(`    unprocessed.delete(${key});`);
+            }
+
+            line(`    const result = v${children[i]}(item, [...path, ${key}], keys, state);`);
+            line('    if (result.errors) {');
+            line('        errors.push(...result.errors);');
+            this.abort(id, '        ', line, fail);
+            line('    }');
+            if (child._flags.result === 'strip') {
+                line(`    else { delete value[${key}]; }`);
+            }
+            else {
+                line(`    else if (result.value === undefined && item !== undefined) { delete value[${key}]; }`);
+                line(`    else if (result.value !== undefined) { value[${key}] = result.value; }`);
+            }
+
+            line('}');
+        }
+
+        if (unknown) {
+            line('if (unprocessed.size) {');
+            if (filterUnknown) {
+                line('    for (const key of unprocessed) {');
+                line(stripUnknown ? '        delete value[key]; unprocessed.delete(key);' : `        if (typeof value[key] === 'function') { unprocessed.delete(key); }`);
+                line('    }');
+            }
+
+            if (forbidUnknown) {
+                line('    for (const key of unprocessed) {');
+                const local = prefs.errors.suggest ? `R.suggest({ child: key }, key, ${JSON.stringify(schema._inners.keys.map((child) => child.key))}, ${p})` : '{ child: key }';
+                line(`        errors.push(${s}.createError('object.unknown', value[key], ${local}, { path: [...path, key], ancestors: [], mainstay: state.mainstay, flags: {}, schemas: state.schemas }, ${p}));`);
+                this.abort(id, '        ', line, fail);
+                line('    }');
+            }
+
+            line('}');
+        }
+
+        line(`if (errors.length > count) { ${fail('errors')} }`);
+    }
+
+    // Mirrors Common.abort() for collected child errors
+
+    abort(id, indent, line, fail) {
+
+        const prefs = this.prefs[id];
+
+        if (prefs.abortEarly) {
+            line(`${indent}${fail('errors')}`);
+        }
+        else if (prefs.errors.limit !== Infinity) {
+            line(`${indent}if (errors.length > ${prefs.errors.limit}) { ${fail('errors')} }`);
+        }
+    }
+
+    rules(id, line, fail) {
+
+        const schema = this.schemas[id];
+        const prefs = this.prefs[id];
+        const s = `s${id}`;
+        const p = `p${id}`;
+
+        const tests = schema._tests.map((test, i) => ({ test, i })).filter(({ test }) => !test.rule || !test.rule.convert || !prefs.convert);
+        if (!tests.length) {
+            return;
+        }
+
+        line(`const helpers = { prefs: ${p}, schema: ${s}, state, error: (code, local, localState) => ${s}.createError(code, value, local, localState || state, ${p}) };`);
+
+        for (const { test, i } of tests) {
+            const t = `t${id}[${i}]`;
+
+            line('{');
+            line('    let ret;');
+            if (test.func) {
+                line(`    ret = ${t}.func.call(${s}, value, state, ${p});`);
+            }
+            else if (!test.rule.resolve.length) {
+                line(`    ret = ${s}._rules[${JSON.stringify(test.rule.rule)}](value, helpers, ${t}.rule.args, ${t}.rule);`);
+            }
+            else {
+                line(`    const rule = ${t}.rule;`);
+                line('    const args = Object.assign({}, rule.args);');
+                line('    for (const key of rule.resolve) {');
+                line('        const resolver = rule.refs[key];');
+                line(`        const resolved = args[key].resolve(value, state, ${p});`);
+                line('        const normalized = resolver.normalize ? resolver.normalize(resolved) : resolved;');
+                line('        if (!resolver.assert(normalized)) {');
+                line(`            ret = ${s}.createError(resolver.code, R.resolved(args[key], resolved, state), { ref: args[key] }, state, ${p});`);
+                line('            break;');
+                line('        }');
+                line('        args[key] = normalized;');
+                line('    }');
+                line(`    ret = ret || ${s}._rules[rule.rule](value, helpers, args, rule);`);
+            }
+
+            line(`    const result = R.rule(ret, ${t});`);
+            line('    if (result.errors) {');
+            if (test.warn) {
+                line('        state.mainstay.warnings.push(...result.errors);');
+            }
+            else {
+                line('        errors.push(...result.errors);');
+                this.abort(id, '        ', line, fail);
+            }
+
+            line('    }');
+            line('    else { value = result.value; }');
+            line('}');
+        }
+    }
+
+    finalize(id, code) {
+
+        const schema = this.schemas[id];
+        const prefs = this.prefs[id];
+
+        this.code.push(...code);
+
+        if (!internals.plain(schema, prefs)) {
+            this.code.push(`function f${id}(value, original, errors, state) { return R.finalize(value, s${id}, original, errors, state, p${id}); }`);
+            return;
+        }
+
+        this.code.push(`function f${id}(value, original, errors) { return { value, errors: errors && errors.length ? errors : null }; }`);
+    }
+};
+
+
+internals.runtime = {
+    Hoek,
+    finalize: Validator.finalize,
+    limits: Validator.limits,
+    resolved: Validator.resolved,
+    rule: Validator.rule,
+    suggest: Common.suggest
+};
+
+
+internals.supported = function (schema) {
+
+    return !schema._cache && !schema._flags.empty;
+};
+
+
+internals.inline = function (schema) {
+
+    return schema._type === 'object' &&
+        !schema._flags._func &&
+        schema._inners.keys &&
+        !schema._inners.renames &&
+        !schema._inners.patterns &&
+        !schema._inners.dependencies;
+};
+
+
+internals.limited = function (prefs) {
+
+    return prefs.maxDepth !== Infinity ||
+        prefs.maxItems !== Infinity ||
+        prefs.maxKeys !== Infinity ||
+        prefs.maxStringLength !== Infinity;
+};
+
+
+internals.plain = function (schema, prefs) {
+
+    // Schemas without any finalize() step beyond building the result
+
+    if (schema._flags.error ||
+        schema._flags.cast ||
+        schema._flags.result ||
+        schema._inners.externals) {
+
+        return false;
+    }
+
+    return prefs.noDefaults || schema._flags.default === undefined && schema._flags.failover === undefined;
+};
@@ -0,0 +1,377 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+
+const Common = require('./common');
+
+
+const internals = {
+    producers: ['producers'],
+    consumers: ['consumers'],
+    both: ['producers', 'consumers'],
+    none: []
+};
+
+
+exports.diff = function (joi, from, to) {
+
+    const differ = new internals.Differ(joi);
+    differ.node(internals.describe(from), internals.describe(to), []);
+    return differ.changes;
+};
+
+
+internals.describe = function (schema) {
+
+    const desc = Common.isSchema(schema) ? schema.describe() : schema;
+    Hoek.assert(desc && typeof desc.type === 'string', 'Invalid schema or description');
+    return desc;
+};
+
+
+internals.Differ = class {
+
+    constructor(joi) {
+
+        this.joi = joi;
+        this.changes = [];
+    }
+
+    node(before, after, path) {
+
+        if (before.type !== after.type) {
+            const breaking = before.type === 'any' ? internals.producers : (after.type === 'any' ? internals.consumers : internals.both);
+            this.report(path, 'type', { from: before.type, to: after.type }, breaking);
+            return;
+        }
+
+        this.presence(before, after, path);
+
+        for (const name in internals.switches) {
+            const was = internals.switches[name].get(before);
+            const is = internals.switches[name].get(after);
+            if (was !== is) {
+                this.report(path, 'flag', { name, from: was, to: is }, internals.switches[name][is ? 'on' : 'off']);
+            }
+        }
+
+        this.values(before.allow, after.allow, [...path, 'allow'], internals.consumers, internals.producers);
+        this.values(this.invalids(before), this.invalids(after), [...path, 'invalid'], internals.producers, internals.consumers);
+        this.rules(before, after, path);
+
+        // Nested schemas
+
+        this.keys(before, after, path);
+
+        if (!this.restricted(before, after, path, 'items')) {
+            this.list(before.items, after.items, [...path, 'items'], internals.consumers, internals.producers);
+        }
+
+        this.list(before.ordered, after.ordered, [...path, 'ordered'], internals.both, internals.both);
+        this.matches(before, after, path);
+
+        if (!Hoek.deepEqual(before.link, after.link)) {
+            this.report(path, 'link', { from: before.link, to: after.link }, internals.both);
+        }
+    }
+
+    invalids(desc) {
+
+        // Descriptions omit the invalid values of the type defaults (e.g. infinite numbers)
+
+        if (desc.invalid) {
+            return desc.invalid;
+        }
+
+        const clean = typeof this.joi[desc.type] === 'function' ? this.joi[desc.type]() : this.joi.any();
+        return clean._invalids ? clean._invalids.describe() : [];
+    }
+
+    presence(before, after, path) {
+
+        const was = internals.presence(before);
+        const is = internals.presence(after);
+        if (was === is) {
+            return;
+        }
+
+        // Producers break when undefined or defined values are no longer accepted, consumers when the value may now be missing or present
+
+        const producers = (was !== 'required' && is === 'required') || (was !== 'forbidden' && is === 'forbidden');
+        const consumers = (internals.guaranteed(before) && !internals.guaranteed(after)) || was === 'forbidden';
+
+        this.report(path, 'presence', { from: was, to: is }, [...(producers ? internals.producers : []), ...(consumers ? internals.consumers : [])]);
+    }
+
+    values(before = [], after = [], path, added, removed) {
+
+        for (const value of before) {
+            if (!after.some((item) => Hoek.deepEqual(item, value))) {
+                this.report(path, 'removed', { from: value }, removed);
+            }
+        }
+
+        for (const value of after) {
+            if (!before.some((item) => Hoek.deepEqual(item, value))) {
+                this.report(path, 'added', { to: value }, added);
+            }
+        }
+    }
+
+    rules(before, after, path) {
+
+        const names = new Set([...(before.rules || []), ...(after.rules || [])].map((rule) => rule.name));
+        for (const name of names) {
+            const was = (before.rules || []).filter((rule) => rule.name === name);
+            const is = (after.rules || []).filter((rule) => rule.name === name);
+
+            if (was.length === 1 &&
+                is.length === 1) {
+
+                if (!Hoek.deepEqual(was[0], is[0])) {
+                    this.report([...path, 'rules'], 'rule', { name, from: was[0].args, to: is[0].args }, internals.tightened(was[0], is[0]));
+                }
+
+                continue;
+            }
+
+            // Rules applied more than once (e.g. string patterns) are compared as sets
+
+            for (const rule of was) {
+                if (!is.some((item) => Hoek.deepEqual(item, rule))) {
+                    this.report([...path, 'rules'], 'rule', { name, from: rule.args }, internals.consumers);
+                }
+            }
+
+            for (const rule of is) {
+                if (!was.some((item) => Hoek.deepEqual(item, rule))) {
+                    this.report([...path, 'rules'], 'rule', { name, to: rule.args }, internals.producers);
+                }
+            }
+        }
+    }
+
+    restricted(before, after, path, name) {
+
+        // Missing keys and items allow any key or item
+
+        if (!before[name] === !after[name]) {
+            return false;
+        }
+
+        this.report([...path, name], before[name] ? 'removed' : 'added', {}, before[name] ? internals.consumers : internals.producers);
+        return true;
+    }
+
+    keys(before, after, path) {
+
+        if (this.restricted(before, after, path, 'keys') ||
+            !before.keys) {
+
+            return;
+        }
+
+        const was = internals.defined(before.keys);
+        const is = internals.defined(after.keys);
+
+        for (const key of new Set([...Object.keys(was), ...Object.keys(is)])) {
+            const location = [...path, 'keys', key];
+            if (!is[key]) {
+                const breaking = [
+                    ...(internals.unknown(after) ? [] : internals.producers),
+                    ...(internals.guaranteed(was[key]) ? internals.consumers : [])
+                ];
+
+                this.report(location, 'removed', { from: internals.presence(was[key]) }, breaking);
+            }
+            else if (!was[key]) {
+                const presence = internals.presence(is[key]);
+                this.report(location, 'added', { to: presence }, presence === 'required' ? internals.producers : internals.none);
+            }
+            else {
+                this.node(was[key], is[key], location);
+            }
+        }
+    }
+
+    list(before = [], after = [], path, added, removed) {
+
+        for (let i = 0; i < Math.max(before.length, after.length); ++i) {
+            if (i >= after.length) {
+                this.report([...path, i], 'removed', {}, removed);
+            }
+            else if (i >= before.length) {
+                this.report([...path, i], 'added', {}, added);
+            }
+            else {
+                this.node(before[i], after[i], [...path, i]);
+            }
+        }
+    }
+
+    matches(before, after, path) {
+
+        const was = before.matches || [];
+        const is = after.matches || [];
+
+        for (let i = 0; i < Math.max(was.length, is.length); ++i) {
+            const location = [...path, 'matches', i];
+            if (i >= is.length) {
+                this.report(location, 'removed', {}, internals.producers);
+                continue;
+            }
+
+            if (i >= was.length) {
+                this.report(location, 'added', {}, internals.consumers);
+                continue;
+            }
+
+            for (const key of ['ref', 'is', 'peek']) {
+                if (!Hoek.deepEqual(was[i][key], is[i][key])) {
+                    this.report([...location, key], 'condition', { from: was[i][key], to: is[i][key] }, internals.both);
+                }
+            }
+
+            for (const key of ['schema', 'then', 'otherwise']) {
+                if (was[i][key] &&
+                    is[i][key]) {
+
+                    this.node(was[i][key], is[i][key], [...location, key]);
+                }
+                else if (was[i][key] || is[i][key]) {
+                    this.report([...location, key], was[i][key] ? 'removed' : 'added', {}, was[i][key] ? internals.producers : internals.consumers);
+                }
+            }
+        }
+    }
+
+    report(path, change, details, breaking) {
+
+        const item = { path, change };
+        for (const key in details) {
+            if (details[key] !== undefined) {
+                item[key] = details[key];
+            }
+        }
+
+        item.breaking = breaking.slice();
+        this.changes.push(item);
+    }
+};
+
+
+internals.switches = {                                              // Who breaks when the flag is turned on or off
+    only: {
+        get: (desc) => Boolean(internals.flags(desc).only),
+        on: internals.producers,
+        off: internals.consumers
+    },
+    sparse: {
+        get: (desc) => Boolean(internals.flags(desc).sparse),
+        on: internals.consumers,
+        off: internals.producers
+    },
+    strip: {
+        get: (desc) => internals.flags(desc).result === 'strip',
+        on: internals.consumers,
+        off: internals.none
+    },
+    unknown: {
+        get: (desc) => internals.unknown(desc),
+        on: internals.consumers,
+        off: internals.producers
+    }
+};
+
+
+internals.limits = {                                                // Direction in which a greater limit tightens the rule
+    greater: 1,
+    less: -1,
+    max: -1,
+    min: 1
+};
+
+
+internals.tightened = function (before, after) {
+
+    const direction = internals.limits[before.name];
+    if (!direction) {
+        return internals.both;
+    }
+
+    const key = before.args.date !== undefined ? 'date' : 'limit';                      // Date rules use a date argument
+    if (!Hoek.deepEqual(internals.omit(before.args, key), internals.omit(after.args, key))) {
+        return internals.both;
+    }
+
+    const delta = (internals.limit(after.args[key]) - internals.limit(before.args[key])) * direction;
+    if (Number.isNaN(delta)) {
+        return internals.both;                                      // References, 'now' and other values without an order
+    }
+
+    return delta > 0 ? internals.producers : internals.consumers;
+};
+
+
+internals.limit = function (value) {
+
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    if (typeof value === 'string' &&
+        /^\d{4}-\d\d-\d\dT/.test(value)) {
+
+        return Date.parse(value);
+    }
+
+    return NaN;
+};
+
+
+internals.omit = function (args, key) {
+
+    const result = Object.assign({}, args);
+    delete result[key];
+    return result;
+};
+
+
+internals.defined = function (keys) {
+
+    // Forbidden keys are compared as missing keys
+
+    const defined = {};
+    for (const key in keys) {
+        if (internals.presence(keys[key]) !== 'forbidden') {
+            defined[key] = keys[key];
+        }
+    }
+
+    return defined;
+};
+
+
+internals.presence = function (desc) {
+
+    return internals.flags(desc).presence || 'required';
+};
+
+
+internals.guaranteed = function (desc) {
+
+    const flags = internals.flags(desc);
+    return flags.result !== 'strip' && (internals.presence(desc) === 'required' || flags.default !== undefined);
+};
+
+
+internals.unknown = function (desc) {
+
+    return Boolean(internals.flags(desc).unknown || (desc.preferences && desc.preferences.allowUnknown));
+};
+
+
+internals.flags = function (desc) {
+
+    return desc.flags || {};
+};
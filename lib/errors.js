@@ -10,7 +10,15 @@ let Any;
 
 
 const internals = {
-    annotations: Symbol('annotations')
+    annotations: Symbol('annotations'),
+    path: Symbol('path'),
+    paths: new WeakMap(),                               // Schema -> sensitive paths
+    redactedKeys: ['dupeValue', 'value'],
+    wildcard: Symbol('wildcard'),                       // Any key or array index (patterns of keys are matched with regular expressions)
+    titles: {
+        400: 'Bad Request',
+        422: 'Unprocessable Entity'
+    }
 };
 
 
@@ -42,6 +50,17 @@ exports.Report = class {
                 this.local.key = key;
             }
         }
+
+        const sensitive = state.mainstay.sensitive;
+        if (sensitive.length) {
+
+            this.value = exports.redact(this.value, this.path, sensitive);
+            for (const key of internals.redactedKeys) {
+                if (this.local[key] !== undefined) {
+                    this.local[key] = exports.redact(this.local[key], this.path, sensitive);
+                }
+            }
+        }
     }
 
     _setTemplate(template) {
@@ -68,13 +87,26 @@ exports.Report = class {
 
         const template = this._template(this.template, this.code) ||
             this._template(this.prefs.messages, code) ||
+            internals.catalog(this.value, code, this.state, this.prefs) ||
             Messages.compiled[code];
 
         if (template === undefined) {
             return `Error code "${code}" is not defined, your custom type is missing the correct messages definition`;
         }
 
-        this.message = template.render(this.value, this.state, this.prefs, this.local, this.prefs.errors);        // Cache result
+        const options = Object.assign({}, this.prefs.errors, { language: internals.language(this.value, this.state, this.prefs) });
+        this.message = template.render(this.value, this.state, this.prefs, this.local, options);                // Cache result
+
+        if (this.prefs.errors.suggest &&
+            this.local.suggestion !== undefined) {
+
+            const suggestion = this._template(this.prefs.messages, 'suggestion') ||
+                internals.catalog(this.value, 'suggestion', this.state, this.prefs) ||
+                Messages.compiled.suggestion;
+
+            this.message += suggestion.render(this.value, this.state, this.prefs, this.local, options);
+        }
+
         return this.message;
     }
 
@@ -85,6 +117,18 @@ exports.Report = class {
 };
 
 
+internals.format = function (path, format) {
+
+    switch (format) {
+        case 'pointer': return internals.pointer(path);
+        case 'dotted': return path.filter((segment) => typeof segment !== 'object').join('.');
+        case 'bracket': return internals.label(path);
+    }
+
+    return path.filter((segment) => typeof segment !== 'object');
+};
+
+
 internals.label = function (path) {
 
     let label = '';
@@ -116,47 +160,333 @@ internals.template = function (value, messages, code, state, prefs) {
     }
 
     if (Template.isTemplate(messages)) {
-        return code !== 'root' ? messages : null;
+        return code !== 'root' && code !== 'suggestion' ? messages : null;
     }
 
-    let lang = prefs.errors.language;
-    if (Common.isResolvable(lang)) {
-        const local = state.ancestors[state.ancestors.length - 1];
-        lang = lang.resolve(value, state, prefs, local);
+    if (messages.paths) {
+        const scoped = internals.scoped(messages.paths, code, state.path);
+        if (scoped !== undefined) {
+            return scoped;
+        }
     }
 
-    if (lang &&
-        messages[lang] &&
-        messages[lang][code] !== undefined) {
+    const lang = internals.language(value, state, prefs);
+    if (lang) {
+        for (const locale of Messages.locales(lang)) {
+            if (messages[locale] &&
+                messages[locale][code] !== undefined) {
 
-        return messages[lang][code];
+                return messages[locale][code];
+            }
+        }
     }
 
     return messages[code];
 };
 
 
+internals.scoped = function (paths, code, path) {
+
+    // { 'billing.zip': { 'string.pattern.base': <template> }, 'items.*.name': { ... } }
+
+    const keys = path.filter((segment) => typeof segment !== 'object');
+    if (!keys.length) {
+        return;
+    }
+
+    const exact = paths[keys.join('.')];
+    if (exact &&
+        exact[code] !== undefined) {
+
+        return exact[code];
+    }
+
+    for (const pattern in paths) {
+        const scoped = paths[pattern];
+        if (!pattern.includes('*') ||
+            scoped[code] === undefined) {
+
+            continue;
+        }
+
+        const segments = pattern.split('.');
+        if (segments.length === keys.length &&
+            segments.every((segment, i) => segment === '*' || segment === String(keys[i]))) {
+
+            return scoped[code];
+        }
+    }
+};
+
+
+internals.catalog = function (value, code, state, prefs) {
+
+    const lang = internals.language(value, state, prefs);
+    if (lang) {
+        return Messages.localize(lang, code);
+    }
+};
+
+
+internals.language = function (value, state, prefs) {
+
+    let lang = prefs.errors.language;
+    if (Common.isResolvable(lang)) {
+        const local = state.ancestors[state.ancestors.length - 1];
+        lang = lang.resolve(value, state, prefs, local);
+    }
+
+    return typeof lang === 'string' ? lang : null;
+};
+
+
 exports.label = function (state, prefs) {
 
     return state.flags.label ||
-        internals.label(state.path) ||
+        internals.format(state.path, prefs.errors.pathFormat === 'array' ? 'bracket' : prefs.errors.pathFormat) ||
         internals.template(null, prefs.messages, 'root', state, prefs) ||
+        internals.catalog(null, 'root', state, prefs) ||
         Messages.errors.root;
 };
 
 
-exports.process = function (errors, original) {
+exports.process = function (errors, original, prefs, sensitive) {
 
     if (!errors) {
         return null;
     }
 
+    const truncated = errors.length > prefs.errors.limit;
+    if (truncated) {
+        errors = errors.slice(0, prefs.errors.limit);
+    }
+
     const { override, message, details } = exports.details(errors);
     if (override) {
         return override;
     }
 
-    return new exports.ValidationError(message, details, original);
+    const error = new exports.ValidationError(message, details, exports.redact(original, [], sensitive));
+    if (truncated) {
+        error.truncated = true;
+    }
+
+    return error;
+};
+
+
+exports.paths = function (schema, prefs) {
+
+    // Collected from the schema tree to include the values not reached when validation aborts early
+
+    if (prefs.sensitive) {
+        return [[]];
+    }
+
+    let paths = internals.paths.get(schema);
+    if (!paths) {
+        paths = [];
+        internals.collect(schema, [], [], paths, true);
+        internals.paths.set(schema, paths);
+    }
+
+    return paths.slice();                               // Extended with the sensitive schemas validated outside the schema tree
+};
+
+
+internals.collect = function (schema, path, chain, paths, links) {
+
+    if (schema._flags.sensitive ||
+        schema._preferences && schema._preferences.sensitive) {
+
+        paths.push(path);
+        return;
+    }
+
+    chain = [schema, ...chain];                         // Mirrors state.schemas for link references
+
+    switch (schema._type) {
+        case 'alternatives':
+            for (const match of schema._inners.matches) {
+                for (const key of ['schema', 'then', 'otherwise']) {
+                    if (match[key]) {
+                        internals.collect(match[key], path, chain, paths, links);
+                    }
+                }
+            }
+
+            break;
+
+        case 'array':
+            schema._inners.ordered.forEach((item, i) => internals.collect(item, [...path, i], chain, paths, links));
+            for (const item of schema._inners.items) {
+                internals.collect(item, [...path, internals.wildcard], chain, paths, links);
+            }
+
+            break;
+
+        case 'link':
+            if (links &&
+                schema._inners.link) {
+
+                internals.link(schema, path, chain, paths);
+            }
+
+            break;
+
+        case 'object':
+            for (const child of schema._inners.keys || []) {
+                internals.collect(child.schema, [...path, child.key], chain, paths, links);
+            }
+
+            for (const pattern of schema._inners.patterns || []) {
+                internals.collect(pattern.rule, [...path, pattern.regex || internals.wildcard], chain, paths, links);
+            }
+
+            // Renamed keys keep their original name in the validated input
+
+            for (const rename of schema._inners.renames || []) {
+                const to = [...path, rename.to];
+                const from = [...path, rename.from];
+                for (const target of paths.filter((item) => internals.match(item, to))) {
+                    paths.push([...from, ...target.slice(to.length)]);
+                }
+            }
+
+            break;
+    }
+};
+
+
+internals.link = function (schema, path, chain, paths) {
+
+    const ref = schema._inners.link[0].ref;
+    const perspective = ref.ancestor === 'root' ? chain[chain.length - 1] : chain[ref.ancestor];
+    if (!perspective) {
+        return;
+    }
+
+    try {
+        var target = ref.path.length ? perspective._ids.reach(ref.path) : perspective;
+    }
+    catch (err) {
+        return;
+    }
+
+    if (!chain.includes(target)) {
+        internals.collect(target, path, chain, paths, true);
+        return;
+    }
+
+    // Recursive schemas redact the entire nested value when they contain sensitive values
+
+    const nested = [];
+    internals.collect(target, [], [], nested, false);
+    if (nested.length) {
+        paths.push(path);
+    }
+};
+
+
+exports.redacted = '[REDACTED]';
+
+
+exports.sensitive = function (path, sensitive, options = {}) {
+
+    // Whether the value at path is sensitive (or includes sensitive values when nested)
+
+    return sensitive.some((item) => (options.nested || item.length <= path.length) && internals.match(item, path));
+};
+
+
+exports.redact = function (value, path, sensitive) {
+
+    // Replaces the sensitive parts of the value found at path
+
+    if (!sensitive.length) {
+        return value;
+    }
+
+    let redacted = value;
+    for (const item of sensitive) {
+        if (!internals.match(item, path)) {
+            continue;
+        }
+
+        if (item.length <= path.length) {
+            return exports.redacted;
+        }
+
+        if (redacted === value) {
+            if (!value ||
+                typeof value !== 'object') {
+
+                continue;
+            }
+
+            redacted = Hoek.clone(value);
+        }
+
+        internals.mask(redacted, item.slice(path.length));
+    }
+
+    return redacted;
+};
+
+
+internals.match = function (item, path) {
+
+    // Compares the common prefix of a sensitive path and a value path
+
+    const length = Math.min(item.length, path.length);
+    for (let i = 0; i < length; ++i) {
+        if (!internals.segment(item[i], path[i])) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+
+internals.segment = function (segment, key) {
+
+    if (segment === internals.wildcard) {
+        return true;
+    }
+
+    if (segment instanceof RegExp) {
+        return segment.test(key);
+    }
+
+    return segment === key;
+};
+
+
+internals.mask = function (node, segments) {
+
+    if (!node ||
+        typeof node !== 'object') {
+
+        return;
+    }
+
+    const [segment, ...rest] = segments;
+    const keys = typeof segment === 'string' || typeof segment === 'number' ? [segment] : Object.keys(node);
+    for (const key of keys) {
+        if (node[key] === undefined ||
+            !internals.segment(segment, key)) {
+
+            continue;
+        }
+
+        if (rest.length) {
+            internals.mask(node[key], rest);
+        }
+        else {
+            node[key] = exports.redacted;
+        }
+    }
 };
 
 
@@ -191,12 +521,18 @@ exports.details = function (errors, options = {}) {
         const message = item.toString();
         messages.push(message);
 
-        details.push({
+        const detail = {
             message,
-            path: item.path.filter((v) => typeof v !== 'object'),
+            path: internals.format(item.path, item.prefs.errors.pathFormat),
             type: item.code,
             context: item.local
-        });
+        };
+
+        if (!Array.isArray(detail.path)) {
+            Object.defineProperty(detail, internals.path, { value: internals.format(item.path, 'array') });         // Used by annotate() and toProblem()
+        }
+
+        details.push(detail);
     }
 
     if (messages.length > 1) {
@@ -235,7 +571,7 @@ exports.ValidationError = class extends Error {
         for (let i = this.details.length - 1; i >= 0; --i) {        // Reverse order to process deepest child first
             const pos = i + 1;
             const error = this.details[i];
-            const path = error.path;
+            const path = error[internals.path] || error.path;
             let node = obj;
             for (let j = 0; ; ++j) {
                 const seg = path[j];
@@ -292,6 +628,82 @@ exports.ValidationError = class extends Error {
 
         return message;
     }
+
+    toProblem(options = {}) {
+
+        Common.assertOptions(options, ['detail', 'instance', 'status', 'title', 'type']);
+
+        const status = options.status || 400;
+        const problem = {
+            type: options.type || 'about:blank',
+            title: options.title || internals.titles[status] || 'Validation Error',
+            status,
+            detail: options.detail !== undefined ? options.detail : this.message
+        };
+
+        if (options.instance) {
+            problem.instance = options.instance;
+        }
+
+        problem.errors = this.details.map((item) => ({
+            pointer: internals.pointer(item[internals.path] || item.path),
+            code: item.type,
+            label: item.context.label,
+            message: item.message
+        }));
+
+        if (this.truncated) {
+            problem.truncated = true;
+        }
+
+        return problem;
+    }
+
+    toJSON() {
+
+        const json = {
+            message: this.message,
+            details: this.details
+        };
+
+        if (this.details.some((item) => item[internals.path])) {
+            json.paths = this.details.map((item) => item[internals.path] || item.path);                   // Formatted paths used by annotate() and toProblem()
+        }
+
+        if (this._original !== undefined) {
+            json.original = this._original;
+        }
+
+        if (this.truncated) {
+            json.truncated = true;
+        }
+
+        return json;
+    }
+
+    static fromJSON(json) {
+
+        Hoek.assert(json && typeof json.message === 'string' && Array.isArray(json.details), 'Invalid validation error JSON');
+
+        const details = json.details.map((item, i) => {
+
+            const detail = Object.assign({}, item);
+            if (json.paths &&
+                !Array.isArray(detail.path)) {
+
+                Object.defineProperty(detail, internals.path, { value: json.paths[i] });
+            }
+
+            return detail;
+        });
+
+        const error = new exports.ValidationError(json.message, details, json.original);
+        if (json.truncated) {
+            error.truncated = true;
+        }
+
+        return error;
+    }
 };
 
 
@@ -301,6 +713,27 @@ exports.ValidationError.prototype.isJoi = true;
 exports.ValidationError.prototype.name = 'ValidationError';
 
 
+exports.isError = function (err) {
+
+    return err instanceof Error && err.isJoi === true;
+};
+
+
+internals.pointer = function (path) {
+
+    let pointer = '';
+    for (const segment of path) {
+        if (typeof segment === 'object') {          // Exclude array single path segment
+            continue;
+        }
+
+        pointer += '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    return pointer;
+};
+
+
 // Inspired by json-stringify-safe
 
 internals.safeStringify = function (obj, spaces) {
@@ -0,0 +1,696 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+
+const Common = require('./common');
+const Manifest = require('./manifest');
+
+
+const internals = {
+    annotations: ['title', 'description', 'default', 'examples']
+};
+
+
+exports.build = function (joi, doc, options = {}) {
+
+    Common.assertOptions(options, ['strict']);
+    Hoek.assert(typeof doc === 'boolean' || internals.isObject(doc), 'Invalid JSON Schema document');
+
+    const importer = new internals.Importer(doc);
+    const desc = importer.node(doc, '#', 0);
+
+    if (importer.reports.length &&
+        options.strict) {
+
+        throw new Error(`Cannot convert from JSON Schema: ${importer.reports.join(', ')}`);
+    }
+
+    return Manifest.build(joi, desc);
+};
+
+
+internals.Importer = class {
+
+    constructor(doc) {
+
+        this.doc = doc;
+        this.active = new Map();                                    // $ref target -> depth of the schema being built from it
+        this.reports = [];
+    }
+
+    // Build the description of a JSON Schema node where depth counts the joi schemas above it (as validated)
+
+    node(schema, pointer, depth) {
+
+        const targets = new Set();
+        const { flat, link } = this.flatten(schema, pointer, depth, targets);
+
+        try {
+            if (flat === false) {
+                return internals.desc('any', 'forbidden');
+            }
+
+            if (link !== undefined) {
+                for (const key in flat) {
+                    if (!internals.annotations.includes(key)) {
+                        this.report(pointer, `keyword "${key}" next to a recursive $ref`);
+                    }
+                }
+
+                const desc = internals.desc('link');
+                desc.link = { ref: { ancestor: depth - link, path: [] } };
+                return this.annotate(desc, flat, pointer);
+            }
+
+            return this.annotate(this.compose(flat, pointer, depth), flat, pointer);
+        }
+        finally {
+            for (const target of targets) {
+                this.active.delete(target);
+            }
+        }
+    }
+
+    // Merge $ref targets and allOf subschemas into a single flat schema
+
+    flatten(schema, pointer, depth, targets) {
+
+        let flat = {};
+        let link;
+
+        const pending = [{ schema, pointer }];
+        while (pending.length) {
+            const item = pending.shift();
+            if (item.schema === true) {
+                continue;
+            }
+
+            if (item.schema === false) {
+                return { flat: false };
+            }
+
+            Hoek.assert(internals.isObject(item.schema), 'Invalid JSON Schema at', item.pointer);
+
+            const { $ref, allOf, ...rest } = item.schema;
+            for (const key in rest) {
+                if (!internals.keywords.has(key) &&
+                    !key.startsWith('x-')) {
+
+                    this.report(item.pointer, `keyword "${key}"`);
+                }
+            }
+
+            if ($ref !== undefined) {
+                const target = internals.reach(this.doc, $ref);
+                if (target === undefined) {
+                    this.report(item.pointer, `$ref "${$ref}"`);
+                }
+                else if (this.active.has($ref)) {
+                    if (this.active.get($ref) < depth) {
+                        link = this.active.get($ref);
+                    }
+
+                    // Targets active at the same depth are already merged into this schema
+                }
+                else {
+                    targets.add($ref);
+                    this.active.set($ref, depth);
+                    pending.push({ schema: target, pointer: $ref });
+                }
+            }
+
+            if (allOf !== undefined) {
+                pending.push(...allOf.map((member, i) => ({ schema: member, pointer: `${item.pointer}/allOf/${i}` })));
+            }
+
+            flat = this.merge(flat, rest, item.pointer);
+        }
+
+        return { flat, link };
+    }
+
+    merge(target, source, pointer) {
+
+        for (const key in source) {
+            const value = source[key];
+            const existing = internals.has(target, key) ? target[key] : undefined;
+
+            if (existing === undefined ||
+                internals.annotations.includes(key)) {
+
+                target[key] = existing === undefined ? value : existing;
+            }
+            else if (Hoek.deepEqual(existing, value)) {
+                continue;
+            }
+            else if (key === 'required') {
+                target[key] = [...new Set([...existing, ...value])];
+            }
+            else if (['properties', 'patternProperties'].includes(key)) {
+                target[key] = Object.assign({}, existing);
+                for (const name in value) {
+                    target[key][name] = internals.has(existing, name) ? { allOf: [existing[name], value[name]] } : value[name];
+                }
+            }
+            else if (internals.has(internals.bounds, key)) {
+                target[key] = internals.bounds[key](existing, value);
+            }
+            else if (key === 'type') {
+                const types = [...internals.intersect(existing, value), ...internals.intersect(value, existing)];
+                target[key] = [...new Set(types)];
+            }
+            else {
+                this.report(pointer, `conflicting "${key}" keywords`);
+            }
+        }
+
+        return target;
+    }
+
+    // Conditions and alternatives wrap the schema built from the remaining keywords
+
+    compose(flat, pointer, depth) {
+
+        if (flat.if !== undefined) {
+            const base = internals.omit(flat, ['if', 'then', 'else']);
+            const desc = internals.desc('alternatives');
+            desc.matches = [{
+                peek: this.node(flat.if, `${pointer}/if`, depth + 1),
+                then: this.node({ allOf: [base, flat.then === undefined ? true : flat.then] }, `${pointer}/then`, depth + 1),
+                otherwise: this.node({ allOf: [base, flat.else === undefined ? true : flat.else] }, `${pointer}/else`, depth + 1)
+            }];
+
+            return desc;
+        }
+
+        const keyword = flat.anyOf !== undefined ? 'anyOf' : 'oneOf';
+        if (flat[keyword] !== undefined) {
+            if (flat.anyOf !== undefined &&
+                flat.oneOf !== undefined) {
+
+                this.report(pointer, 'keyword "oneOf" next to "anyOf"');
+            }
+
+            if (keyword === 'oneOf' &&
+                !internals.disjoint(flat.oneOf)) {
+
+                this.report(pointer, 'keyword "oneOf" validated as "anyOf"');          // Values matching more than one subschema are not rejected
+            }
+
+            const base = internals.omit(flat, ['anyOf', 'oneOf']);
+            const desc = internals.desc('alternatives');
+            desc.matches = flat[keyword].map((member, i) => ({ schema: this.node({ allOf: [base, member] }, `${pointer}/${keyword}/${i}`, depth + 1) }));
+            return desc;
+        }
+
+        return this.values(this.types(flat, pointer, depth), flat, pointer);
+    }
+
+    types(flat, pointer, depth) {
+
+        if (flat.type === undefined) {
+            return this.implied(flat, pointer, depth);
+        }
+
+        const listed = [].concat(flat.type);
+        for (const type of listed) {
+            if (!internals.names.includes(type) &&
+                type !== 'null') {
+
+                this.report(pointer, `type "${type}"`);
+            }
+        }
+
+        const types = listed.filter((type) => internals.names.includes(type) && !(type === 'integer' && listed.includes('number')));
+
+        if (types.length > 1) {
+            const desc = internals.desc('alternatives');
+            desc.matches = types.map((type) => ({ schema: internals.builders[type].call(this, flat, pointer, depth + 1) }));
+            return desc;
+        }
+
+        if (types.length) {
+            return internals.builders[types[0]].call(this, flat, pointer, depth);
+        }
+
+        const desc = internals.desc('any', listed.length ? 'required' : 'forbidden');             // No type left after merging allOf types
+        if (listed.includes('null')) {
+            desc.flags.only = true;
+        }
+
+        return desc;
+    }
+
+    implied(flat, pointer, depth) {
+
+        // Type specific keywords without a type only apply to values of that type
+
+        const types = Object.keys(internals.families).filter((type) => internals.families[type].some((key) => flat[key] !== undefined));
+        if (!types.length) {
+            return internals.desc('any');
+        }
+
+        const desc = internals.desc('alternatives');
+        desc.matches = types.map((type) => ({ peek: internals.peek(type), then: internals.builders[type].call(this, flat, pointer, depth + 1) }));
+        desc.matches[desc.matches.length - 1].otherwise = internals.desc('any');
+        return desc;
+    }
+
+    values(desc, flat, pointer) {
+
+        const types = flat.type === undefined ? null : [].concat(flat.type);
+        if (types &&
+            types.includes('null')) {
+
+            desc.allow = [...(desc.allow || []), null];
+        }
+
+        if (flat.const === undefined &&
+            flat.enum === undefined) {
+
+            return desc;
+        }
+
+        const values = [];
+        for (const value of flat.const !== undefined ? [flat.const] : flat.enum) {
+            if (value !== null &&
+                typeof value === 'object') {
+
+                this.report(pointer, 'object value in "const" or "enum"');         // Allowed values only match by reference
+            }
+            else if (!types ||
+                types.some((type) => (type === 'null' ? value === null : internals.conforms(type, value)))) {
+
+                values.push(value);
+            }
+        }
+
+        desc.flags.only = true;
+        desc.allow = values;
+
+        if (!values.length) {
+            desc.flags.presence = 'forbidden';
+        }
+
+        return desc;
+    }
+
+    annotate(desc, flat, pointer) {
+
+        if (flat.title !== undefined) {
+            desc.flags.label = flat.title;
+        }
+
+        if (flat.description !== undefined) {
+            desc.flags.description = flat.description;
+        }
+
+        if (flat.default === null) {
+            this.report(pointer, 'null default');                       // Not supported by descriptions
+        }
+        else if (flat.default !== undefined) {
+            desc.flags.default = typeof flat.default === 'object' ? { value: flat.default } : flat.default;
+        }
+
+        if (flat.examples !== undefined) {
+            const examples = flat.examples.filter((example) => typeof example !== 'object');
+            if (examples.length) {
+                desc.examples = examples;
+            }
+        }
+
+        return desc;
+    }
+
+    report(pointer, message) {
+
+        const report = `${message} at ${pointer}`;
+        if (!this.reports.includes(report)) {
+            this.reports.push(report);
+        }
+    }
+};
+
+
+internals.builders = {
+
+    array: function (flat, pointer, depth) {
+
+        const desc = internals.desc('array');
+        const rules = [];
+
+        if (flat.prefixItems !== undefined) {
+            desc.ordered = flat.prefixItems.map((item, i) => internals.optional(this.node(item, `${pointer}/prefixItems/${i}`, depth + 1)));
+        }
+
+        if (flat.items === false) {
+            if (!desc.ordered) {
+                rules.push({ name: 'max', args: { limit: 0 } });
+            }
+        }
+        else if (flat.items !== undefined) {
+            desc.items = [internals.optional(this.node(flat.items, `${pointer}/items`, depth + 1))];
+        }
+        else if (desc.ordered) {
+            desc.items = [internals.desc('any', 'optional')];            // Additional items allowed
+        }
+
+        if (flat.contains !== undefined) {
+            rules.push({ name: 'has', args: { schema: this.node(flat.contains, `${pointer}/contains`, depth + 1) } });
+        }
+
+        internals.constraints(rules, flat, { minItems: 'min', maxItems: 'max' });
+
+        if (flat.uniqueItems) {
+            rules.push({ name: 'unique' });
+        }
+
+        return internals.finalize(desc, rules);
+    },
+
+    boolean: function () {
+
+        return internals.desc('boolean');
+    },
+
+    integer: function (flat, pointer, depth) {
+
+        const desc = internals.builders.number.call(this, flat, pointer, depth);
+        desc.rules = [{ name: 'integer' }, ...(desc.rules || [])];
+        return desc;
+    },
+
+    number: function (flat) {
+
+        const rules = [];
+        internals.constraints(rules, flat, { minimum: 'min', maximum: 'max', exclusiveMinimum: 'greater', exclusiveMaximum: 'less' });
+
+        if (flat.multipleOf !== undefined) {
+            rules.push({ name: 'multiple', args: { base: flat.multipleOf } });
+        }
+
+        return internals.finalize(internals.desc('number'), rules);
+    },
+
+    object: function (flat, pointer, depth) {
+
+        const desc = internals.desc('object');
+        const rules = [];
+
+        const required = flat.required || [];
+        if (flat.properties !== undefined ||
+            required.length) {
+
+            desc.keys = {};
+            for (const key in flat.properties) {
+                const child = this.node(flat.properties[key], `${pointer}/properties/${internals.escape(key)}`, depth + 1);
+                desc.keys[key] = required.includes(key) ? child : internals.optional(child);
+            }
+
+            for (const key of required) {
+                desc.keys[key] = desc.keys[key] || internals.desc('any');
+            }
+        }
+
+        const patterns = [];
+        for (const source in flat.patternProperties) {
+            const rule = this.node(flat.patternProperties[source], `${pointer}/patternProperties/${internals.escape(source)}`, depth + 1);
+            patterns.push({ regex: `/${source}/`, rule });
+        }
+
+        const additional = flat.additionalProperties;
+        if (additional === false) {
+            desc.keys = desc.keys || {};
+        }
+        else if (additional !== undefined &&
+            additional !== true) {
+
+            const rule = this.node(additional, `${pointer}/additionalProperties`, depth + 1);
+            patterns.push({ schema: internals.unmatched(Object.keys(flat.patternProperties || {})), rule });
+        }
+        else if (desc.keys ||
+            patterns.length) {
+
+            desc.flags.unknown = true;
+        }
+
+        if (patterns.length) {
+            desc.patterns = patterns;
+        }
+
+        if (flat.dependentRequired !== undefined) {
+            desc.dependencies = Object.keys(flat.dependentRequired).map((key) => ({ type: 'with', key, peers: flat.dependentRequired[key] }));
+        }
+
+        internals.constraints(rules, flat, { minProperties: 'min', maxProperties: 'max' });
+        return internals.finalize(desc, rules);
+    },
+
+    string: function (flat, pointer) {
+
+        const desc = internals.desc('string');
+        const rules = [];
+        internals.constraints(rules, flat, { minLength: 'min', maxLength: 'max' });
+
+        let empty = !flat.minLength;
+
+        if (flat.pattern !== undefined) {
+            rules.push({ name: 'pattern', args: { regex: `/${flat.pattern}/` } });
+            empty = empty && new RegExp(flat.pattern).test('');
+        }
+
+        if (flat.format !== undefined) {
+            if (internals.has(internals.formats, flat.format)) {
+                rules.push(Hoek.clone(internals.formats[flat.format]));
+                empty = false;
+            }
+            else {
+                this.report(pointer, `format "${flat.format}"`);
+            }
+        }
+
+        if (flat.contentEncoding !== undefined) {
+            if (flat.contentEncoding === 'base64') {
+                rules.push({ name: 'base64' });
+            }
+            else {
+                this.report(pointer, `contentEncoding "${flat.contentEncoding}"`);
+            }
+        }
+
+        if (empty) {
+            desc.allow = [''];
+        }
+
+        return internals.finalize(desc, rules);
+    }
+};
+
+
+internals.names = Object.keys(internals.builders);
+
+
+internals.families = {
+    array: ['contains', 'items', 'maxItems', 'minItems', 'prefixItems', 'uniqueItems'],
+    number: ['exclusiveMaximum', 'exclusiveMinimum', 'maximum', 'minimum', 'multipleOf'],
+    object: ['additionalProperties', 'dependentRequired', 'maxProperties', 'minProperties', 'patternProperties', 'properties', 'required'],
+    string: ['contentEncoding', 'format', 'maxLength', 'minLength', 'pattern']
+};
+
+
+internals.keywords = new Set([
+    '$comment', '$defs', '$id', '$schema', 'definitions', 'deprecated', 'readOnly', 'writeOnly',        // Ignored
+    ...internals.annotations,
+    'anyOf', 'const', 'else', 'enum', 'if', 'oneOf', 'then', 'type',
+    ...Object.values(internals.families).flat()
+]);
+
+
+internals.bounds = {
+    exclusiveMaximum: Math.min,
+    exclusiveMinimum: Math.max,
+    maximum: Math.min,
+    maxItems: Math.min,
+    maxLength: Math.min,
+    maxProperties: Math.min,
+    minimum: Math.max,
+    minItems: Math.max,
+    minLength: Math.max,
+    minProperties: Math.max
+};
+
+
+internals.formats = {
+    'date-time': { name: 'isoDate' },
+    duration: { name: 'isoDuration' },
+    email: { name: 'email' },
+    hostname: { name: 'hostname' },
+    ipv4: { name: 'ip', args: { options: { version: ['ipv4'], cidr: 'forbidden' } } },
+    ipv6: { name: 'ip', args: { options: { version: ['ipv6'], cidr: 'forbidden' } } },
+    uri: { name: 'uri' },
+    'uri-reference': { name: 'uri', args: { options: { allowRelative: true } } },
+    uuid: { name: 'guid' }
+};
+
+
+internals.desc = function (type, presence = 'required') {
+
+    return { type, flags: { presence } };
+};
+
+
+internals.peek = function (type) {
+
+    const desc = internals.desc(type);
+    desc.preferences = { convert: false };                          // Numeric or JSON strings are not of the type
+
+    if (type === 'string') {
+        desc.allow = [''];
+    }
+
+    return desc;
+};
+
+
+internals.optional = function (desc) {
+
+    if (desc.flags.presence === 'required') {
+        desc.flags.presence = 'optional';
+    }
+
+    return desc;
+};
+
+
+internals.constraints = function (rules, flat, names) {
+
+    for (const key in names) {
+        if (flat[key] !== undefined) {
+            rules.push({ name: names[key], args: { limit: flat[key] } });
+        }
+    }
+};
+
+
+internals.finalize = function (desc, rules) {
+
+    if (rules.length) {
+        desc.rules = rules;
+    }
+
+    return desc;
+};
+
+
+internals.unmatched = function (sources) {
+
+    // Key schema matching keys not matched by any of the patternProperties
+
+    if (!sources.length) {
+        return internals.desc('any');
+    }
+
+    const desc = internals.desc('string');
+    desc.rules = sources.map((source) => ({ name: 'pattern', args: { regex: `/${source}/`, options: { invert: true } } }));
+    if (sources.every((source) => !new RegExp(source).test(''))) {
+        desc.allow = [''];
+    }
+
+    return desc;
+};
+
+
+internals.omit = function (flat, keys) {
+
+    const rest = Object.assign({}, flat);
+    for (const key of keys) {
+        delete rest[key];
+    }
+
+    return rest;
+};
+
+
+internals.disjoint = function (schemas) {
+
+    // Subschemas of different types never match the same value
+
+    const seen = [];
+    for (const schema of schemas) {
+        if (!internals.isObject(schema) ||
+            schema.type === undefined) {
+
+            return false;
+        }
+
+        const types = [].concat(schema.type).map((type) => (type === 'integer' ? 'number' : type));
+        if (types.some((type) => seen.includes(type))) {
+            return false;
+        }
+
+        seen.push(...types);
+    }
+
+    return true;
+};
+
+
+internals.intersect = function (types, others) {
+
+    others = [].concat(others);
+    return [].concat(types).filter((type) => others.includes(type) || type === 'integer' && others.includes('number'));
+};
+
+
+internals.conforms = function (type, value) {
+
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'object': return value !== null && typeof value === 'object';
+    }
+
+    return typeof value === type;
+};
+
+
+internals.reach = function (doc, ref) {
+
+    if (typeof ref !== 'string' ||
+        ref !== '#' && !ref.startsWith('#/')) {
+
+        return;
+    }
+
+    let node = doc;
+    for (const segment of ref === '#' ? [] : ref.slice(2).split('/')) {
+        const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+        if (node === null ||
+            typeof node !== 'object' ||
+            !internals.has(node, key)) {
+
+            return;
+        }
+
+        node = node[key];
+    }
+
+    return node;
+};
+
+
+internals.escape = function (segment) {
+
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+};
+
+
+internals.has = function (obj, key) {
+
+    return Object.prototype.hasOwnProperty.call(obj, key);
+};
+
+
+internals.isObject = function (value) {
+
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
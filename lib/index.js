@@ -6,11 +6,17 @@ const Any = require('./types/any');
 const Cache = require('./cache');
 const Cast = require('./cast');
 const Common = require('./common');
+const Compiler = require('./compiler');
+const Diff = require('./diff');
 const Errors = require('./errors');
 const Extend = require('./extend');
+const Importer = require('./importer');
 const Manifest = require('./manifest');
+const Messages = require('./messages');
+const OpenApi = require('./openapi');
 const Ref = require('./ref');
 const Template = require('./template');
+const TypeScript = require('./typescript');
 
 const Pkg = require('../package.json');
 
@@ -114,6 +120,11 @@ internals.methods = {
         return Cast.compile(this, schema, options);
     },
 
+    compileValidator: function (schema, options) {
+
+        return Compiler.compile(this.compile(schema), options);
+    },
+
     defaults: function (fn) {
 
         Hoek.assert(typeof fn === 'function', 'Defaults must be a function');
@@ -140,6 +151,11 @@ internals.methods = {
         return joi;
     },
 
+    diff: function (from, to) {
+
+        return Diff.diff(this, from, to);
+    },
+
     expression: function (...args) {
 
         return new Template(...args);
@@ -151,10 +167,26 @@ internals.methods = {
         return Extend.root(this, extensions);
     },
 
+    fromJsonSchema: function (doc, options) {
+
+        return Importer.build(this, doc, options);
+    },
+
+    isError: Errors.isError,
     isExpression: Template.isTemplate,
     isRef: Ref.isRef,
     isSchema: Common.isSchema,
 
+    messages: {
+        register: Messages.register
+    },
+
+    openapi: {
+        components: OpenApi.components,
+        parameters: OpenApi.parameters,
+        requestBody: OpenApi.requestBody
+    },
+
     ref: function (...args) {
 
         return Ref.create(...args);
@@ -168,8 +200,15 @@ internals.methods = {
         }
 
         return types;
-    }
+    },
+
+    typescript: TypeScript.declarations
 };
 
 
+internals.methods.expression.constants = Template.constants;
+internals.methods.expression.functions = Template.functions;
+internals.methods.expression.unregister = Template.unregister;
+
+
 module.exports = internals.root();
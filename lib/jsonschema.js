@@ -0,0 +1,890 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+
+const Common = require('./common');
+
+
+const internals = {
+    dialect: 'https://json-schema.org/draft/2020-12/schema',
+    keyword: 'x-joi-unsupported',
+    annotations: ['title', 'description', 'default', 'examples']
+};
+
+
+exports.convert = function (schema, options = {}, context = {}) {
+
+    // context: { components, base } when converting OpenAPI schemas
+
+    Common.assertOptions(options, ['unsupported']);
+    Hoek.assert(options.unsupported === undefined || ['annotate', 'error'].includes(options.unsupported), 'Invalid unsupported option');
+
+    const converter = new internals.Converter(schema, options, context);
+    const json = converter.node(schema, '#', [schema], Common.defaults);
+
+    const result = Object.assign(context.components ? {} : { $schema: internals.dialect }, json === false ? { not: {} } : json);
+    converter.resolve(result);
+
+    if (converter.reports.length &&
+        options.unsupported !== 'annotate') {
+
+        throw new Error(`Cannot convert to JSON Schema: ${converter.reports.map(({ message, pointer }) => `${message} at ${pointer}`).join(', ')}`);
+    }
+
+    return result;
+};
+
+
+internals.Converter = class {
+
+    constructor(root, options, context) {
+
+        this.root = root;
+        this.options = options;
+        this.components = context.components || null;                  // Component name -> schema
+        this.base = context.base === undefined ? '#' : context.base;     // Output location (null when unknown)
+        this.links = [];
+        this.outputs = new Map();
+        this.reports = [];
+    }
+
+    // Convert a schema node where ancestors follows the validation state schemas order (self first)
+
+    node(schema, pointer, ancestors, prefs) {
+
+        if (schema._preferences) {
+            prefs = Common.preferences(prefs, schema._preferences);
+        }
+
+        if (schema._flags.presence === 'forbidden') {
+            return false;
+        }
+
+        if (this.components &&
+            schema !== this.root &&
+            schema._flags.id !== undefined) {
+
+            return this.component(schema);
+        }
+
+        let json = {};
+
+        // Annotations
+
+        if (schema._flags.label !== undefined) {
+            json.title = schema._flags.label;
+        }
+
+        const description = [schema._flags.description, ...schema._inners.notes].filter((line) => line !== undefined);
+        if (description.length) {
+            json.description = description.join('\n\n');
+        }
+
+        // Type
+
+        const type = internals.types[schema._type];
+        if (!type ||
+            schema._flags._func) {
+
+            this.report(json, pointer, `type "${schema._flags._func ? 'func' : schema._type}"`);
+        }
+        else {
+            type.call(this, schema, json, pointer, ancestors, prefs);
+
+            for (const test of schema._tests) {
+                this.rule(schema, test, json, pointer, ancestors, prefs);
+            }
+        }
+
+        if (schema._inners.externals) {
+            this.report(json, pointer, 'external rules');
+        }
+
+        // Values
+
+        json = this.values(schema, json, pointer);
+
+        if (schema._flags.empty) {
+            json = { anyOf: [json, this.node(schema._flags.empty, `${pointer}/anyOf/1`, [schema._flags.empty, ...ancestors.slice(1)], prefs)] };
+        }
+
+        // Default and examples
+
+        if (schema._flags.default !== undefined) {
+            const value = schema._flags.default;
+            if (internals.isJson(value)) {
+                json.default = internals.json(value);
+            }
+            else {
+                this.report(json, pointer, typeof value === 'function' ? 'default function' : (Common.isResolvable(value) ? `reference "${value.display}" in default` : 'default value'));
+            }
+        }
+
+        if (schema._inners.examples) {
+            json.examples = schema._inners.examples.map(internals.json);
+        }
+
+        // Extensions
+
+        if (schema._inners.tags.length) {
+            json['x-tags'] = schema._inners.tags.slice();
+        }
+
+        for (const meta of schema._inners.metas) {
+            if (!internals.isObject(meta) ||
+                !internals.isJson(meta)) {
+
+                this.report(json, pointer, 'meta value');
+                continue;
+            }
+
+            for (const key in meta) {
+                json[key.startsWith('x-') ? key : `x-${key}`] = internals.json(meta[key]);
+            }
+        }
+
+        const outputs = this.outputs.get(schema) || [];
+        this.outputs.set(schema, [...outputs, json]);
+        return json;
+    }
+
+    rule(schema, test, json, pointer, ancestors, prefs) {
+
+        const rules = internals.rules[schema._type];
+        const method = rules && rules[test.name];
+        if (!method) {
+            if (!internals.skip.includes(test.name)) {
+                this.report(json, pointer, `rule "${test.name}"`);
+            }
+
+            return;
+        }
+
+        for (const key in test.args) {
+            const arg = test.args[key];
+            if (Common.isResolvable(arg)) {
+                this.report(json, pointer, `reference "${arg.display}" in rule "${test.name}"`);
+                return;
+            }
+        }
+
+        if (method.call(this, json, test.args || {}, { operator: test.rule.operator, pointer, ancestors, prefs }) === false) {
+            this.report(json, pointer, `rule "${test.name}"`);
+        }
+    }
+
+    values(schema, json, pointer) {
+
+        // Invalid values
+
+        if (schema._invalids) {
+            const invalids = [];
+            for (const value of schema._invalids.values()) {
+                if (Common.isResolvable(value)) {
+                    this.report(json, pointer, `reference "${value.display}" in invalid values`);
+                }
+                else if (value === '' &&
+                    json.type === 'string') {
+
+                    json.minLength = Math.max(json.minLength || 0, 1);
+                }
+                else if (internals.isJson(value)) {
+                    invalids.push(internals.json(value));
+                }
+            }
+
+            if (invalids.length) {
+                internals.all(json, [{ not: invalids.length === 1 ? { const: invalids[0] } : { enum: invalids } }]);
+            }
+        }
+
+        // Allowed values
+
+        if (!schema._valids) {
+            return json;
+        }
+
+        const valids = [];
+        for (const value of schema._valids.values({ stripUndefined: true })) {
+            if (Common.isResolvable(value)) {
+                this.report(json, pointer, `reference "${value.display}" in allowed values`);
+            }
+            else if (!internals.isJson(value)) {
+                this.report(json, pointer, `allowed value ${String(value)}`);
+            }
+            else {
+                valids.push(internals.json(value));
+            }
+        }
+
+        if (schema._flags.insensitive &&
+            valids.some((value) => typeof value === 'string')) {
+
+            this.report(json, pointer, 'case insensitive values');
+        }
+
+        if (schema._flags.only) {
+            const only = {};
+            for (const key of Object.keys(json)) {
+                if (internals.annotations.includes(key) ||
+                    key === internals.keyword ||
+                    key === 'type' && valids.every((value) => internals.conforms(json.type, value))) {
+
+                    only[key] = json[key];
+                }
+            }
+
+            return Object.assign(only, valids.length === 1 ? { const: valids[0] } : { enum: valids });
+        }
+
+        // Values already matching an unrestricted type and null values
+
+        let others = valids;
+
+        const keywords = Object.keys(json).filter((key) => !internals.annotations.includes(key) && key !== internals.keyword);
+        if (!keywords.length) {
+            return json;
+        }
+
+        if (keywords.length === 1 &&
+            keywords[0] === 'type') {
+
+            others = others.filter((value) => !internals.conforms(json.type, value));
+        }
+
+        if (typeof json.type === 'string' &&
+            others.includes(null)) {
+
+            json.type = [json.type, 'null'];
+            others = others.filter((value) => value !== null);
+        }
+
+        if (!others.length) {
+            return json;
+        }
+
+        const allowed = others.length === 1 ? { const: others[0] } : { enum: others };
+        const wrapped = { anyOf: [json, allowed] };
+        for (const key of [...internals.annotations, internals.keyword]) {
+            if (json[key] !== undefined) {
+                wrapped[key] = json[key];
+                delete json[key];
+            }
+        }
+
+        return wrapped;
+    }
+
+    // Resolve links to the location of the converted linked schema
+
+    resolve(result) {
+
+        for (const { json, target, pointer, ref } of this.links) {
+            const location = target === this.root ? '#' : this.locate(result, target);
+            if (!location) {
+                this.report(json, pointer, `link "${ref.display}" to a schema without JSON Schema output`);
+            }
+            else if (this.base === null) {
+                this.report(json, pointer, `link "${ref.display}" outside of a component`);
+            }
+            else {
+                json.$ref = this.base + location.slice(1);
+            }
+        }
+    }
+
+    // Reference a schema with an id as an OpenAPI component
+
+    component(schema) {
+
+        const name = schema._flags.id;
+        if (!this.components.has(name)) {
+            this.components.set(name, schema);
+        }
+
+        return { $ref: `#/components/schemas/${internals.escape(name)}` };
+    }
+
+    locate(result, target) {
+
+        const outputs = this.outputs.get(target);
+        if (!outputs) {
+            return null;
+        }
+
+        const locations = internals.locations(result, '#', new Map());
+        for (const output of outputs) {
+            if (locations.has(output)) {
+                return locations.get(output);
+            }
+        }
+
+        return null;
+    }
+
+    report(json, pointer, message) {
+
+        this.reports.push({ message, pointer });
+
+        if (this.options.unsupported === 'annotate') {
+            json[internals.keyword] = json[internals.keyword] || [];
+            json[internals.keyword].push(message);
+        }
+    }
+};
+
+
+internals.types = {
+
+    alternatives: function (schema, json, pointer, ancestors, prefs) {
+
+        const matches = schema._inners.matches;
+        if (matches.every((match) => match.schema)) {
+            json.anyOf = matches.map((match, i) => this.node(match.schema, `${pointer}/anyOf/${i}`, [match.schema, ...ancestors], prefs));
+            return;
+        }
+
+        Object.assign(json, internals.conditions.call(this, matches, 0, json, pointer, ancestors, prefs) || { not: {} });
+    },
+
+    any: function () { },
+
+    array: function (schema, json, pointer, ancestors, prefs) {
+
+        json.type = 'array';
+
+        const contains = [];
+        const ordered = schema._inners.ordered;
+        if (ordered.length) {
+            json.prefixItems = ordered.map((item, i) => this.node(item, `${pointer}/prefixItems/${i}`, [item, ...ancestors], prefs));
+
+            let required = 0;
+            for (let i = 0; i < ordered.length; ++i) {
+                if (ordered[i]._flags.presence === 'required') {
+                    required = i + 1;
+                }
+            }
+
+            if (required) {
+                json.minItems = required;
+            }
+        }
+
+        const items = [];
+        for (const item of schema._inners.items) {
+            const presence = item._flags.presence;
+            if (presence === 'forbidden') {
+                const node = this.node(item.optional(), `${pointer}/allOf/${contains.length}/not/contains`, [item, ...ancestors], prefs);
+                contains.push({ not: { contains: node } });
+                continue;
+            }
+
+            items.push(item);
+            if (presence === 'required') {
+                contains.push({ contains: this.node(item, `${pointer}/allOf/${contains.length}/contains`, [item, ...ancestors], prefs) });
+            }
+        }
+
+        if (items.length) {
+            json.items = items.length === 1 ?
+                this.node(items[0], `${pointer}/items`, [items[0], ...ancestors], prefs) :
+                { anyOf: items.map((item, i) => this.node(item, `${pointer}/items/anyOf/${i}`, [item, ...ancestors], prefs)) };
+        }
+        else if (ordered.length ||
+            schema._inners.items.length) {
+
+            json.items = false;
+        }
+
+        internals.all(json, contains);
+    },
+
+    binary: function (schema, json) {
+
+        json.type = 'string';
+        json.contentEncoding = 'base64';
+    },
+
+    boolean: function (schema, json) {
+
+        json.type = 'boolean';
+    },
+
+    date: function (schema, json) {
+
+        if (['javascript', 'unix'].includes(schema._flags.format)) {
+            json.type = 'number';
+            return;
+        }
+
+        json.type = 'string';
+        json.format = 'date-time';
+    },
+
+    link: function (schema, json, pointer, ancestors) {
+
+        if (!schema._inners.link) {
+            this.report(json, pointer, 'uninitialized link');
+            return;
+        }
+
+        const ref = schema._inners.link[0].ref;
+        const perspective = ref.ancestor === 'root' ? ancestors[ancestors.length - 1] : ancestors[ref.ancestor];
+        if (!perspective) {
+            this.report(json, pointer, `link "${ref.display}" outside of the schema`);
+            return;
+        }
+
+        try {
+            var target = ref.path.length ? perspective._ids.reach(ref.path) : perspective;
+        }
+        catch (err) {
+            this.report(json, pointer, `link "${ref.display}" to a missing schema`);
+            return;
+        }
+
+        if (this.components &&
+            target !== this.root &&
+            target._flags.id !== undefined) {
+
+            Object.assign(json, this.component(target));
+            return;
+        }
+
+        this.links.push({ json, target, pointer, ref });                  // Resolved once the entire schema is converted
+    },
+
+    number: function (schema, json) {
+
+        json.type = 'number';
+    },
+
+    object: function (schema, json, pointer, ancestors, prefs) {
+
+        json.type = 'object';
+
+        const keys = schema._inners.keys;
+        if (keys) {
+            json.properties = {};
+            const required = [];
+            for (const child of keys) {
+                json.properties[child.key] = this.node(child.schema, `${pointer}/properties/${internals.escape(child.key)}`, [child.schema, ...ancestors], prefs);
+                if (child.schema._flags.presence === 'required') {
+                    required.push(child.key);
+                }
+            }
+
+            if (required.length) {
+                json.required = required;
+            }
+        }
+
+        let unknown = Common.default(schema._flags.unknown, prefs.allowUnknown);
+
+        if (schema._inners.patterns) {
+            for (const pattern of schema._inners.patterns) {
+                if (!pattern.regex ||
+                    pattern.matches ||
+                    !internals.regex(pattern.regex)) {
+
+                    this.report(json, pointer, pattern.regex ? `key pattern ${pattern.regex}` : 'key schema pattern');
+                    unknown = true;
+                    continue;
+                }
+
+                json.patternProperties = json.patternProperties || {};
+                json.patternProperties[pattern.regex.source] = this.node(pattern.rule, `${pointer}/patternProperties/${internals.escape(pattern.regex.source)}`, [pattern.rule, ...ancestors], prefs);
+            }
+        }
+
+        if ((keys || schema._inners.patterns) &&
+            !unknown) {
+
+            json.additionalProperties = false;
+        }
+
+        if (schema._inners.renames) {
+            this.report(json, pointer, 'renames');
+        }
+
+        // Dependencies
+
+        const all = [];
+        for (const dep of schema._inners.dependencies || []) {
+            const peers = dep.peers.map(internals.key);
+            const key = dep.key ? internals.key(dep.key) : undefined;
+            if (peers.includes(null) ||
+                key === null) {
+
+                this.report(json, pointer, `nested keys in ${dep.type} dependency`);
+                continue;
+            }
+
+            if (dep.type === 'with') {
+                json.dependentRequired = json.dependentRequired || {};
+                json.dependentRequired[key] = [...new Set([...json.dependentRequired[key] || [], ...peers])];
+                continue;
+            }
+
+            all.push(internals.dependencies[dep.type](peers, key));
+        }
+
+        internals.all(json, all);
+    },
+
+    string: function (schema, json) {
+
+        json.type = 'string';
+    }
+};
+
+
+internals.conditions = function (matches, i, json, pointer, ancestors, prefs) {
+
+    if (i === matches.length) {
+        return false;
+    }
+
+    let rest;
+    const next = () => {
+
+        if (rest === undefined) {
+            rest = internals.conditions.call(this, matches, i + 1, json, pointer, ancestors, prefs);
+        }
+
+        return rest;
+    };
+
+    const node = (schema, keyword) => this.node(schema, `${pointer}/${keyword}`, [schema, ...ancestors], prefs);
+    const match = matches[i];
+
+    if (match.schema) {
+        const schema = node(match.schema, 'anyOf');
+        return next() === false ? schema : { anyOf: [schema, next()] };
+    }
+
+    const then = match.then ? node(match.then, 'then') : next();
+    const otherwise = match.otherwise ? node(match.otherwise, 'else') : next();
+
+    if (match.peek) {
+        return { if: node(match.peek, 'if'), then, else: otherwise };
+    }
+
+    this.report(json, pointer, `condition on "${match.ref.display}"`);
+    const branches = [then, otherwise].filter((branch) => branch !== false);
+    if (!branches.length) {
+        return false;
+    }
+
+    return branches.length === 1 ? branches[0] : { anyOf: branches };
+};
+
+
+internals.dependencies = {
+
+    and: function (peers) {
+
+        return { anyOf: [{ required: peers }, internals.none(peers)] };
+    },
+
+    nand: function (peers) {
+
+        return { not: { required: peers } };
+    },
+
+    or: function (peers) {
+
+        return { anyOf: peers.map((peer) => ({ required: [peer] })) };
+    },
+
+    oxor: function (peers) {
+
+        const pairs = [];
+        for (let i = 0; i < peers.length; ++i) {
+            for (let j = i + 1; j < peers.length; ++j) {
+                pairs.push({ required: [peers[i], peers[j]] });
+            }
+        }
+
+        return { not: { anyOf: pairs } };
+    },
+
+    without: function (peers, key) {
+
+        return { dependentSchemas: { [key]: internals.none(peers) } };
+    },
+
+    xor: function (peers) {
+
+        return { oneOf: peers.map((peer) => ({ required: [peer] })) };
+    }
+};
+
+
+internals.rules = {
+
+    array: {
+        has: function (json, { schema }, { pointer, ancestors, prefs }) {
+
+            const index = json.allOf ? json.allOf.length : 0;
+            internals.all(json, [{ contains: this.node(schema.optional(), `${pointer}/allOf/${index}/contains`, [schema, ...ancestors], prefs) }]);
+        },
+        length: (json, { limit }, { operator }) => internals.limit(json, 'minItems', 'maxItems', limit, operator),
+        max: (json, { limit }, { operator }) => internals.limit(json, 'minItems', 'maxItems', limit, operator),
+        min: (json, { limit }, { operator }) => internals.limit(json, 'minItems', 'maxItems', limit, operator),
+        unique: (json, { comparator }) => {
+
+            if (comparator) {
+                return false;
+            }
+
+            json.uniqueItems = true;
+        }
+    },
+
+    number: {
+        greater: (json, { limit }) => {
+
+            json.exclusiveMinimum = limit;
+        },
+        integer: (json) => {
+
+            json.type = 'integer';
+        },
+        less: (json, { limit }) => {
+
+            json.exclusiveMaximum = limit;
+        },
+        max: (json, { limit }) => {
+
+            json.maximum = limit;
+        },
+        min: (json, { limit }) => {
+
+            json.minimum = limit;
+        },
+        multiple: (json, { base }) => {
+
+            json.multipleOf = base;
+        },
+        port: (json) => {
+
+            json.type = 'integer';
+            json.minimum = 0;
+            json.maximum = 65535;
+        },
+        sign: (json, { sign }) => {
+
+            json[sign === 'positive' ? 'exclusiveMinimum' : 'exclusiveMaximum'] = 0;
+        }
+    },
+
+    object: {
+        length: (json, { limit }, { operator }) => internals.limit(json, 'minProperties', 'maxProperties', limit, operator),
+        max: (json, { limit }, { operator }) => internals.limit(json, 'minProperties', 'maxProperties', limit, operator),
+        min: (json, { limit }, { operator }) => internals.limit(json, 'minProperties', 'maxProperties', limit, operator)
+    },
+
+    string: {
+        alphanum: (json) => internals.pattern(json, '^[a-zA-Z0-9]*$'),
+        base64: (json) => {
+
+            json.contentEncoding = 'base64';
+        },
+        email: (json, { options }) => {
+
+            if (options.multiple) {
+                return false;
+            }
+
+            json.format = 'email';
+        },
+        guid: (json) => {
+
+            json.format = 'uuid';
+        },
+        hex: (json, { options }) => {
+
+            if (options.byteAligned) {
+                return false;
+            }
+
+            internals.pattern(json, '^[a-fA-F0-9]*$');
+        },
+        hostname: (json) => {
+
+            json.format = 'hostname';
+        },
+        ip: (json, { options }) => {
+
+            const versions = [].concat(options.version || []);
+            if (options.cidr !== 'forbidden' ||
+                versions.length !== 1) {
+
+                return false;
+            }
+
+            json.format = versions[0];
+        },
+        isoDate: (json) => {
+
+            json.format = 'date-time';
+        },
+        isoDuration: (json) => {
+
+            json.format = 'duration';
+        },
+        length: (json, { limit }, { operator }) => internals.limit(json, 'minLength', 'maxLength', limit, operator),
+        max: (json, { limit }, { operator }) => internals.limit(json, 'minLength', 'maxLength', limit, operator),
+        min: (json, { limit }, { operator }) => internals.limit(json, 'minLength', 'maxLength', limit, operator),
+        pattern: (json, { regex, options }) => {
+
+            if (!internals.regex(regex)) {
+                return false;
+            }
+
+            if (options.invert) {
+                internals.all(json, [{ not: { pattern: regex.source } }]);
+                return;
+            }
+
+            internals.pattern(json, regex.source);
+        },
+        token: (json) => internals.pattern(json, '^\\w*$'),
+        uri: (json, { options }) => {
+
+            if (Object.keys(options).some((key) => !['allowRelative', 'relativeOnly'].includes(key))) {
+                return false;
+            }
+
+            json.format = options.allowRelative || options.relativeOnly ? 'uri-reference' : 'uri';
+        }
+    }
+};
+
+
+internals.skip = ['items'];                                // Converted with the array type
+
+
+internals.key = function (ref) {
+
+    return ref.path.length === 1 ? ref.path[0] : null;
+};
+
+
+internals.none = function (peers) {
+
+    return { not: { anyOf: peers.map((peer) => ({ required: [peer] })) } };
+};
+
+
+internals.all = function (json, schemas) {
+
+    if (!schemas.length) {
+        return;
+    }
+
+    json.allOf = [...json.allOf || [], ...schemas];
+};
+
+
+internals.limit = function (json, min, max, limit, operator) {
+
+    if (operator !== '<=') {
+        json[min] = json[min] === undefined ? limit : Math.max(json[min], limit);
+    }
+
+    if (operator !== '>=') {
+        json[max] = json[max] === undefined ? limit : Math.min(json[max], limit);
+    }
+};
+
+
+internals.pattern = function (json, source) {
+
+    if (json.pattern === undefined) {
+        json.pattern = source;
+        return;
+    }
+
+    internals.all(json, [{ pattern: source }]);
+};
+
+
+internals.regex = function (regex) {
+
+    return !regex.flags.replace('u', '');
+};
+
+
+internals.conforms = function (type, value) {
+
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'object': return value !== null && typeof value === 'object';
+    }
+
+    return typeof value === type;
+};
+
+
+internals.isJson = function (value) {
+
+    if (value === null ||
+        ['boolean', 'string'].includes(typeof value) ||
+        value instanceof Date) {
+
+        return true;
+    }
+
+    if (typeof value === 'number') {
+        return Number.isFinite(value);
+    }
+
+    if (Array.isArray(value)) {
+        return value.every(internals.isJson);
+    }
+
+    if (typeof value === 'object' &&
+        Object.getPrototypeOf(value) === Object.prototype) {
+
+        return Object.values(value).every(internals.isJson);
+    }
+
+    return false;
+};
+
+
+internals.json = function (value) {
+
+    return JSON.parse(JSON.stringify(value));
+};
+
+
+internals.locations = function (json, pointer, locations) {
+
+    if (!json ||
+        typeof json !== 'object') {
+
+        return locations;
+    }
+
+    locations.set(json, pointer);
+    for (const key of Object.keys(json)) {
+        internals.locations(json[key], `${pointer}/${internals.escape(key)}`, locations);
+    }
+
+    return locations;
+};
+
+
+internals.escape = function (segment) {
+
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+};
+
+
+internals.isObject = function (value) {
+
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
@@ -326,7 +326,12 @@ internals.Builder = class {
             }
 
             const values = this.structure(desc[key]);
-            if (['examples', 'externals', 'metas', 'notes', 'tags'].includes(key)) {
+            if (key === 'externals') {
+                for (const value of values) {
+                    schema = typeof value === 'function' ? schema.external(value) : schema.external(value.method, { batch: value.batch });
+                }
+            }
+            else if (['examples', 'metas', 'notes', 'tags'].includes(key)) {
                 for (const value of values) {
                     schema = schema[key.slice(0, -1)](value);
                 }
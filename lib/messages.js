@@ -5,7 +5,10 @@ const Hoek = require('@hapi/hoek');
 const Template = require('./template');
 
 
-const internals = {};
+const internals = {
+    catalogs: new Map(),
+    special: ['root', 'suggestion']                 // Not error codes
+};
 
 
 exports.compile = function (messages, target) {
@@ -33,6 +36,20 @@ exports.compile = function (messages, target) {
     for (let code in messages) {
         const message = messages[code];
 
+        // By path { paths: { 'billing.zip': { 'string.pattern.base': <string | template> } } }
+
+        if (code === 'paths') {
+            Hoek.assert(typeof message === 'object' && !Array.isArray(message), 'Invalid path messages');
+
+            target.paths = target.paths || {};
+            for (const path in message) {
+                Hoek.assert(typeof message[path] === 'object' && !Array.isArray(message[path]), 'Invalid messages for path', path);
+                target.paths[path] = Object.assign({}, target.paths[path], exports.compile(message[path]));
+            }
+
+            continue;
+        }
+
         if (code === 'root' ||
             Template.isTemplate(message)) {
 
@@ -89,6 +106,17 @@ exports.decompile = function (messages) {
             continue;
         }
 
+        // By path { paths: { 'billing.zip': { 'string.pattern.base': <string | template> } } }
+
+        if (code === 'paths') {
+            target.paths = {};
+            for (const path in message) {
+                target.paths[path] = exports.decompile(message[path]);
+            }
+
+            continue;
+        }
+
         // By language { english: { 'number.min': <string | template> } }
 
         const language = code;
@@ -110,8 +138,81 @@ exports.decompile = function (messages) {
 };
 
 
+exports.register = function (locale, messages) {
+
+    Hoek.assert(typeof locale === 'string' && locale, 'Invalid locale');
+    Hoek.assert(messages && typeof messages === 'object' && !Array.isArray(messages), 'Invalid messages catalog for', locale);
+
+    // Codes missing from the catalog can be provided by its fallback locales (e.g. 'de' for 'de-CH')
+
+    const codes = Object.keys(messages);
+    for (const fallback of exports.locales(locale).slice(1)) {
+        const catalog = internals.catalogs.get(fallback);
+        if (catalog) {
+            codes.push(...Object.keys(catalog));
+        }
+    }
+
+    const missing = exports.missing(codes);
+    Hoek.assert(!missing.length, 'Messages catalog for', locale, 'is missing codes:', missing.join(', '));
+
+    const catalog = {};
+    for (const code in messages) {
+        const message = messages[code];
+
+        if (code === 'root') {
+            Hoek.assert(typeof message === 'string', 'Invalid root message in', locale);
+            catalog[code] = message;
+            continue;
+        }
+
+        Hoek.assert(typeof message === 'string' || Template.isTemplate(message), 'Invalid message for', code, 'in', locale);
+        catalog[code] = typeof message === 'string' ? new Template(message) : message;
+    }
+
+    internals.catalogs.set(locale, catalog);
+};
+
+
+exports.localize = function (language, code) {
+
+    // Registered catalogs from the most to the least specific locale ('de-CH' -> 'de')
+
+    for (const locale of exports.locales(language)) {
+        const catalog = internals.catalogs.get(locale);
+        if (catalog &&
+            catalog[code] !== undefined) {
+
+            return catalog[code];
+        }
+    }
+};
+
+
+exports.locales = function (language) {
+
+    const locales = [];
+    const subtags = language.split('-');
+    while (subtags.length) {
+        locales.push(subtags.join('-'));
+        subtags.pop();
+    }
+
+    return locales;
+};
+
+
+exports.missing = function (codes) {
+
+    return Object.keys(exports.errors)
+        .filter((code) => !internals.special.includes(code) && !codes.includes(code))
+        .sort();
+};
+
+
 exports.errors = {
     root: 'value',
+    suggestion: ' (did you mean "{{#suggestion}}"?)',
 
     'alternatives.base': '"{{#label}}" does not match any of the allowed types',
     'alternatives.match': '"{{#label}}" does not match any of the allowed types',
@@ -121,6 +222,10 @@ exports.errors = {
     'any.empty': '"{{#label}}" is not allowed to be empty',
     'any.failover': '"{{#label}}" threw an error when running failover method',
     'any.invalid': '"{{#label}}" contains an invalid value',
+    'any.maxDepth': '"{{#label}}" exceeds the maximum nesting depth of {{#limit}}',
+    'any.maxItems': '"{{#label}}" exceeds the maximum of {{#limit}} items',
+    'any.maxKeys': '"{{#label}}" exceeds the maximum of {{#limit}} keys',
+    'any.maxStringLength': '"{{#label}}" exceeds the maximum length of {{#limit}} characters',
     'any.only': '"{{#label}}" must be one of {{#valids}}',
     'any.required': '"{{#label}}" is required',
     'any.unknown': '"{{#label}}" is not allowed',
@@ -163,6 +268,8 @@ exports.errors = {
     'date.timestamp.javascript': '"{{#label}}" must be a valid timestamp or number of milliseconds',
     'date.timestamp.unix': '"{{#label}}" must be a valid timestamp or number of seconds',
 
+    'external': '{{#message}} ({{#label}})',
+
     'function.arity': '"{{#label}}" must have an arity of {{#n}}',
     'function.base': '"{{#label}}" must be a Function',
     'function.class': '"{{#label}}" must be a class',
@@ -209,6 +316,12 @@ exports.errors = {
     'object.without': '"{{#mainWithLabel}}" conflict with forbidden peer "{{#peerWithLabel}}"',
     'object.xor': '"{{#label}}" contains a conflict between exclusive peers {{#peersWithLabels}}',
 
+    'patch.forbidden': '"{{#label}}" must not reference forbidden path "{{#pointer}}"',
+    'patch.incompatible': '"{{#label}}" references path "{{#pointer}}" with a different schema than "{{#from}}"',
+    'patch.pointer': '"{{#label}}" must be a valid JSON pointer',
+    'patch.required': '"{{#label}}" must not remove required path "{{#pointer}}"',
+    'patch.unknown': '"{{#label}}" references path "{{#pointer}}" which is not allowed',
+
     'string.alphanum': '"{{#label}}" must only contain alpha-numeric characters',
     'string.base': '"{{#label}}" must be a string',
     'string.base64': '"{{#label}}" must be a valid base64 string',
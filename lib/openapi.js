@@ -0,0 +1,113 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+
+const Common = require('./common');
+const JsonSchema = require('./jsonschema');
+
+
+const internals = {
+    locations: ['cookie', 'header', 'path', 'query'],
+    name: /^[\w.-]+$/,
+    type: 'application/json'
+};
+
+
+exports.components = function (schemas, options = {}) {
+
+    Hoek.assert(Array.isArray(schemas), 'Component schemas must be an array');
+
+    const components = new Map();
+    for (const schema of schemas) {
+        Hoek.assert(Common.isSchema(schema), 'Invalid schema object');
+
+        const name = schema._flags.id || schema._flags.label;
+        Hoek.assert(name, 'Component schemas must have an id or label');
+        Hoek.assert(!components.has(name), 'Duplicate component name', name);
+
+        components.set(name, schema);
+    }
+
+    // Schemas with an id found while converting are added to the components (and converted in turn)
+
+    const result = {};
+    for (const [name, schema] of components) {
+        Hoek.assert(internals.name.test(name), 'Invalid component name', name);
+        result[name] = JsonSchema.convert(schema, options, { components, base: `#/components/schemas/${name}` });
+    }
+
+    return { schemas: result };
+};
+
+
+exports.parameters = function (schema, location, options = {}) {
+
+    Hoek.assert(Common.isSchema(schema) && schema._type === 'object', 'Parameters schema must be an object schema');
+    Hoek.assert(internals.locations.includes(location), 'Invalid parameters location', location);
+
+    Common.assertOptions(options, ['components', 'unsupported']);
+
+    const components = internals.components(options);
+    const json = JsonSchema.convert(schema, { unsupported: options.unsupported }, { components, base: null });
+
+    const parameters = [];
+    for (const key in json.properties) {
+        const property = json.properties[key];
+        if (property === false) {
+            continue;
+        }
+
+        const parameter = {
+            name: key,
+            in: location,
+            required: (json.required || []).includes(key)
+        };
+
+        Hoek.assert(parameter.required || location !== 'path', 'Path parameter must be required:', key);
+
+        if (property.description !== undefined) {
+            parameter.description = property.description;
+            delete property.description;
+        }
+
+        parameter.schema = property;
+        parameters.push(parameter);
+    }
+
+    return parameters;
+};
+
+
+exports.requestBody = function (schema, options = {}) {
+
+    Hoek.assert(Common.isSchema(schema), 'Invalid schema object');
+    Common.assertOptions(options, ['components', 'type', 'unsupported']);
+
+    const components = internals.components(options);
+    const body = {};
+    let json = { $ref: `#/components/schemas/${schema._flags.id}` };
+
+    if (schema._flags.id === undefined) {
+        json = JsonSchema.convert(schema, { unsupported: options.unsupported }, { components, base: null });
+        if (json.description !== undefined) {
+            body.description = json.description;
+            delete json.description;
+        }
+    }
+    else if (!components.has(schema._flags.id)) {
+        components.set(schema._flags.id, schema);
+    }
+
+    body.required = schema._flags.presence !== 'optional';
+    body.content = { [options.type || internals.type]: { schema: json } };
+    return body;
+};
+
+
+internals.components = function (options) {
+
+    // Schemas with an id referenced by the output are added to the shared components (name -> schema)
+
+    Hoek.assert(options.components === undefined || options.components instanceof Map, 'Invalid components option');
+    return options.components || new Map();
+};
@@ -0,0 +1,321 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+
+const Common = require('./common');
+const Validator = require('./validator');
+
+let Schemas;
+
+
+const internals = {
+    unrestricted: { schema: null }
+};
+
+
+exports.entry = function (patch, schema, prefs) {
+
+    return Validator.run(patch, schema, Validator.settings(prefs), internals.validate, []);      // Sensitive operation values are found while validating
+};
+
+
+internals.validate = function (patch, schema, state, prefs) {
+
+    Schemas = Schemas || require('./schemas');
+
+    // Validate the patch document structure
+
+    const result = Schemas.patch._validate(patch, state, prefs);
+    if (result.errors) {
+        return result;
+    }
+
+    prefs = Common.preferences(prefs, schema._preferences);
+
+    const errors = [];
+    const operations = [];
+
+    for (let i = 0; i < result.value.length; ++i) {
+        const operation = Object.assign({}, result.value[i]);
+        const outcome = internals.operation(operation, i, schema, state, prefs);
+
+        if (outcome.errors) {
+            errors.push(...outcome.errors);
+            if (Common.abort(errors, prefs)) {
+                break;
+            }
+
+            continue;
+        }
+
+        if (!outcome.strip) {
+            operations.push(operation);
+        }
+    }
+
+    return { value: operations, errors: errors.length ? errors : null };
+};
+
+
+internals.operation = function (operation, index, schema, state, prefs) {
+
+    const errors = [];
+
+    // Source path (removed for move)
+
+    let source;
+    if (operation.from !== undefined) {
+        source = internals.reach(schema, operation.from, state, prefs);
+        if (source.code) {
+            errors.push(internals.error(source.code, operation.from, index, 'from', schema, state, prefs));
+        }
+        else if (operation.op === 'move' &&
+            internals.required(source)) {
+
+            errors.push(internals.error('patch.required', operation.from, index, 'from', schema, state, prefs));
+        }
+
+        if (errors.length &&
+            prefs.abortEarly) {
+
+            return { errors };
+        }
+    }
+
+    // Target path
+
+    const target = internals.reach(schema, operation.path, state, prefs);
+    if (target.code) {
+        errors.push(internals.error(target.code, operation.path, index, 'path', schema, state, prefs));
+        return { errors };
+    }
+
+    if (operation.op === 'remove') {
+        if (internals.required(target)) {
+            errors.push(internals.error('patch.required', operation.path, index, 'path', schema, state, prefs));
+        }
+    }
+    else if (operation.op !== 'test' &&
+        target.schema &&
+        target.schema._flags.presence === 'forbidden') {
+
+        errors.push(internals.error('patch.forbidden', operation.path, index, 'path', schema, state, prefs));
+    }
+    else if (source &&
+        !source.code &&
+        !internals.compatible(source, target)) {
+
+        errors.push(internals.error('patch.incompatible', operation.path, index, 'path', schema, state, prefs, { from: operation.from }));
+    }
+    else if (['add', 'replace'].includes(operation.op) &&
+        target.schema) {
+
+        // Validate value against the path schema
+
+        const localState = schema._state([index, 'value'], [], state);
+        const result = target.schema._validate(operation.value, localState, prefs);
+        if (result.errors) {
+            errors.push(...result.errors);
+        }
+        else {
+            operation.value = result.value;
+        }
+    }
+
+    if (errors.length) {
+        return { errors };
+    }
+
+    return { strip: target.strip };
+};
+
+
+internals.reach = function (schema, pointer, state, prefs) {
+
+    if (pointer &&
+        pointer[0] !== '/') {
+
+        return { code: 'patch.pointer' };
+    }
+
+    let node = schema;
+    let strip = false;
+    let item = false;
+
+    for (const segment of internals.segments(pointer)) {
+        if (node._flags.presence === 'forbidden') {
+            return { code: 'patch.forbidden' };
+        }
+
+        strip = strip || node._flags.result === 'strip';
+        item = node._type === 'array';
+
+        const child = internals.child(node, segment, state, prefs);
+        if (!child) {
+            return { code: 'patch.unknown' };
+        }
+
+        if (!child.schema) {
+            return { schema: null, strip };
+        }
+
+        node = child.schema;
+    }
+
+    return { schema: node, item, strip: strip || node._flags.result === 'strip' };
+};
+
+
+internals.segments = function (pointer) {
+
+    if (!pointer) {
+        return [];
+    }
+
+    return pointer.slice(1).split('/').map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+
+internals.child = function (schema, segment, state, prefs) {
+
+    switch (schema._type) {
+        case 'any': return schema._valids ? null : internals.unrestricted;
+        case 'alternatives': return internals.alternatives(schema, segment, state, prefs);
+        case 'array': return internals.array(schema, segment);
+        case 'object': return internals.object(schema, segment, state, prefs);
+    }
+
+    return null;
+};
+
+
+internals.alternatives = function (schema, segment, state, prefs) {
+
+    // Path must exist in at least one of the alternatives (without resolving conditions)
+
+    const schemas = [];
+    for (const match of schema._inners.matches) {
+        for (const branch of [match.schema, match.then, match.otherwise]) {
+            if (!branch) {
+                continue;
+            }
+
+            const child = internals.child(branch, segment, state, prefs);
+            if (child) {
+                if (!child.schema) {
+                    return internals.unrestricted;
+                }
+
+                schemas.push(child.schema);
+            }
+        }
+    }
+
+    if (!schemas.length) {
+        return null;
+    }
+
+    return { schema: schemas.length === 1 ? schemas[0] : schema._root.alternatives().try(schemas) };
+};
+
+
+internals.array = function (schema, segment) {
+
+    if (segment !== '-' &&
+        !/^(?:0|[1-9]\d*)$/.test(segment)) {
+
+        return null;
+    }
+
+    const index = segment === '-' ? Infinity : parseInt(segment, 10);
+    if (index < schema._inners.ordered.length) {
+        return { schema: schema._inners.ordered[index] };
+    }
+
+    if (!schema._inners.items.length) {
+        return schema._inners.ordered.length ? null : internals.unrestricted;
+    }
+
+    const items = schema._inners.items.filter((item) => item._flags.presence !== 'forbidden');
+    if (!items.length) {
+        return null;
+    }
+
+    return { schema: items.length === 1 ? items[0] : schema._root.alternatives().try(items) };
+};
+
+
+internals.object = function (schema, segment, state, prefs) {
+
+    if (!schema._inners.keys &&
+        !schema._inners.patterns) {
+
+        return internals.unrestricted;
+    }
+
+    if (schema._inners.keys) {
+        const child = schema._inners.keys.find((item) => item.key === segment);
+        if (child) {
+            return { schema: child.schema };
+        }
+    }
+
+    if (schema._inners.patterns) {
+        for (const pattern of schema._inners.patterns) {
+            if (pattern.regex ? pattern.regex.test(segment) : pattern.schema._match(segment, state, prefs)) {
+                return { schema: pattern.rule };
+            }
+        }
+    }
+
+    return Common.default(schema._flags.unknown, prefs.allowUnknown) ? internals.unrestricted : null;
+};
+
+
+internals.required = function ({ schema, item }) {
+
+    if (!schema ||
+        item) {
+
+        return false;
+    }
+
+    return schema._flags.presence === 'required';
+};
+
+
+internals.compatible = function (source, target) {
+
+    // Copied and moved values are not validated and must come from a key with the same schema (unless the target accepts anything)
+
+    if (!target.schema) {
+        return true;
+    }
+
+    const to = internals.describe(target.schema);
+    if (Hoek.deepEqual(to, internals.describe(target.schema._root.any()))) {
+        return true;
+    }
+
+    return Boolean(source.schema) && Hoek.deepEqual(internals.describe(source.schema), to);
+};
+
+
+internals.describe = function (schema) {
+
+    // Presence and annotations do not affect the values accepted by the key
+
+    const desc = schema.describe();
+    for (const flag of ['description', 'label', 'presence', 'result']) {
+        delete desc.flags[flag];
+    }
+
+    return desc;
+};
+
+
+internals.error = function (code, pointer, index, key, schema, state, prefs, local) {
+
+    const localState = schema._state([index, key], [], state, { flags: false });
+    return schema.createError(code, pointer, Object.assign({ pointer }, local), localState, prefs);
+};
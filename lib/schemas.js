@@ -1,6 +1,6 @@
 'use strict';
 
-const Joi = require('./index');
+const Joi = require('./index').defaults((schema) => schema.optional());
 
 const Messages = require('./messages');
 
@@ -10,26 +10,40 @@ const internals = {};
 
 // Preferences
 
+internals.limit = Joi.number().integer().min(0).allow(Infinity);
+
+
 exports.preferences = Joi.object({
     allowUnknown: Joi.boolean(),
     abortEarly: Joi.boolean(),
     cache: Joi.boolean(),
+    changes: Joi.boolean(),
     context: Joi.object(),
     convert: Joi.boolean(),
     dateFormat: Joi.valid('date', 'iso', 'string', 'time', 'utc'),
+    debug: Joi.boolean(),
     errors: {
         escapeHtml: Joi.boolean(),
         language: [
             Joi.string().invalid(...Object.keys(Messages.errors)),
             Joi.object().ref()
         ],
+        limit: Joi.number().integer().min(1).allow(Infinity),
+        pathFormat: Joi.valid('array', 'pointer', 'dotted', 'bracket'),
+        suggest: Joi.boolean(),
         wrapArrays: Joi.boolean()
     },
     externals: Joi.boolean(),
+    maxDepth: internals.limit,
+    maxItems: internals.limit,
+    maxKeys: internals.limit,
+    maxStringLength: internals.limit,
     messages: Joi.object(),
     noDefaults: Joi.boolean(),
     nonEnumerables: Joi.boolean(),
     presence: Joi.valid('required', 'optional', 'forbidden'),
+    sensitive: Joi.boolean(),
+    signal: Joi.object(),
     skipFunctions: Joi.boolean(),
     stripUnknown: Joi.object({
         arrays: Joi.boolean(),
@@ -71,6 +85,23 @@ exports.extension = Joi.object({
 exports.extensions = Joi.array().items(Joi.object(), Joi.func().arity(1)).strict();
 
 
+// Patch
+
+exports.patch = Joi.array().items(Joi.object({
+    op: Joi.valid('add', 'remove', 'replace', 'move', 'copy', 'test').required(),
+    path: Joi.string().allow('').required(),
+    from: Joi.string().allow('').forbidden(),
+    value: Joi.any().forbidden()
+})
+    .when('.op', {                                      // Object level condition as undefined keys skip key level conditions
+        switch: [
+            { is: Joi.valid('add', 'replace', 'test'), then: Joi.object({ value: Joi.required() }) },
+            { is: Joi.valid('move', 'copy'), then: Joi.object({ from: Joi.required() }) }
+        ]
+    }))
+    .strict();
+
+
 // Manifest
 
 internals.desc = () => {
@@ -147,6 +178,7 @@ exports.description = Joi.object({
         only: true,
         presence: Joi.string().valid('optional', 'required', 'forbidden'),
         result: Joi.string().valid('raw', 'strip'),
+        sensitive: Joi.boolean(),
         single: Joi.boolean(),
         sparse: Joi.boolean(),
         strip: Joi.boolean(),
@@ -19,7 +19,11 @@ const internals = {
         string: Date.prototype.toString,
         time: Date.prototype.toTimeString,
         utc: Date.prototype.toUTCString
-    }
+    },
+
+    block: /(?<!\{)\{\s*([^{},]+?)\s*,\s*(plural|select)\s*,/g,
+    nameRx: /^[a-zA-Z_]\w*$/,
+    plurals: new Map()
 };
 
 
@@ -51,17 +55,37 @@ module.exports = exports = internals.Template = class {
 
         const encoded = internals.encode(this.source);
 
+        // Extract plural and select blocks ('{#limit, plural, one {# item} other {# items}}')
+
+        const processed = [];
+        for (const segment of internals.blocks(encoded, this.source)) {
+            if (typeof segment === 'string') {
+                this._split(segment, processed);
+            }
+            else {
+                processed.push(this._icu(segment));
+            }
+        }
+
+        if (processed.every((part) => typeof part === 'string')) {
+            this.rendered = processed.join('');
+            return;
+        }
+
+        this._template = processed;
+    }
+
+    _split(encoded, processed) {
+
         // Split on first { in each set
 
         const parts = internals.split(encoded);
 
         // Process parts
 
-        let refs = false;
-        const processed = [];
         const head = parts.shift();
         if (head) {
-            processed.push(head);
+            processed.push(internals.decode(head));
         }
 
         for (const part of parts) {
@@ -78,22 +102,33 @@ module.exports = exports = internals.Template = class {
             const variable = part.slice(raw ? 0 : 1, end);
             const dynamic = this._ref(internals.decode(variable), raw);
             processed.push(dynamic);
-            if (typeof dynamic !== 'string') {
-                refs = true;
-            }
 
             const rest = part.slice(end + ender.length);
             if (rest) {
                 processed.push(internals.decode(rest));
             }
         }
+    }
 
-        if (!refs) {
-            this.rendered = processed.join('');
-            return;
+    _icu({ selector, type, options }) {
+
+        const dynamic = this._ref(internals.decode(selector), true);
+        const icu = { type, selector: dynamic, options: Object.create(null) };
+
+        const refs = [...(dynamic.refs || [])];
+        for (const key in options) {
+
+            // Plural options replace '#' outside of variables with the selector value
+
+            const pieces = type === 'plural' ? internals.hashes(options[key]) : [options[key]];
+            icu.options[key] = pieces.map((piece) => new internals.Template(internals.restore(piece), this._settings));
+
+            for (const template of icu.options[key]) {
+                refs.push(...(template.refs() || []));
+            }
         }
 
-        this._template = processed;
+        return { icu, raw: true, refs };
     }
 
     static date(date, prefs) {
@@ -101,6 +136,20 @@ module.exports = exports = internals.Template = class {
         return internals.dateFormat[prefs.dateFormat].call(date);
     }
 
+    static constants(constants) {
+
+        Hoek.assert(constants && typeof constants === 'object', 'Invalid template constants');
+
+        for (const name in constants) {
+            const value = constants[name];
+            Hoek.assert(internals.nameRx.test(name), 'Invalid template constant name', name);
+            Hoek.assert(value === null || ['boolean', 'number', 'string'].includes(typeof value), 'Invalid template constant', name, 'value');
+            Hoek.assert(!internals.builtins.constants.has(name), 'Cannot override built-in template constant', name);
+        }
+
+        Object.assign(internals.constants, constants);
+    }
+
     describe(options = {}) {
 
         if (!this._settings &&
@@ -122,6 +171,19 @@ module.exports = exports = internals.Template = class {
         return new internals.Template(desc.template, desc.options);
     }
 
+    static functions(functions) {
+
+        Hoek.assert(functions && typeof functions === 'object', 'Invalid template functions');
+
+        for (const name in functions) {
+            Hoek.assert(internals.nameRx.test(name), 'Invalid template function name', name);
+            Hoek.assert(typeof functions[name] === 'function', 'Template function', name, 'must be a function');
+            Hoek.assert(!internals.builtins.functions.has(name), 'Cannot override built-in template function', name);
+        }
+
+        Object.assign(internals.functions, functions);
+    }
+
     isDynamic() {
 
         return !!this._template;
@@ -159,13 +221,19 @@ module.exports = exports = internals.Template = class {
         return this.render(value, state, prefs, local);
     }
 
-    _part(part, ...args) {
+    _part(part, value, state, prefs, local, options = {}) {
 
         if (part.ref) {
-            return part.ref.resolve(...args);
+            return part.ref.resolve(value, state, prefs, local);
+        }
+
+        if (part.icu) {
+            const selector = part.icu.selector;
+            const selected = typeof selector === 'string' ? selector : this._part(selector, value, state, prefs, local);
+            return internals.icu(part.icu, selected, value, state, prefs, local, options);
         }
 
-        return part.formula.evaluate(args);
+        return part.formula.evaluate([value, state, prefs, local]);
     }
 
     render(value, state, prefs, local, options = {}) {
@@ -180,7 +248,7 @@ module.exports = exports = internals.Template = class {
                 parts.push(part);
             }
             else {
-                const string = internals.stringify(this._part(part, value, state, prefs, local), prefs, options);
+                const string = internals.stringify(this._part(part, value, state, prefs, local, options), prefs, options);
                 if (string !== undefined) {
                     const result = part.raw || options.escapeHtml === false ? string : Hoek.escapeHtml(string);
                     parts.push(result);
@@ -191,6 +259,17 @@ module.exports = exports = internals.Template = class {
         return parts.join('');
     }
 
+    static unregister(...names) {
+
+        for (const name of names) {
+            Hoek.assert(typeof name === 'string', 'Invalid template function or constant name', name);
+            Hoek.assert(!internals.builtins.functions.has(name) && !internals.builtins.constants.has(name), 'Cannot unregister built-in template function or constant', name);
+
+            delete internals.functions[name];
+            delete internals.constants[name];
+        }
+    }
+
     _ref(content, raw) {
 
         const refs = [];
@@ -253,6 +332,154 @@ internals.decode = function (string) {
 };
 
 
+internals.restore = function (string) {
+
+    return string
+        .replace(/\u0000/g, '\\{')
+        .replace(/\u0001/g, '\\}');
+};
+
+
+internals.blocks = function (string, source) {
+
+    const segments = [];
+    let last = 0;
+
+    internals.block.lastIndex = 0;
+    let match;
+    while ((match = internals.block.exec(string))) {
+        const [, selector, type] = match;
+        const options = {};
+
+        let pos = internals.block.lastIndex;
+        for (;;) {
+            pos = internals.skip(string, pos);
+            Hoek.assert(pos < string.length, 'Invalid template', type, 'in', source, '(missing closing brace)');
+
+            if (string[pos] === '}') {
+                break;
+            }
+
+            const key = /^[^\s{}]+/.exec(string.slice(pos));
+            Hoek.assert(key, 'Invalid template', type, 'in', source, '(missing option key)');
+
+            pos = internals.skip(string, pos + key[0].length);
+            Hoek.assert(string[pos] === '{', 'Invalid template', type, 'in', source, '(missing', key[0], 'option message)');
+
+            const end = internals.close(string, pos);
+            Hoek.assert(end !== -1, 'Invalid template', type, 'in', source, '(unterminated', key[0], 'option message)');
+
+            options[key[0]] = string.slice(pos + 1, end);
+            pos = end + 1;
+        }
+
+        Hoek.assert(options.other !== undefined, 'Invalid template', type, 'in', source, '(missing other option)');
+
+        segments.push(string.slice(last, match.index));
+        segments.push({ selector, type, options });
+
+        last = pos + 1;
+        internals.block.lastIndex = last;
+    }
+
+    segments.push(string.slice(last));
+    return segments;
+};
+
+
+internals.skip = function (string, pos) {
+
+    while (pos < string.length &&
+        /\s/.test(string[pos])) {
+
+        ++pos;
+    }
+
+    return pos;
+};
+
+
+internals.close = function (string, pos) {
+
+    let depth = 0;
+    for (let i = pos; i < string.length; ++i) {
+        if (string[i] === '{') {
+            ++depth;
+        }
+        else if (string[i] === '}' &&
+            --depth === 0) {
+
+            return i;
+        }
+    }
+
+    return -1;
+};
+
+
+internals.hashes = function (string) {
+
+    const pieces = [];
+    let depth = 0;
+    let last = 0;
+
+    for (let i = 0; i < string.length; ++i) {
+        const char = string[i];
+        if (char === '{') {
+            ++depth;
+        }
+        else if (char === '}') {
+            --depth;
+        }
+        else if (char === '#' &&
+            !depth) {
+
+            pieces.push(string.slice(last, i));
+            last = i + 1;
+        }
+    }
+
+    pieces.push(string.slice(last));
+    return pieces;
+};
+
+
+internals.icu = function (icu, selected, value, state, prefs, local, options) {
+
+    if (icu.type === 'select') {
+        const pieces = icu.options[internals.stringify(selected, prefs, options)] || icu.options.other;
+        return pieces[0].render(value, state, prefs, local, options);
+    }
+
+    const number = Array.isArray(selected) ? selected.length : Number(selected);
+    const pieces = icu.options[`=${number}`] ||
+        icu.options[internals.rules(options.language).select(number)] ||
+        icu.options.other;
+
+    return pieces.map((piece) => piece.render(value, state, prefs, local, options)).join(number);
+};
+
+
+internals.rules = function (language) {
+
+    language = typeof language === 'string' ? language : 'en';
+
+    let rules = internals.plurals.get(language);
+    if (!rules) {
+        try {
+            rules = new Intl.PluralRules(language);
+        }
+        catch (err) {
+            rules = new Intl.PluralRules('en');
+        }
+
+        internals.plurals.set(language, rules);
+    }
+
+    return rules;
+};
+
+
 internals.split = function (string) {
 
     const parts = [];
@@ -347,11 +574,113 @@ internals.constants = {
 
 internals.functions = {
 
+    coalesce: function (...values) {
+
+        for (const value of values) {
+            if (value !== null &&
+                value !== undefined) {
+
+                return value;
+            }
+        }
+
+        return null;
+    },
+
+    date: function (value, format) {
+
+        const date = typeof value === 'number' || typeof value === 'string' ? new Date(value) : value;
+        if (!(date instanceof Date) ||
+            isNaN(date.getTime())) {
+
+            return null;
+        }
+
+        const [, , prefs] = this;
+        const method = internals.dateFormat[format || (prefs && prefs.dateFormat) || 'iso'];
+        return method ? method.call(date) : null;
+    },
+
     if: function (condition, then, otherwise) {
 
         return condition ? then : otherwise;
     },
 
+    includes: function (value, item) {
+
+        if (typeof value === 'string') {
+            return value.includes(item);
+        }
+
+        if (Array.isArray(value)) {
+            return value.includes(item);
+        }
+
+        return false;
+    },
+
+    isEmpty: function (value) {
+
+        if (value === null ||
+            value === undefined) {
+
+            return true;
+        }
+
+        if (typeof value === 'string' ||
+            Array.isArray(value)) {
+
+            return value.length === 0;
+        }
+
+        if (typeof value === 'object') {
+            return Object.keys(value).length === 0;
+        }
+
+        return false;
+    },
+
+    join: function (value, separator = ', ') {
+
+        return Array.isArray(value) ? value.join(separator) : null;
+    },
+
+    keys: function (value) {
+
+        return value && typeof value === 'object' ? Object.keys(value) : null;
+    },
+
+    length: function (value) {
+
+        if (typeof value === 'string' ||
+            Array.isArray(value)) {
+
+            return value.length;
+        }
+
+        return null;
+    },
+
+    lower: function (value) {
+
+        return typeof value === 'string' ? value.toLowerCase() : null;
+    },
+
+    max: function (...values) {
+
+        return internals.extreme(values, Math.max);
+    },
+
+    min: function (...values) {
+
+        return internals.extreme(values, Math.min);
+    },
+
+    now: function () {
+
+        return Date.now();
+    },
+
     number: function (value) {
 
         if (typeof value === 'number') {
@@ -370,6 +699,58 @@ internals.functions = {
             return value.getTime();
         }
 
+        return null;
+    },
+
+    round: function (value, precision = 0) {
+
+        if (typeof value !== 'number') {
+            return null;
+        }
+
+        const factor = Math.pow(10, precision);
+        return Math.round(value * factor) / factor;
+    },
+
+    slice: function (value, start, end) {
+
+        if (typeof value === 'string' ||
+            Array.isArray(value)) {
+
+            return value.slice(start, end === null ? undefined : end);
+        }
+
+        return null;
+    },
+
+    upper: function (value) {
+
+        return typeof value === 'string' ? value.toUpperCase() : null;
+    }
+};
+
+
+internals.builtins = {
+    constants: new Set(Object.keys(internals.constants)),
+    functions: new Set(Object.keys(internals.functions))
+};
+
+
+internals.extreme = function (values, method) {
+
+    // Single array argument compares its items (e.g. 'max(#limits)')
+
+    if (values.length === 1 &&
+        Array.isArray(values[0])) {
+
+        values = values[0];
+    }
+
+    if (!values.length ||
+        values.some((value) => typeof value !== 'number')) {
+
         return null;
     }
+
+    return method(...values);
 };
@@ -7,6 +7,7 @@ const Cast = require('../cast');
 const Common = require('../common');
 const Errors = require('../errors');
 const Ref = require('../ref');
+const Validator = require('../validator');
 
 
 const internals = {};
@@ -29,9 +30,14 @@ internals.Alternatives = class extends Any {
     _base(value, state, prefs) {
 
         const errors = [];
-        for (const item of this._inners.matches) {
+        for (let i = 0; i < this._inners.matches.length; ++i) {
+            const item = this._inners.matches[i];
             if (item.schema) {
                 const result = item.schema._validate(value, state, prefs);
+                if (state.mainstay.debug) {
+                    Validator.debug(state, { type: 'try', index: i, matched: !result.errors });
+                }
+
                 if (!result.errors) {
                     return result;
                 }
@@ -40,11 +46,7 @@ internals.Alternatives = class extends Any {
                 continue;
             }
 
-            const schema = item.peek || item.is;
-            const input = item.is ? item.ref.resolve(value, state, prefs) : value;
-            const entryState = schema._stateEntry(state, state.ancestors[0]);
-
-            if (!schema._match(input, entryState, prefs)) {
+            if (!internals.matched(item, i, value, state, prefs)) {
                 if (item.otherwise) {
                     return item.otherwise._validate(value, state, prefs);
                 }
@@ -87,6 +89,25 @@ internals.Alternatives = class extends Any {
         return { errors: this.createError('alternatives.types', value, { types }, state, prefs) };
     }
 
+    _select(value, state, prefs) {
+
+        for (let i = 0; i < this._inners.matches.length; ++i) {
+            const item = this._inners.matches[i];
+            Hoek.assert(!item.schema, 'Cannot select a schema from alternatives.try()');
+
+            if (!internals.matched(item, i, value, state, prefs)) {
+                if (item.otherwise) {
+                    return item.otherwise;
+                }
+            }
+            else if (item.then) {
+                return item.then;
+            }
+        }
+
+        return null;
+    }
+
     _override(id, schema) {
 
         let i = 0;
@@ -319,4 +340,22 @@ Common.extend(internals.Alternatives, 'rules', {
 });
 
 
+// Helpers
+
+internals.matched = function (item, index, value, state, prefs) {
+
+    const schema = item.peek || item.is;
+    const input = item.is ? item.ref.resolve(value, state, prefs) : value;
+    const entryState = schema._stateEntry(state, state.ancestors[0]);
+
+    const matched = schema._match(input, entryState, prefs);
+    if (state.mainstay.debug) {
+        const branch = matched ? item.then && 'then' : item.otherwise && 'otherwise';
+        Validator.debug(state, { type: 'when', index, ref: item.ref ? item.ref.toString() : undefined, value: item.is ? Validator.resolved(item.ref, input, state) : undefined, matched, branch });
+    }
+
+    return matched;
+};
+
+
 module.exports = new internals.Alternatives();
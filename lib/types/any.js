@@ -6,6 +6,7 @@ const Cache = require('../cache');
 const Cast = require('../cast');
 const Common = require('../common');
 const Errors = require('../errors');
+const JsonSchema = require('../jsonschema');
 const Manifest = require('../manifest');
 const Messages = require('../messages');
 const Modify = require('../modify');
@@ -72,6 +73,11 @@ module.exports = internals.Any = class {
         return Manifest.describe(this);
     }
 
+    toJsonSchema(options) {
+
+        return JsonSchema.convert(this, options);
+    }
+
     // Rules
 
     allow(...values) {
@@ -170,11 +176,13 @@ module.exports = internals.Any = class {
         return this._inner('examples', example, { single: true, override: options.override });
     }
 
-    external(method) {
+    external(method, options = {}) {
 
         Hoek.assert(typeof method === 'function', 'Method must be a function');
+        Common.assertOptions(options, ['batch']);
 
-        return this._inner('externals', method, { single: true });
+        const external = options.batch ? { method, batch: true } : method;
+        return this._inner('externals', external, { single: true });
     }
 
     failover(value, options) {
@@ -267,7 +275,10 @@ module.exports = internals.Any = class {
     prefs(prefs) {
 
         Hoek.assert(prefs.context === undefined, 'Cannot override context');
+        Hoek.assert(prefs.changes === undefined, 'Cannot override changes');
+        Hoek.assert(prefs.debug === undefined, 'Cannot override debug');
         Hoek.assert(prefs.externals === undefined, 'Cannot override externals');
+        Hoek.assert(prefs.signal === undefined, 'Cannot override signal');
         Hoek.assert(prefs.warnings === undefined, 'Cannot override warnings');
 
         Common.checkPreferences(prefs);
@@ -301,6 +312,11 @@ module.exports = internals.Any = class {
         return this.presence('required');
     }
 
+    sensitive(enabled = true) {
+
+        return this._flag('sensitive', enabled ? true : undefined);
+    }
+
     strict(enabled) {
 
         const obj = this.clone();
@@ -669,6 +685,16 @@ module.exports = internals.Any = class {
         return Validator.entry(value, this, options);
     }
 
+    validateAsync(value, options) {
+
+        return Validator.entryAsync(value, this, options);
+    }
+
+    validateAt(path, value, options) {
+
+        return Validator.entryAt(path, value, this, options);
+    }
+
     warn() {
 
         return this.rule({ warn: true });
@@ -780,6 +806,12 @@ module.exports = internals.Any = class {
         prefs.abortEarly = true;
         prefs._externals = false;
 
+        if (state.mainstay.debug ||
+            state.mainstay.changes) {
+
+            state = Object.assign({}, state, { mainstay: Object.assign({}, state.mainstay, { debug: null, changes: null }) });      // Matching is not traced
+        }
+
         return !Validator.validate(value, this, state, prefs).errors;
     }
 
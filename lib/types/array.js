@@ -6,6 +6,7 @@ const Hoek = require('@hapi/hoek');
 const Any = require('./any');
 const Cast = require('../cast');
 const Common = require('../common');
+const Validator = require('../validator');
 
 
 const internals = {};
@@ -391,7 +392,7 @@ Common.extend(internals.Array, 'rules', {
                 item === undefined) {
 
                 errors.push(error('array.sparse', { key, path, pos: i, value: undefined }, schema._state(path, null, state)));
-                if (prefs.abortEarly) {
+                if (Common.abort(errors, prefs)) {
                     return errors;
                 }
 
@@ -409,7 +410,7 @@ Common.extend(internals.Array, 'rules', {
                 }
 
                 errors.push(error('array.excludes', { pos: i, value: item }, schema._state(path, null, state)));
-                if (prefs.abortEarly) {
+                if (Common.abort(errors, prefs)) {
                     return errors;
                 }
 
@@ -436,7 +437,7 @@ Common.extend(internals.Array, 'rules', {
                         }
                         else if (!schema._flags.sparse && res.value === undefined) {
                             errors.push(error('array.sparse', { key, path, pos: i, value: undefined }, schema._state(path, null, state)));
-                            if (prefs.abortEarly) {
+                            if (Common.abort(errors, prefs)) {
                                 return errors;
                             }
 
@@ -448,7 +449,7 @@ Common.extend(internals.Array, 'rules', {
                     }
                     else {
                         errors.push(...res.errors);
-                        if (prefs.abortEarly) {
+                        if (Common.abort(errors, prefs)) {
                             return errors;
                         }
                     }
@@ -457,7 +458,7 @@ Common.extend(internals.Array, 'rules', {
                 }
                 else if (!schema._inners.items.length) {
                     errors.push(error('array.orderedLength', { pos: i, limit: schema._inners.ordered.length }));
-                    if (prefs.abortEarly) {
+                    if (Common.abort(errors, prefs)) {
                         return errors;
                     }
 
@@ -484,7 +485,7 @@ Common.extend(internals.Array, 'rules', {
                         res.value === undefined) {
 
                         errors.push(error('array.sparse', { key, path, pos: i, value: undefined }, schema._state(path, null, state)));
-                        if (prefs.abortEarly) {
+                        if (Common.abort(errors, prefs)) {
                             return errors;
                         }
                     }
@@ -538,7 +539,7 @@ Common.extend(internals.Array, 'rules', {
 
                 if (jl === 1) {
                     if (stripUnknown) {
-                        internals.fastSplice(value, i);
+                        internals.strip(value, i, path, state);
                         --i;
                         --il;
                         isValid = true;
@@ -546,7 +547,7 @@ Common.extend(internals.Array, 'rules', {
                     }
 
                     errors.push(...res.errors);
-                    if (prefs.abortEarly) {
+                    if (Common.abort(errors, prefs)) {
                         return errors;
                     }
 
@@ -561,14 +562,14 @@ Common.extend(internals.Array, 'rules', {
 
             if (schema._inners._inclusions.length && !isValid) {
                 if (stripUnknown) {
-                    internals.fastSplice(value, i);
+                    internals.strip(value, i, path, state);
                     --i;
                     --il;
                     continue;
                 }
 
                 errors.push(error('array.includes', { pos: i, value: item }, schema._state(path, null, state)));
-                if (prefs.abortEarly) {
+                if (Common.abort(errors, prefs)) {
                     return errors;
                 }
             }
@@ -697,6 +698,16 @@ internals.fastSplice = function (arr, i) {
 };
 
 
+internals.strip = function (arr, i, path, state) {
+
+    if (state.mainstay.changes) {
+        Validator.change(state, 'strip', arr[i], undefined, path);
+    }
+
+    internals.fastSplice(arr, i);
+};
+
+
 internals.validateSingle = function (type, obj) {
 
     if (type._type === 'array' ||
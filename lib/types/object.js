@@ -8,8 +8,10 @@ const Any = require('./any');
 const Cast = require('../cast');
 const Common = require('../common');
 const Errors = require('../errors');
+const Patch = require('../patch');
 const Ref = require('../ref');
 const Template = require('../template');
+const Validator = require('../validator');
 
 
 const internals = {
@@ -111,11 +113,10 @@ internals.Object = class extends Any {
                 const result = child.schema._validate(item, localState, prefs);
 
                 if (result.errors) {
-                    if (prefs.abortEarly) {
-                        return { value, errors: result.errors };
-                    }
-
                     errors.push(...result.errors);
+                    if (Common.abort(errors, prefs)) {
+                        return { value, errors };
+                    }
                 }
                 else {
                     if (child.schema._flags.result === 'strip' ||
@@ -161,11 +162,10 @@ internals.Object = class extends Any {
 
                     const result = pattern.rule._validate(item, localState, prefs);
                     if (result.errors) {
-                        if (prefs.abortEarly) {
-                            return { value, errors: result.errors };
-                        }
-
                         errors.push(...result.errors);
+                        if (Common.abort(errors, prefs)) {
+                            return { value, errors };
+                        }
                     }
 
                     if (pattern.matches) {
@@ -193,12 +193,10 @@ internals.Object = class extends Any {
                     if (result.errors) {
                         const details = Errors.details(result.errors, { override: false });
                         details.matches = match;
-                        const report = this.createError('object.pattern.match', value, details, state, prefs);
-                        if (prefs.abortEarly) {
-                            return { value, errors: report };
+                        errors.push(this.createError('object.pattern.match', value, details, state, prefs));
+                        if (Common.abort(errors, prefs)) {
+                            return { value, errors };
                         }
-
-                        errors.push(report);
                     }
                 }
             }
@@ -214,6 +212,10 @@ internals.Object = class extends Any {
 
                 for (const key of unprocessed) {
                     if (stripUnknown) {
+                        if (state.mainstay.changes) {
+                            Validator.change(state, 'strip', value[key], undefined, [...state.path, key]);
+                        }
+
                         delete value[key];
                         unprocessed.delete(key);
                     }
@@ -225,14 +227,14 @@ internals.Object = class extends Any {
 
             const forbidUnknown = !Common.default(this._flags.unknown, prefs.allowUnknown);
             if (forbidUnknown) {
+                const known = this._inners.keys ? this._inners.keys.map((child) => child.key) : [];
                 for (const unprocessedKey of unprocessed) {
                     const localState = this._state([...state.path, unprocessedKey], [], state, { flags: false });
-                    const report = this.createError('object.unknown', value[unprocessedKey], { child: unprocessedKey }, localState, prefs);
-                    if (prefs.abortEarly) {
-                        return { value, errors: report };
+                    const local = Common.suggest({ child: unprocessedKey }, unprocessedKey, known, prefs);
+                    errors.push(this.createError('object.unknown', value[unprocessedKey], local, localState, prefs));
+                    if (Common.abort(errors, prefs)) {
+                        return { value, errors };
                     }
-
-                    errors.push(report);
                 }
             }
         }
@@ -240,26 +242,37 @@ internals.Object = class extends Any {
         // Validate dependencies
 
         if (this._inners.dependencies) {
-            for (const dep of this._inners.dependencies) {
-                if (dep.key &&
-                    dep.key.resolve(value, state, prefs, null, { shadow: false }) === undefined) {
+            this._dependencies(value, state, prefs, null, errors);
+        }
 
-                    continue;
-                }
+        return { value, errors };
+    }
 
-                const failed = internals.dependencies[dep.type](this, dep, value, state, prefs);
-                if (failed) {
-                    const report = this.createError(failed.code, value, failed.context, state, prefs);
-                    if (prefs.abortEarly) {
-                        return { value, errors: report };
-                    }
+    _dependencies(value, state, prefs, path, errors = []) {
+
+        for (const dep of this._inners.dependencies) {
+            if (path &&
+                !internals.involves(dep, path)) {
 
-                    errors.push(report);
+                continue;
+            }
+
+            if (dep.key &&
+                dep.key.resolve(value, state, prefs, null, { shadow: false }) === undefined) {
+
+                continue;
+            }
+
+            const failed = internals.dependencies[dep.type](this, dep, value, state, prefs);
+            if (failed) {
+                errors.push(this.createError(failed.code, value, failed.context, state, prefs));
+                if (Common.abort(errors, prefs)) {
+                    break;
                 }
             }
         }
 
-        return { value, errors };
+        return errors;
     }
 
     _override(id, schema) {
@@ -569,6 +582,11 @@ internals.Object = class extends Any {
         return obj._rebuild();
     }
 
+    validatePatch(patch, options) {
+
+        return Patch.entry(patch, this, options);
+    }
+
     // Internals
 
     _dependency(type, key, peers, options) {
@@ -728,6 +746,10 @@ internals.Object = class extends Any {
 
                 renamed[to] = true;
 
+                if (state.mainstay.changes) {
+                    Validator.change(state, 'rename', from, to);
+                }
+
                 if (!rename.options.alias) {
                     delete value[from];
                 }
@@ -990,6 +1012,22 @@ internals.dependencies = {
 
 // Helpers
 
+internals.involves = function (dep, path) {
+
+    // Dependencies on the path or any of its children
+
+    for (const ref of [dep.key, ...dep.peers]) {
+        if (ref &&
+            path.every((segment, i) => ref.path[i] === segment)) {
+
+            return true;
+        }
+    }
+
+    return false;
+};
+
+
 internals.clone = function (value, prefs) {
 
     // Object
@@ -0,0 +1,456 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+
+const Common = require('./common');
+
+
+const internals = {
+    identifier: /^[A-Za-z_$][\w$]*$/,
+    indent: '    '
+};
+
+
+exports.declarations = function (schemas) {
+
+    Hoek.assert(Array.isArray(schemas), 'Declared schemas must be an array');
+
+    const generator = new internals.Generator();
+    for (const schema of schemas) {
+        const desc = Common.isSchema(schema) ? schema.describe() : schema;
+        Hoek.assert(desc && typeof desc.type === 'string', 'Invalid schema or description');
+        Hoek.assert(internals.flags(desc).id !== undefined, 'Declared schemas must have an id');
+
+        generator.declare(desc);
+    }
+
+    // Schemas with an id found while generating are added to the declarations (and generated in turn)
+
+    const declarations = [];
+    for (const [name, desc] of generator.declared) {
+        declarations.push(generator.declaration(name, desc));
+    }
+
+    return `${declarations.join('\n\n')}\n`;
+};
+
+
+internals.Generator = class {
+
+    constructor() {
+
+        this.declared = new Map();                      // Type name -> description
+        this.expanding = new Set();                     // Descriptions being generated (to break link cycles)
+    }
+
+    declare(desc) {
+
+        const name = internals.flags(desc).id;
+        Hoek.assert(internals.identifier.test(name), 'Invalid type name', name);
+
+        const existing = this.declared.get(name);
+        Hoek.assert(!existing || Hoek.deepEqual(existing, desc), 'Conflicting schemas for type', name);
+
+        this.declared.set(name, desc);
+        return name;
+    }
+
+    declaration(name, desc) {
+
+        this.expanding.add(desc);
+        const base = internals.types[desc.type] ? internals.types[desc.type].call(this, desc, [desc], 1) : 'unknown';
+        this.expanding.delete(desc);
+
+        const type = internals.values(desc, base);
+        const comment = internals.comment(desc, '');
+        if (desc.type === 'object' &&
+            type === base &&
+            base[0] === '{' &&
+            !base.includes('\n} & {')) {                // Top level intersections with pattern keys
+
+            return `${comment}export interface ${name} ${base}`;
+        }
+
+        return `${comment}export type ${name} = ${type};`;
+    }
+
+    node(desc, ancestors, depth) {
+
+        if (internals.flags(desc).id !== undefined) {
+            return this.declare(desc);
+        }
+
+        const generate = internals.types[desc.type];
+        if (!generate) {
+            return 'unknown';                           // Extension types without a known base
+        }
+
+        this.expanding.add(desc);
+        const base = generate.call(this, desc, ancestors, depth);
+        this.expanding.delete(desc);
+
+        return internals.values(desc, base);
+    }
+};
+
+
+internals.types = {
+
+    alternatives: function (desc, ancestors, depth) {
+
+        const types = [];
+        for (const match of desc.matches || []) {
+            for (const key of ['schema', 'then', 'otherwise']) {
+                const branch = match[key];
+                if (branch &&
+                    !internals.excluded(branch)) {
+
+                    types.push(this.node(branch, [branch, ...ancestors], depth));
+                }
+            }
+        }
+
+        return internals.union(types);
+    },
+
+    any: function () {
+
+        return 'unknown';
+    },
+
+    array: function (desc, ancestors, depth) {
+
+        let item = 'unknown';
+        if (desc.items) {
+            const items = desc.items.filter((entry) => !internals.excluded(entry)).map((entry) => this.node(entry, [entry, ...ancestors], depth));
+            if (internals.flags(desc).sparse) {
+                items.push('undefined');
+            }
+
+            item = internals.union(items);
+        }
+
+        if (!desc.ordered) {
+            return internals.array(item);
+        }
+
+        // Tuple (positions after an optional one are optional as well)
+
+        const elements = [];
+        let optional = false;
+        for (const entry of desc.ordered) {
+            if (internals.excluded(entry)) {
+                continue;
+            }
+
+            optional = optional || internals.flags(entry).presence === 'optional';
+            elements.push(`${this.node(entry, [entry, ...ancestors], depth)}${optional ? '?' : ''}`);
+        }
+
+        if (desc.items) {
+            elements.push(`...${internals.array(item)}`);
+        }
+
+        return `[${elements.join(', ')}]`;
+    },
+
+    binary: function () {
+
+        return 'Buffer';
+    },
+
+    boolean: function () {
+
+        return 'boolean';
+    },
+
+    date: function () {
+
+        return 'Date';
+    },
+
+    func: function () {
+
+        return 'Function';
+    },
+
+    link: function (desc, ancestors, depth) {
+
+        if (!desc.link) {
+            return 'unknown';
+        }
+
+        const ref = desc.link.ref;
+        const ancestor = ref.ancestor === undefined ? 1 : ref.ancestor;
+        const perspective = ancestor === 'root' ? ancestors.slice(-1) : ancestors.slice(ancestor);
+        const target = perspective.length ? internals.reach(perspective, ref.path) : null;
+        if (!target) {
+            return 'unknown';
+        }
+
+        const schema = target[0];
+        if (internals.flags(schema).id !== undefined) {
+            return this.declare(schema);
+        }
+
+        if (this.expanding.has(schema)) {
+            return 'unknown';                           // Recursive schemas require an id to be named
+        }
+
+        return this.node(schema, target, depth);
+    },
+
+    number: function () {
+
+        return 'number';
+    },
+
+    object: function (desc, ancestors, depth) {
+
+        if (!desc.keys &&
+            !desc.patterns) {
+
+            return 'Record<string, unknown>';
+        }
+
+        const properties = new Map();
+        for (const key in desc.keys) {
+            const child = desc.keys[key];
+            if (internals.excluded(child)) {
+                continue;
+            }
+
+            const flags = internals.flags(child);
+            properties.set(key, {
+                type: this.node(child, [child, ...ancestors], depth + 1),
+                optional: flags.presence === 'optional' && flags.default === undefined,
+                comment: internals.comment(child, internals.indent.repeat(depth))
+            });
+        }
+
+        // Renames are applied before the keys are validated
+
+        for (const rename of desc.renames || []) {
+            if (typeof rename.to !== 'string') {
+                continue;                               // Template targets
+            }
+
+            let source;
+            if (typeof rename.from === 'string') {
+                source = properties.get(rename.from);
+                if (!rename.options.alias) {
+                    properties.delete(rename.from);
+                }
+            }
+
+            if (!properties.has(rename.to)) {
+                properties.set(rename.to, { type: source ? source.type : 'unknown', optional: true, comment: '' });
+            }
+        }
+
+        // Unknown keys
+
+        let index;
+        const patterns = (desc.patterns || []).filter((pattern) => !internals.excluded(pattern.rule));
+        if (internals.flags(desc).unknown ||
+            (desc.preferences && desc.preferences.allowUnknown)) {
+
+            index = 'unknown';
+        }
+        else if (patterns.length) {
+            index = internals.union(patterns.map((pattern) => this.node(pattern.rule, [pattern.rule, ...ancestors], depth + 1)));
+        }
+
+        if (!properties.size &&
+            !index) {
+
+            return 'Record<string, never>';
+        }
+
+        const indent = internals.indent.repeat(depth);
+        const signature = `${indent}[key: string]: ${index};`;
+        const lines = [];
+        for (const [key, { type, optional, comment }] of properties) {
+            lines.push(`${comment}${indent}${internals.key(key)}${optional ? '?' : ''}: ${type};`);
+        }
+
+        const literal = (entries) => `{\n${entries.join('\n')}\n${internals.indent.repeat(depth - 1)}}`;
+
+        // Pattern values only type the undeclared keys (an index signature next to the keys would cover them too)
+
+        if (lines.length &&
+            index &&
+            index !== 'unknown') {
+
+            return `${literal(lines)} & ${literal([signature])}`;
+        }
+
+        if (index) {
+            lines.push(signature);
+        }
+
+        return literal(lines);
+    },
+
+    string: function () {
+
+        return 'string';
+    },
+
+    symbol: function () {
+
+        return 'symbol';
+    }
+};
+
+
+internals.values = function (desc, base) {
+
+    const allow = desc.allow || [];
+    if (internals.flags(desc).only) {
+        if (!allow.length) {
+            return base;
+        }
+
+        return internals.union(allow.map((value) => internals.literal(value) || base));
+    }
+
+    const types = [base];
+    for (const value of allow) {
+        const literal = internals.literal(value);
+        if (literal &&
+            !internals.covers(base, literal)) {
+
+            types.push(literal);
+        }
+    }
+
+    return internals.union(types);
+};
+
+
+internals.literal = function (value) {
+
+    if (value === null ||
+        typeof value === 'boolean' ||
+        (typeof value === 'number' && Number.isFinite(value))) {
+
+        return String(value);
+    }
+
+    if (typeof value === 'string') {
+        return internals.quote(value);
+    }
+
+    return null;                                        // References, object values and values without a literal type
+};
+
+
+internals.covers = function (base, literal) {
+
+    switch (base) {
+        case 'boolean': return literal === 'true' || literal === 'false';
+        case 'number': return /^-?\d/.test(literal);
+        case 'string': return literal[0] === '\'';
+    }
+
+    return false;
+};
+
+
+internals.union = function (types) {
+
+    const unique = [...new Set(types)];
+    if (unique.includes('unknown')) {
+        return 'unknown';
+    }
+
+    if (!unique.length) {
+        return 'never';
+    }
+
+    return unique.join(' | ');
+};
+
+
+internals.array = function (type) {
+
+    return / [|&] /.test(type) ? `(${type})[]` : `${type}[]`;
+};
+
+
+internals.reach = function (ancestors, path) {
+
+    let chain = ancestors;
+    for (const segment of path) {
+        const child = internals.children(chain[0]).find(({ desc, key }) => (internals.flags(desc).id || key) === segment);
+        if (!child) {
+            return null;
+        }
+
+        chain = [child.desc, ...chain];
+    }
+
+    return chain;
+};
+
+
+internals.children = function (desc) {
+
+    // Mirrors the schemas registered for link references by each type
+
+    const children = [];
+    for (const key in desc.keys) {
+        children.push({ desc: desc.keys[key], key });
+    }
+
+    for (const item of [...(desc.items || []), ...(desc.ordered || [])]) {
+        children.push({ desc: item });
+    }
+
+    for (const entry of [...(desc.patterns || []), ...(desc.matches || [])]) {
+        for (const key of ['schema', 'rule', 'peek', 'is', 'then', 'otherwise']) {
+            if (entry[key]) {
+                children.push({ desc: entry[key] });
+            }
+        }
+    }
+
+    return children;
+};
+
+
+internals.excluded = function (desc) {
+
+    const flags = internals.flags(desc);
+    return flags.presence === 'forbidden' || flags.result === 'strip';
+};
+
+
+internals.flags = function (desc) {
+
+    return desc.flags || {};
+};
+
+
+internals.comment = function (desc, indent) {
+
+    const description = internals.flags(desc).description;
+    if (description === undefined) {
+        return '';
+    }
+
+    return `${indent}/** ${description.replace(/\*\//g, '*\\/')} */\n`;
+};
+
+
+internals.key = function (key) {
+
+    return internals.identifier.test(key) ? key : internals.quote(key);
+};
+
+
+internals.quote = function (value) {
+
+    return `'${JSON.stringify(value).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, '\\\'')}'`;
+};
@@ -13,80 +13,490 @@ const internals = {
 
 exports.entry = function (value, schema, prefs) {
 
+    return exports.run(value, schema, internals.settings(prefs), exports.validate);
+};
+
+
+exports.run = function (value, schema, settings, validate, sensitive) {
+
+    const { outcome, errors, mainstay } = internals.entry(value, schema, settings, validate, sensitive);
+
+    Hoek.assert(!mainstay.externals.length || settings.externals, 'Cannot validate a schema with external rules without the externals flag');
+
+    this.value = value;
+    this.error = outcome.error;
+
+    if (!mainstay.externals.length ||
+        outcome.error && Common.abort(errors, settings)) {
+
+        return new internals.Promise(outcome, settings);
+    }
+
+    return internals.externals(mainstay, outcome, errors, value, settings);
+};
+
+
+exports.entryAsync = async function (value, schema, prefs) {
+
+    const settings = internals.settings(prefs);
+    const { outcome, errors, mainstay } = internals.entry(value, schema, settings, exports.validate);
+
+    if (mainstay.externals.length &&
+        settings.externals !== false &&
+        (!outcome.error || !Common.abort(errors, settings))) {
+
+        const result = await internals.execute(mainstay.externals, outcome.value, errors, settings, { concurrent: true });
+        outcome.value = result.value;
+
+        if (result.reports.length) {
+            outcome.error = Errors.process(result.reports, value, settings, mainstay.sensitive);
+        }
+    }
+
+    if (outcome.error) {
+        if (outcome.debug) {
+            outcome.error.debug = outcome.debug;
+        }
+
+        throw outcome.error;
+    }
+
+    if (!settings.warnings &&
+        !settings.debug &&
+        !settings.changes) {
+
+        return outcome.value;
+    }
+
+    const result = { value: outcome.value };
+    for (const key of ['warning', 'debug', 'changes']) {
+        if (outcome[key]) {
+            result[key] = outcome[key];
+        }
+    }
+
+    return result;
+};
+
+
+exports.entryAt = function (path, value, schema, prefs) {
+
+    path = Array.isArray(path) ? path : path.split('.');
+    Hoek.assert(path.length, 'Path must not be empty');
+
+    const settings = Common.preferences(internals.settings(prefs), { externals: false });        // External rules require the entire value
+    const validate = (root, node, state, rootPrefs) => internals.at(path, root, node, state, rootPrefs);
+    const { outcome } = internals.entry(value, schema, settings, validate);
+    return new internals.Promise(outcome, settings);
+};
+
+
+exports.settings = internals.settings = function (prefs) {
+
     if (prefs) {
         Common.checkPreferences(prefs);
     }
 
-    const mainstay = { externals: [], warnings: [], shadow: new internals.Shadow() };
-    const settings = Common.preferences(Common.defaults, prefs);
-    const state = schema._stateEntry({ mainstay, schemas: [] });
-    const result = exports.validate(value, schema, state, settings);
-    const error = Errors.process(result.errors, value);
+    return Common.preferences(Common.defaults, prefs);
+};
 
-    Hoek.assert(!mainstay.externals.length || settings.externals, 'Cannot validate a schema with external rules without the externals flag');
 
-    this.value = value;
-    this.error = error;
+internals.entry = function (value, schema, settings, validate, sensitive = Errors.paths(schema, settings)) {
+
+    const mainstay = { externals: [], warnings: [], shadow: new internals.Shadow(), debug: settings.debug ? [] : null, changes: settings.changes ? [] : null, sensitive };
+    const state = schema._stateEntry({ mainstay, schemas: [] });
+    const result = validate(value, schema, state, settings);
+    const error = Errors.process(result.errors, value, settings, mainstay.sensitive);
 
     const outcome = { value: result.value, error };
     if (mainstay.warnings.length) {
         outcome.warning = Errors.details(mainstay.warnings);
     }
 
-    if (error ||
-        !mainstay.externals.length) {
+    if (mainstay.debug) {
+        outcome.debug = mainstay.debug;
+    }
 
-        return new internals.Promise(outcome, settings);
+    if (mainstay.changes) {
+        outcome.changes = mainstay.changes;
     }
 
-    return internals.externals(mainstay.externals, outcome, settings);
+    return { outcome, errors: result.errors, mainstay };
 };
 
 
-internals.externals = function (externals, outcome, prefs) {
+internals.externals = async function (mainstay, outcome, errors, original, prefs) {
+
+    const result = await internals.execute(mainstay.externals, outcome.value, errors, prefs, { concurrent: false });
+
+    if (result.reports.length) {
+        throw Errors.process(result.reports, original, prefs, mainstay.sensitive);                 // Includes the errors found before the externals
+    }
 
-    return new Promise(async (resolve, reject) => {
+    return prefs.warnings || prefs.debug || prefs.changes ? Object.assign(outcome, { value: result.value }) : result.value;
+};
 
-        let root = outcome.value;
 
-        for (const { method, path, label } of externals) {
-            let value = root;
-            let key;
-            let parent;
+internals.execute = async function (externals, value, errors, prefs, options) {
 
-            if (path.length) {
-                key = path[path.length - 1];
-                parent = Hoek.reach(root, path.slice(0, -1));
-                value = parent[key];
-            }
+    // Group externals by path (same path runs in order) and by depth (most nested level first)
 
-            try {
-                var result = await method(value);
-            }
-            catch (err) {
-                err.message += ` (${label})`;
-                return reject(err);     // Change message to include path
-            }
+    const groups = new Map();
+    const levels = [];
 
-            if (result === undefined ||
-                result === value) {
+    for (const external of externals) {
+        const id = internals.id(external.path);
+        let group = groups.get(id);
+        if (!group) {
+            group = [];
+            groups.set(id, group);
 
+            const depth = external.path.length;
+            levels[depth] = levels[depth] || [];
+            levels[depth].push(group);
+        }
+
+        group.push(external);
+    }
+
+    const root = { value };
+    const reports = errors ? errors.slice() : [];                  // Counted towards the errors limit
+    const failed = new Set();
+
+    try {
+        for (let i = levels.length - 1; i >= 0; --i) {
+            if (!levels[i]) {
                 continue;
             }
 
-            if (parent) {
-                parent[key] = result;
-            }
-            else {
-                root = result;
+            // Execute the n-th external of every path on the level together (batched by method)
+
+            let active = levels[i].filter((group) => !failed.has(internals.id(group[0].path)));
+            for (let j = 0; active.length; ++j) {
+                internals.aborted(prefs.signal);
+
+                const tasks = [];
+                const batches = new Map();
+                for (const group of active) {
+                    const external = group[j];
+                    if (!external.batch) {
+                        tasks.push({ externals: [external] });
+                        continue;
+                    }
+
+                    let batch = batches.get(external.method);
+                    if (!batch) {
+                        batch = { method: external.method, externals: [] };
+                        batches.set(external.method, batch);
+                        tasks.push(batch);
+                    }
+
+                    batch.externals.push(external);
+                }
+
+                const run = (task) => internals.run(task, root, prefs, reports, failed);
+
+                if (options.concurrent) {
+                    await internals.abortable(Promise.all(tasks.map(run)), prefs.signal);
+                }
+                else {
+                    for (const task of tasks) {
+                        await run(task);
+                    }
+                }
+
+                active = active.filter((group) => j + 1 < group.length && !failed.has(internals.id(group[0].path)));
             }
         }
+    }
+    catch (err) {
+        if (err instanceof Errors.Report) {             // abortEarly or errors limit
+            return { value: root.value, reports: prefs.abortEarly ? [err] : reports.slice() };
+        }
+
+        throw err;
+    }
+
+    return { value: root.value, reports };
+};
+
+
+internals.run = async function (task, root, prefs, reports, failed) {
+
+    const failures = task.method ? await internals.batch(task, root, prefs) : await internals.single(task.externals[0], root, prefs);
+    for (const report of failures) {
+        reports.push(report);
+        internals.fail(failed, report.path);
+
+        if (Common.abort(reports, prefs)) {
+            throw report;
+        }
+    }
+};
+
+
+internals.single = async function (external, root, prefs) {
+
+    const target = internals.target(external.path, root);
+
+    try {
+        var result = await external.method(target.value, { prefs: external.prefs, signal: prefs.signal });
+    }
+    catch (err) {
+        return [internals.failure(external, target.value, err)];
+    }
+
+    internals.apply(target, result, root);
+    return [];
+};
+
+
+internals.batch = async function ({ method, externals }, root, prefs) {
+
+    const targets = externals.map((external) => internals.target(external.path, root));
+    const items = targets.map((target, i) => ({ value: target.value, path: externals[i].path, prefs: externals[i].prefs }));
+
+    try {
+        var results = await method(items, { signal: prefs.signal });
+    }
+    catch (err) {
+        return externals.map((external, i) => internals.failure(external, targets[i].value, err));
+    }
+
+    if (results === undefined) {
+        return [];
+    }
+
+    Hoek.assert(Array.isArray(results) && results.length === items.length, 'Batched external method must return an array of results matching the provided items');
+
+    const failures = [];
+    for (let i = 0; i < results.length; ++i) {
+        const result = results[i];
+        if (result instanceof Error) {
+            failures.push(internals.failure(externals[i], targets[i].value, result));
+            continue;
+        }
+
+        internals.apply(targets[i], result, root);
+    }
+
+    return failures;
+};
+
+
+internals.target = function (path, root) {
+
+    if (!path.length) {
+        return { value: root.value };
+    }
 
-        resolve(prefs.warnings ? Object.assign(outcome, { value: root }) : root);
+    const key = path[path.length - 1];
+    const parent = Hoek.reach(root.value, path.slice(0, -1));
+    return { value: parent[key], parent, key };
+};
+
+
+internals.apply = function (target, result, root) {
+
+    if (result === undefined ||
+        result === target.value) {
+
+        return;
+    }
+
+    if (target.parent) {
+        target.parent[target.key] = result;
+    }
+    else {
+        root.value = result;
+    }
+};
+
+
+internals.failure = function ({ schema, state, prefs }, value, err) {
+
+    return schema.createError('external', value, { error: err, message: err.message }, state, prefs);
+};
+
+
+internals.id = function (path) {
+
+    return JSON.stringify(path);
+};
+
+
+internals.fail = function (failed, path) {
+
+    for (let i = 0; i <= path.length; ++i) {               // Skip externals on the failed path and its ancestors
+        failed.add(internals.id(path.slice(0, i)));
+    }
+};
+
+
+internals.abortable = function (promise, signal) {
+
+    if (!signal) {
+        return promise;
+    }
+
+    return new Promise((resolve, reject) => {
+
+        const abort = () => reject(internals.reason(signal));
+        signal.addEventListener('abort', abort);
+
+        const cleanup = () => signal.removeEventListener('abort', abort);
+        promise.then((value) => {
+
+            cleanup();
+            resolve(value);
+        }, (err) => {
+
+            cleanup();
+            reject(err);
+        });
     });
 };
 
 
+internals.aborted = function (signal) {
+
+    if (signal &&
+        signal.aborted) {
+
+        throw internals.reason(signal);
+    }
+};
+
+
+internals.reason = function (signal) {
+
+    if (signal.reason !== undefined) {
+        return signal.reason;
+    }
+
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    return error;
+};
+
+
+internals.at = function (path, value, schema, state, prefs) {
+
+    // Walk down to the path schema (without validating the containers)
+
+    const parents = [];
+    for (let i = 0; i < path.length; ++i) {
+        let node = schema;
+        let nodeState = node._state(state.path, state.ancestors, state, { schemas: true });
+        let nodePrefs = internals.prefs(node, prefs);
+
+        while (node._type === 'alternatives') {
+            const selected = node._select(value, nodeState, nodePrefs);
+            if (!selected) {
+                return { value: undefined, errors: [node.createError('alternatives.base', value, null, nodeState, nodePrefs)] };
+            }
+
+            node = selected;
+            nodeState = node._state(nodeState.path, nodeState.ancestors, nodeState, { schemas: true });
+            nodePrefs = internals.prefs(node, nodePrefs);
+        }
+
+        const key = path[i];
+        const child = node._type === 'object' && node._inners.keys ? node._inners.keys.find((item) => item.key === key) : null;
+        Hoek.assert(child, 'Schema does not contain path', path.slice(0, i + 1).join('.'));
+
+        const parent = value && typeof value === 'object' ? internals.siblings(node, key, value, nodeState, nodePrefs) : value;
+        parents.unshift({ schema: node, value: parent, state: nodeState, prefs: nodePrefs });
+
+        schema = child.schema;
+        state = node._state([...nodeState.path, key], [parent, ...nodeState.ancestors], nodeState);
+        prefs = nodePrefs;
+        value = parent && typeof parent === 'object' ? parent[key] : undefined;
+    }
+
+    const result = exports.validate(value, schema, state, prefs);
+    if (result.errors &&
+        prefs.abortEarly) {
+
+        return result;
+    }
+
+    // Dependencies on the path in the containers
+
+    const errors = result.errors || [];
+    for (let i = 0; i < parents.length; ++i) {
+        const parent = parents[i];
+        if (!parent.schema._inners.dependencies ||
+            !parent.value ||
+            typeof parent.value !== 'object') {
+
+            continue;
+        }
+
+        let target = parent.value;
+        if (!i) {
+            target = Hoek.clone(target, { shallow: true });
+            target[path[path.length - 1]] = result.value;
+        }
+
+        parent.schema._dependencies(target, parent.state, parent.prefs, path.slice(path.length - i - 1), errors);
+        if (errors.length &&
+            Common.abort(errors, prefs)) {
+
+            break;
+        }
+    }
+
+    return { value: result.value, errors: errors.length ? errors : null };
+};
+
+
+internals.siblings = function (schema, key, value, state, prefs) {
+
+    // Collect the keys referenced (directly or indirectly) by the path key
+
+    const keys = schema._inners.keys;
+    const referenced = new Set([key]);
+    for (let i = keys.length - 1; i >= 0; --i) {
+        if (referenced.has(keys[i].key)) {
+            for (const root of keys[i].schema._refs.roots()) {
+                referenced.add(root);
+            }
+        }
+    }
+
+    referenced.delete(key);
+    if (!referenced.size) {
+        return value;
+    }
+
+    // Validate referenced keys to resolve references against converted values (errors are ignored)
+
+    const parent = Hoek.clone(value, { shallow: true });
+    const ancestors = [parent, ...state.ancestors];
+    const scratch = {
+        mainstay: { externals: [], warnings: [], shadow: state.mainstay.shadow, debug: null, changes: null, sensitive: [] },
+        schemas: state.schemas
+    };
+
+    for (const child of keys) {
+        if (!referenced.has(child.key)) {
+            continue;
+        }
+
+        const localState = schema._state([...state.path, child.key], ancestors, scratch);
+        const result = exports.validate(parent[child.key], child.schema, localState, prefs);
+        if (!result.errors &&
+            result.value !== undefined) {
+
+            parent[child.key] = result.value;
+        }
+    }
+
+    return parent;
+};
+
+
 exports.validate = function (value, schema, state, prefs) {
 
     // Setup state and settings
@@ -96,6 +506,20 @@ exports.validate = function (value, schema, state, prefs) {
 
     const original = value;
 
+    if (state.mainstay.debug) {
+        internals.debug(state, { type: 'entry', schema: schema._type, id: schema._flags.id });
+    }
+
+    if (state.mainstay.changes) {
+        state.changes = state.mainstay.changes.length;                  // Changes made from this point are reverted when the value is not used
+    }
+
+    if ((schema._flags.sensitive || prefs.sensitive) &&
+        !Errors.sensitive(state.path, state.mainstay.sensitive)) {
+
+        state.mainstay.sensitive.push(state.path);                      // Validated outside the schema tree paths (e.g. patch operation values)
+    }
+
     // Cache
 
     if (schema._cache &&
@@ -107,6 +531,13 @@ exports.validate = function (value, schema, state, prefs) {
         }
     }
 
+    // Size limits
+
+    const limited = internals.limits(value, schema, state, prefs);
+    if (limited) {
+        return internals.finalize(value, schema, original, [limited], state, prefs);                                                            // Limit errors always abort early
+    }
+
     // Type coercion
 
     if (schema._coerce &&
@@ -119,6 +550,17 @@ exports.validate = function (value, schema, state, prefs) {
                 return internals.finalize(coerced.value, schema, original, [].concat(coerced.errors), state, prefs);                            // Coerced error always aborts early
             }
 
+            const limit = internals.limits(coerced.value, schema, state, prefs);
+            if (limit) {
+                return internals.finalize(coerced.value, schema, original, [limit], state, prefs);
+            }
+
+            if (state.mainstay.changes &&
+                coerced.value !== value) {
+
+                internals.change(state, 'convert', value, coerced.value);
+            }
+
             value = coerced.value;
         }
     }
@@ -128,6 +570,10 @@ exports.validate = function (value, schema, state, prefs) {
     if (schema._flags.empty) {
         const entryState = schema._flags.empty._stateEntry(state);
         if (schema._flags.empty._match(internals.trim(value, schema), entryState, Common.defaults)) {
+            if (state.mainstay.changes) {
+                internals.change(state, 'convert', value, undefined);
+            }
+
             value = undefined;
         }
     }
@@ -165,7 +611,17 @@ exports.validate = function (value, schema, state, prefs) {
     if (schema._valids) {
         const match = schema._valids.get(value, state, prefs, schema._flags.insensitive);
         if (match) {
+            if (state.mainstay.debug) {
+                internals.debug(state, { type: 'valid', value: Errors.redact(match.value, state.path, state.mainstay.sensitive) });
+            }
+
             if (prefs.convert) {
+                if (state.mainstay.changes &&
+                    match.value !== value) {
+
+                    internals.change(state, 'convert', value, match.value);
+                }
+
                 value = match.value;
             }
 
@@ -173,7 +629,8 @@ exports.validate = function (value, schema, state, prefs) {
         }
 
         if (schema._flags.only) {
-            const report = schema.createError('any.only', value, { valids: schema._valids.values({ stripUndefined: true }) }, state, prefs);
+            const valids = schema._valids.values({ stripUndefined: true });
+            const report = schema.createError('any.only', value, Common.suggest({ valids }, value, valids, prefs), state, prefs);
             if (prefs.abortEarly) {
                 return internals.finalize(value, schema, original, [report], state, prefs);
             }
@@ -231,6 +688,7 @@ exports.validate = function (value, schema, state, prefs) {
 
     for (const test of schema._tests) {
         const { func, rule } = test;
+        let args = test.args;
         let ret;
         if (func) {
             ret = func.call(schema, value, state, prefs);
@@ -247,17 +705,21 @@ exports.validate = function (value, schema, state, prefs) {
 
             // Resolve references
 
-            let args = rule.args;
+            args = rule.args;
             if (rule.resolve.length) {
                 args = Object.assign({}, args);                                     // Shallow copy
                 for (const key of rule.resolve) {
                     const resolver = rule.refs[key];
 
                     const resolved = args[key].resolve(value, state, prefs);
+                    if (state.mainstay.debug) {
+                        internals.debug(state, { type: 'resolve', ref: args[key].toString(), value: internals.resolved(args[key], resolved, state) });
+                    }
+
                     const normalized = resolver.normalize ? resolver.normalize(resolved) : resolved;
 
                     if (!resolver.assert(normalized)) {
-                        ret = schema.createError(resolver.code, resolved, { ref: args[key] }, state, prefs);
+                        ret = schema.createError(resolver.code, internals.resolved(args[key], resolved, state), { ref: args[key] }, state, prefs);
                         break;
                     }
 
@@ -271,19 +733,30 @@ exports.validate = function (value, schema, state, prefs) {
         }
 
         const result = internals.rule(ret, test);
+
+        if (state.mainstay.debug) {
+            const outcome = result.errors ? (test.warn ? 'warning' : 'error') : 'pass';
+            internals.debug(state, { type: 'rule', name: test.name, args: internals.args(rule, args, state), outcome });
+        }
+
         if (result.errors) {
             if (test.warn) {
                 state.mainstay.warnings.push(...result.errors);
                 continue;
             }
 
-            if (prefs.abortEarly) {
-                return internals.finalize(value, schema, original, result.errors, state, prefs);
-            }
-
             errors.push(...result.errors);
+            if (Common.abort(errors, prefs)) {
+                return internals.finalize(value, schema, original, errors, state, prefs);
+            }
         }
         else {
+            if (state.mainstay.changes &&
+                result.value !== value) {
+
+                internals.change(state, 'convert', value, result.value);
+            }
+
             value = result.value;
         }
     }
@@ -292,7 +765,144 @@ exports.validate = function (value, schema, state, prefs) {
 };
 
 
-internals.rule = function (ret, test) {
+exports.limits = internals.limits = function (value, schema, state, prefs) {
+
+    // Checked before the value is processed to reject hostile inputs without walking them
+
+    const code = internals.limit(value, state.path.length, prefs, schema._type === 'object');
+    if (code) {
+        return schema.createError(code, value, { limit: prefs[code.slice(4)] }, state, prefs);
+    }
+
+    if (prefs.maxDepth === Infinity &&
+        prefs.maxItems === Infinity &&
+        prefs.maxKeys === Infinity &&
+        prefs.maxStringLength === Infinity) {
+
+        return null;
+    }
+
+    // Walk the parts of the value the schema does not validate (e.g. unknown keys) to the same limits
+
+    const exceeded = internals.walk(internals.unvalidated(value, schema, prefs), state.path, prefs);
+    if (exceeded) {
+        const localState = schema._state(exceeded.path, [], state, { flags: false });
+        return schema.createError(exceeded.code, exceeded.value, { limit: prefs[exceeded.code.slice(4)] }, localState, prefs);
+    }
+
+    return null;
+};
+
+
+internals.limit = function (value, depth, prefs, object) {
+
+    if (depth > prefs.maxDepth) {
+        return 'any.maxDepth';
+    }
+
+    if (typeof value === 'string') {
+        return value.length > prefs.maxStringLength ? 'any.maxStringLength' : null;
+    }
+
+    if (Array.isArray(value)) {
+        return value.length > prefs.maxItems ? 'any.maxItems' : null;
+    }
+
+    if ((object ? value && (typeof value === 'object' || typeof value === 'function') : internals.plain(value)) &&
+        prefs.maxKeys !== Infinity &&
+        Object.keys(value).length > prefs.maxKeys) {
+
+        return 'any.maxKeys';
+    }
+
+    return null;
+};
+
+
+internals.unvalidated = function (value, schema, prefs) {
+
+    if (!Array.isArray(value) &&
+        !internals.plain(value)) {
+
+        return [];
+    }
+
+    const keys = Object.keys(value);
+
+    switch (schema._type) {
+        case 'alternatives':
+        case 'link':
+            return [];                                                  // Validated against the same limits by the matching schemas
+
+        case 'array':
+            if (schema._inners.items.length ||
+                schema._inners.ordered.length) {
+
+                return [];
+            }
+
+            break;
+
+        case 'object':
+            if (schema._inners.keys ||
+                schema._inners.patterns) {
+
+                if (!Common.default(schema._flags.unknown, prefs.allowUnknown)) {
+                    return [];                                          // Unknown keys are not allowed
+                }
+
+                const known = new Set((schema._inners.keys || []).map((child) => child.key));
+                const patterns = (schema._inners.patterns || []).filter((pattern) => pattern.regex);
+                return keys.filter((key) => !known.has(key) && !patterns.some((pattern) => pattern.regex.test(key))).map((key) => [key, value[key]]);
+            }
+
+            break;
+    }
+
+    return keys.map((key) => [Array.isArray(value) ? Number(key) : key, value[key]]);
+};
+
+
+internals.walk = function (entries, path, prefs) {
+
+    // Depth first without recursion (the depth is only bounded when maxDepth is set)
+
+    const pending = entries.map(([key, item]) => ({ value: item, path: [...path, key] })).reverse();
+    while (pending.length) {
+        const { value, path: location } = pending.pop();
+        const code = internals.limit(value, location.length, prefs, false);
+        if (code) {
+            return { code, value, path: location };
+        }
+
+        if (Array.isArray(value) ||
+            internals.plain(value)) {
+
+            const keys = Object.keys(value);
+            for (let i = keys.length - 1; i >= 0; --i) {
+                pending.push({ value: value[keys[i]], path: [...location, Array.isArray(value) ? Number(keys[i]) : keys[i]] });
+            }
+        }
+    }
+
+    return null;
+};
+
+
+internals.plain = function (value) {
+
+    if (!value ||
+        typeof value !== 'object') {
+
+        return false;
+    }
+
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+};
+
+
+exports.rule = internals.rule = function (ret, test) {
 
     if (ret instanceof Errors.Report) {
         internals.error(ret, test);
@@ -320,15 +930,27 @@ internals.error = function (report, { message }) {
 };
 
 
-internals.finalize = function (value, schema, original, errors, state, prefs) {
+exports.finalize = internals.finalize = function (value, schema, original, errors, state, prefs) {
 
     errors = errors || [];
 
+    // Revert changes to invalid values
+
+    if (state.mainstay.changes &&
+        (errors.length || schema._flags.result)) {
+
+        state.mainstay.changes.length = state.changes;
+    }
+
     // Failover value
 
     if (errors.length) {
         const failover = internals.default('failover', undefined, schema, errors, state, prefs);
         if (failover !== undefined) {
+            if (state.mainstay.changes) {
+                internals.change(state, 'failover', original, failover);
+            }
+
             value = failover;
             errors = [];
         }
@@ -354,6 +976,18 @@ internals.finalize = function (value, schema, original, errors, state, prefs) {
 
     if (value === undefined) {
         value = internals.default('default', value, schema, errors, state, prefs);
+        if (state.mainstay.changes &&
+            value !== undefined) {
+
+            internals.change(state, 'default', undefined, value);
+        }
+    }
+    else if (state.mainstay.changes &&
+        original === undefined &&
+        schema._flags.default === Common.symbols.deepDefault &&
+        !errors.length) {
+
+        internals.change(state, 'default', undefined, value);
     }
 
     // Cast
@@ -362,17 +996,24 @@ internals.finalize = function (value, schema, original, errors, state, prefs) {
         value !== undefined &&
         schema._casts[Common.symbols.castFrom](value)) {
 
-        value = schema._casts[schema._flags.cast](value, { schema, state, prefs });
+        const cast = schema._casts[schema._flags.cast](value, { schema, state, prefs });
+        if (state.mainstay.changes) {
+            internals.change(state, 'cast', value, cast);
+        }
+
+        value = cast;
     }
 
     // Externals
 
     if (schema._inners.externals &&
+        !errors.length &&                                   // Skip externals of invalid values
         prefs.externals !== false &&                        // Defaults to semi-true (collect but not execute)
         prefs._externals !== false) {                       // Disabled for matching
 
-        for (const method of schema._inners.externals) {
-            state.mainstay.externals.push({ method, path: state.path, label: Errors.label(state, prefs) });
+        for (const external of schema._inners.externals) {
+            const { method, batch } = typeof external === 'function' ? { method: external } : external;
+            state.mainstay.externals.push({ method, batch, path: state.path, schema, state, prefs });
         }
     }
 
@@ -380,9 +1021,24 @@ internals.finalize = function (value, schema, original, errors, state, prefs) {
 
     const result = { value, errors: errors.length ? errors : null };
 
+    if (state.mainstay.debug) {
+        const exit = { type: 'exit', schema: schema._type, outcome: errors.length ? 'error' : 'pass' };
+        if (errors.length) {
+            exit.errors = errors.map((error) => error.code || 'override');
+        }
+
+        internals.debug(state, exit);
+    }
+
     if (schema._flags.result) {
         result.value = schema._flags.result === 'strip' ? undefined : /* raw */ original;
         state.mainstay.shadow.set(state.path, value);
+
+        if (state.mainstay.changes &&
+            result.value !== original) {
+
+            internals.change(state, 'strip', original, undefined);
+        }
     }
 
     // Cache
@@ -398,6 +1054,87 @@ internals.finalize = function (value, schema, original, errors, state, prefs) {
 };
 
 
+exports.debug = internals.debug = function (state, entry) {
+
+    const item = { type: entry.type, path: state.path.filter((segment) => typeof segment !== 'object') };
+    for (const key in entry) {
+        if (entry[key] !== undefined) {
+            item[key] = entry[key];
+        }
+    }
+
+    state.mainstay.debug.push(item);
+};
+
+
+exports.change = internals.change = function (state, kind, from, to, path = state.path) {
+
+    if (kind !== 'rename') {                                            // Renames report key names
+        from = Errors.redact(from, path, state.mainstay.sensitive);
+        to = Errors.redact(to, path, state.mainstay.sensitive);
+    }
+
+    state.mainstay.changes.push({ path: path.filter((segment) => typeof segment !== 'object'), kind, from, to });
+};
+
+
+exports.resolved = internals.resolved = function (source, resolved, state) {
+
+    // References to sensitive values are redacted from the debug trace
+
+    if (source[Common.symbols.ref]) {
+        const path = internals.referenced(source, state);
+        return path ? Errors.redact(resolved, path, state.mainstay.sensitive) : resolved;
+    }
+
+    const refs = source.refs() || [];
+    for (const ref of refs) {
+        const path = internals.referenced(ref, state);
+        if (path &&
+            Errors.sensitive(path, state.mainstay.sensitive, { nested: true })) {
+
+            return Errors.redacted;
+        }
+    }
+
+    return resolved;
+};
+
+
+internals.referenced = function (ref, state) {
+
+    if (ref.type !== 'value') {
+        return null;
+    }
+
+    if (ref.ancestor === 'root') {
+        return ref.path;
+    }
+
+    const depth = Math.max(state.ancestors.length - ref.ancestor, 0);      // Ancestors can include the value itself (e.g. object dependencies)
+    return [...state.path.slice(0, depth), ...ref.path];
+};
+
+
+internals.args = function (rule, args, state) {
+
+    if (!rule ||
+        args === rule.args) {
+
+        return args;
+    }
+
+    const masked = Object.assign({}, args);
+    for (const key of rule.resolve) {
+        if (args[key] !== rule.args[key]) {                             // Not resolved when a previous reference failed
+            masked[key] = internals.resolved(rule.args[key], args[key], state);
+        }
+    }
+
+    return masked;
+};
+
+
 internals.prefs = function (schema, prefs) {
 
     if (schema._preferences) {
@@ -454,7 +1191,12 @@ internals.default = function (flag, value, schema, errors, state, prefs) {
     }
 
     if (Common.isResolvable(source)) {
-        return source.resolve(value, state, prefs);
+        const resolved = source.resolve(value, state, prefs);
+        if (state.mainstay.debug) {
+            internals.debug(state, { type: 'resolve', ref: source.toString(), value: internals.resolved(source, resolved, state) });
+        }
+
+        return resolved;
     }
 
     return Hoek.clone(source);
@@ -483,7 +1225,7 @@ internals.Promise = class {
     constructor(result, prefs) {
 
         Object.assign(this, result);
-        this[internals.result] = prefs.warnings ? result : result.value;
+        this[internals.result] = prefs.warnings || prefs.debug || prefs.changes ? result : result.value;
     }
 
     then(resolve, reject) {
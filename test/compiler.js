@@ -0,0 +1,408 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const Joi = require('..');
+
+
+const internals = {};
+
+
+const { describe, it } = exports.lab = Lab.script();
+const { expect } = Code;
+
+
+describe('Compiler', () => {
+
+    describe('compileValidator()', () => {
+
+        it('validates objects', () => {
+
+            const schema = Joi.object({
+                id: Joi.string().required(),
+                level: Joi.string().valid('debug', 'info', 'notice').required(),
+                count: Joi.number().integer().min(0).invalid(13),
+                tags: Joi.array().items(Joi.string())
+            });
+
+            const values = [
+                { id: '1', level: 'info' },
+                { id: '1', level: 'info', count: '5', tags: ['a'] },
+                { id: '1', level: 'warning', count: 13, tags: [1] },
+                { level: 'info', count: -1.5, other: true },
+                {},
+                '{ "id": "1", "level": "info" }',
+                'invalid',
+                [],
+                null,
+                undefined
+            ];
+
+            internals.compare(schema, values);
+            internals.compare(schema, values, { abortEarly: false });
+            internals.compare(schema, values, { convert: false });
+            internals.compare(schema, values, { convert: false, abortEarly: false });
+            internals.compare(schema, values, { presence: 'required' });
+            internals.compare(schema.required(), values);
+        });
+
+        it('returns identical error objects', () => {
+
+            const schema = Joi.object({
+                a: Joi.number().min(10),
+                b: Joi.string().label('B')
+            });
+
+            const validate = Joi.compileValidator(schema, { abortEarly: false });
+            const { error } = validate({ a: 5, b: 1, c: 'x' });
+            expect(error).to.be.an.error(Joi.ValidationError);
+            expect(error).to.equal(schema.validate({ a: 5, b: 1, c: 'x' }, { abortEarly: false }).error);
+            expect(error.details).to.equal([
+                {
+                    message: '"a" must be larger than or equal to 10',
+                    path: ['a'],
+                    type: 'number.min',
+                    context: { limit: 10, value: 5, label: 'a', key: 'a' }
+                },
+                {
+                    message: '"B" must be a string',
+                    path: ['b'],
+                    type: 'string.base',
+                    context: { value: 1, label: 'B', key: 'b' }
+                },
+                {
+                    message: '"c" is not allowed',
+                    path: ['c'],
+                    type: 'object.unknown',
+                    context: { child: 'c', value: 'x', label: 'c', key: 'c' }
+                }
+            ]);
+        });
+
+        it('compiles literal schemas', async () => {
+
+            const validate = Joi.compileValidator({ a: Joi.number() });
+            expect(validate({ a: '1' }).value).to.equal({ a: 1 });
+            expect(await validate({ a: '1' })).to.equal({ a: 1 });
+            await expect(validate({ a: 'x' })).to.reject('"a" must be a number');
+        });
+
+        it('validates nested objects', () => {
+
+            const schema = Joi.object({
+                a: Joi.object({
+                    b: Joi.object({
+                        c: Joi.number().max(Joi.ref('...d'))
+                    }),
+                    x: Joi.number()
+                }),
+                d: Joi.number()
+            });
+
+            const values = [
+                { a: { b: { c: 1 } }, d: 5 },
+                { a: { b: { c: 10 } }, d: 5 },
+                { a: { b: { c: 1 } }, d: 'x' },
+                { a: { b: 'x', x: 'y' } }
+            ];
+
+            internals.compare(schema, values);
+            internals.compare(schema, values, { abortEarly: false });
+        });
+
+        it('handles unknown keys', () => {
+
+            const schema = Joi.object({
+                a: Joi.number(),
+                b: Joi.object({ c: Joi.number() }).unknown()
+            });
+
+            const values = [
+                { a: 1, x: 1, y: 2, b: { c: 1, d: 2 } },
+                { a: 1, f: () => null, g: 1 },
+                { a: 1, f: () => null }
+            ];
+
+            internals.compare(schema, values);
+            internals.compare(schema, values, { abortEarly: false });
+            internals.compare(schema, values, { allowUnknown: true });
+            internals.compare(schema, values, { stripUnknown: true });
+            internals.compare(schema, values, { stripUnknown: { objects: true } });
+            internals.compare(schema, values, { stripUnknown: { arrays: true } });
+            internals.compare(schema, values, { skipFunctions: true });
+            internals.compare(schema, values, { skipFunctions: true, abortEarly: false });
+            internals.compare(Joi.object({ a: Joi.number() }).unknown(false), values, { stripUnknown: true });
+        });
+
+        it('clones non-enumerable properties', () => {
+
+            const schema = Joi.object({ a: Joi.number() }).unknown();
+            const value = { a: '1' };
+            Object.defineProperty(value, 'b', { value: 2, enumerable: false });
+
+            internals.compare(schema, [value], { nonEnumerables: true });
+            expect(Joi.compileValidator(schema, { nonEnumerables: true })(value).value.b).to.equal(2);
+        });
+
+        it('strips keys', () => {
+
+            const schema = Joi.object({
+                a: Joi.number().strip(),
+                b: Joi.string().empty(''),
+                c: Joi.any().strip().raw()
+            });
+
+            internals.compare(schema, [{ a: 1, b: '', c: 2 }, { a: 'x' }, { b: 'x' }]);
+        });
+
+        it('validates presence', () => {
+
+            const schema = Joi.object({
+                a: Joi.number().forbidden(),
+                b: Joi.number().required(),
+                c: Joi.object({ d: Joi.number().default(1) }).default(),
+                e: Joi.object({ f: Joi.number() }),
+                g: Joi.when('b', { switch: [{ is: 1, then: Joi.number() }], otherwise: Joi.string() }),
+                h: Joi.number().optional(),
+                i: Joi.object({ j: Joi.number().default(1) }).optional().default(),
+                k: Joi.object().optional()
+            });
+
+            const values = [
+                { b: 1 },
+                { a: 1, b: 1 },
+                { b: 2, c: {}, g: 'x' },
+                { b: 1, g: 'x' },
+                {}
+            ];
+
+            internals.compare(schema, values);
+            internals.compare(schema, values, { abortEarly: false });
+            internals.compare(schema, values, { noDefaults: true });
+        });
+
+        it('validates allowed and denied values', () => {
+
+            const schema = Joi.object({
+                a: Joi.string().valid('x', 'y').insensitive(),
+                b: Joi.string().invalid('x', ''),
+                c: Joi.number().allow('none'),
+                d: Joi.valid(Joi.ref('c'))
+            });
+
+            const values = [
+                { a: 'X', b: 'y', c: 'none' },
+                { a: 'z', b: 'x' },
+                { a: 'z', b: '', c: 'x', d: 2 },
+                { c: 1, d: 1 }
+            ];
+
+            internals.compare(schema, values);
+            internals.compare(schema, values, { abortEarly: false });
+            internals.compare(schema, values, { convert: false });
+        });
+
+        it('validates rules', () => {
+
+            const schema = Joi.object({
+                a: Joi.number().min(Joi.ref('b')).max(Joi.ref('c')),
+                b: Joi.number(),
+                c: Joi.any(),
+                d: Joi.string().trim().lowercase().min(2),
+                e: Joi.string().test((value) => value !== 'bad'),
+                f: Joi.number().min(10).warn(),
+                g: Joi.string().max(3).message('too long')
+            });
+
+            const values = [
+                { a: 5, b: 1, c: 10, d: ' Ab ', e: 'good', f: 20, g: '123' },
+                { a: 5, b: 6, c: 'x', d: 'A', e: 'bad', f: 5, g: 'long' },
+                { a: 5, b: 'x' }
+            ];
+
+            internals.compare(schema, values);
+            internals.compare(schema, values, { abortEarly: false });
+            internals.compare(schema, values, { convert: false });
+            internals.compare(schema, values, { warnings: true });
+            internals.compare(schema, values, { context: { x: 1 } });
+        });
+
+        it('applies schema preferences', () => {
+
+            const schema = Joi.object({
+                a: Joi.number().prefs({ convert: false }),
+                b: Joi.object({ c: Joi.number() }).prefs({ abortEarly: false })
+            });
+
+            internals.compare(schema, [{ a: '1', b: { c: '1' } }, { a: 'x', b: { c: 'x', d: 1 } }]);
+        });
+
+        it('finalizes values', () => {
+
+            const schema = Joi.object({
+                a: Joi.number().default(5),
+                b: Joi.number().failover(0),
+                c: Joi.number().error(new Error('Custom')),
+                d: Joi.number().error((errors) => errors[0]),
+                e: Joi.number().cast('string'),
+                f: Joi.string().default(Joi.ref('e')),
+                g: Joi.number().default(() => 1)
+            });
+
+            const values = [
+                {},
+                { b: 'x', e: 1 },
+                { c: 'x' },
+                { d: 'x' }
+            ];
+
+            internals.compare(schema, values);
+            internals.compare(schema, values, { noDefaults: true });
+        });
+
+        it('falls back to the generic validator', () => {
+
+            const schema = Joi.object({
+                a: Joi.string().cache(),
+                b: Joi.number().empty(''),
+                c: Joi.object().pattern(/x/, Joi.number()),
+                d: Joi.alternatives([Joi.number(), Joi.object({ e: Joi.string() })]),
+                f: Joi.array().items(Joi.object({ g: Joi.number() })),
+                h: Joi.object({ i: Joi.number() }).pattern(/x/, Joi.number()),
+                j: Joi.object({ k: Joi.number(), l: Joi.number() }).with('k', 'l'),
+                m: Joi.object({ o: Joi.number() }).rename('n', 'o'),
+                p: Joi.func().keys({ q: Joi.number() })
+            });
+
+            const values = [
+                { a: 'x', b: '', c: { x: '1' }, d: { e: 'y' }, f: [{ g: 1 }], h: { i: 1, x: 2 }, j: { k: 1, l: 2 }, m: { n: 1 } },
+                { a: 1, b: 'x', c: { x: 'x', y: 1 }, d: true, f: [{ g: 'x' }], h: { x: 'x' }, j: { k: 1 }, m: { o: 'x' }, p: () => null }
+            ];
+
+            internals.compare(schema, values);
+            internals.compare(schema, values, { abortEarly: false });
+            internals.compare(Joi.string().cache(), ['x', 1]);
+            internals.compare(Joi.object().rename('a', 'b'), [{ a: 1 }]);
+        });
+
+        it('validates non-object schemas', () => {
+
+            internals.compare(Joi.number().min(1), [2, '2', 0, 'x', undefined]);
+            internals.compare(Joi.string().forbidden(), ['x', undefined]);
+            internals.compare(Joi.any().valid('x'), ['x', 'y']);
+        });
+
+        it('enforces size limits', () => {
+
+            const schema = Joi.object({
+                a: Joi.object({ b: Joi.object({ c: Joi.number() }) }),
+                d: Joi.array().items(Joi.string()),
+                e: Joi.number()
+            });
+
+            const values = [
+                { a: { b: { c: 1 } }, d: ['x', 'y'], e: 1 },
+                { a: { b: { c: '12345' } }, d: ['xyz'], e: '123456' },
+                { a: '{ "b": { "c": 1 } }', d: ['x', 'y', 'z'] },
+                { a: { b: { c: 1, d: 2, e: 3, f: 4 } }, d: [], e: 1, f: 1 }
+            ];
+
+            internals.compare(schema, values, { maxDepth: 2 });
+            internals.compare(schema, values, { maxKeys: 3 });
+            internals.compare(schema, values, { maxItems: 2, abortEarly: false });
+            internals.compare(schema, values, { maxStringLength: 4, abortEarly: false });
+            internals.compare(schema, values, { maxStringLength: 4, convert: false });
+        });
+
+        it('suggests unknown keys and allowed values', () => {
+
+            const schema = Joi.object({
+                name: Joi.string(),
+                color: Joi.valid('red', 'green', 'blue')
+            });
+
+            const values = [
+                { name: 'x', color: 'gren' },
+                { nmae: 'x', name: 'y', color: 'red' },
+                { name: 'x', color: 'GREEN', other: 1 }
+            ];
+
+            internals.compare(schema, values, { abortEarly: false });
+            internals.compare(schema, values, { abortEarly: false, errors: { suggest: true } });
+        });
+
+        it('redacts sensitive values', () => {
+
+            const schema = Joi.object({
+                a: Joi.string().min(5).sensitive(),
+                b: Joi.object({ c: Joi.number() }).sensitive(),
+                d: Joi.number()
+            });
+
+            const values = [
+                { a: 'abcdef', b: { c: 1 }, d: 1 },
+                { a: 'abc', b: { c: 'x' }, d: 'x' },
+                { a: 'abc', b: { c: 1 }, d: 1, e: 1 }
+            ];
+
+            internals.compare(schema, values, { abortEarly: false });
+            internals.compare(schema, values, { abortEarly: false, sensitive: true });
+            internals.compare(schema.prefs({ sensitive: true }), values);
+
+            expect(Joi.compileValidator(schema, { abortEarly: false })(values[1]).error._original).to.equal({ a: '[REDACTED]', b: '[REDACTED]', d: 'x' });
+            expect(Joi.compileValidator(Joi.object({ d: Joi.number(), a: Joi.string().sensitive() }))({ d: 'x', a: 'abc' }).error._original).to.equal({ d: 'x', a: '[REDACTED]' });
+        });
+
+        it('limits errors', () => {
+
+            const schema = Joi.object({
+                a: Joi.number(),
+                b: Joi.number(),
+                c: Joi.object({ d: Joi.number(), e: Joi.number() })
+            });
+
+            const values = [
+                { a: 'x', b: 'x', c: { d: 'x', e: 'x' } },
+                { a: 1, b: 1, c: { d: 'x' }, f: 1, g: 1 },
+                { a: 'x', b: 1, c: { d: 1, e: 1 }, f: 1 }
+            ];
+
+            internals.compare(schema, values, { abortEarly: false, errors: { limit: 1 } });
+            internals.compare(schema, values, { abortEarly: false, errors: { limit: 2 } });
+            internals.compare(Joi.object({ a: Joi.string().min(5).alphanum().lowercase() }), [{ a: 'A!' }], { abortEarly: false, convert: false, errors: { limit: 2 } });
+            expect(Joi.compileValidator(schema, { abortEarly: false, errors: { limit: 2 } })(values[0]).error.truncated).to.be.true();
+        });
+
+        it('executes externals', async () => {
+
+            const schema = Joi.object({
+                a: Joi.number().external((value) => value + 1)
+            });
+
+            const validate = Joi.compileValidator(schema, { externals: true });
+            expect(await validate({ a: 1 })).to.equal({ a: 2 });
+            expect(() => Joi.compileValidator(schema)({ a: 1 })).to.throw('Cannot validate a schema with external rules without the externals flag');
+        });
+
+        it('errors on invalid options', () => {
+
+            expect(() => Joi.compileValidator(Joi.number(), { debug: true })).to.throw('Cannot compile a validator with debug enabled');
+            expect(() => Joi.compileValidator(Joi.number(), { unknown: true })).to.throw('"unknown" is not allowed');
+        });
+    });
+});
+
+
+internals.compare = function (schema, values, options) {
+
+    const validate = Joi.compileValidator(schema, options);
+
+    for (const value of values) {
+        const compiled = validate(value);
+        const generic = schema.validate(value, options);
+
+        expect(compiled.value).to.equal(generic.value);
+        expect(compiled.error).to.equal(generic.error);
+        expect(compiled.warning).to.equal(generic.warning);
+    }
+};
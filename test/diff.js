@@ -0,0 +1,234 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const Joi = require('..');
+
+
+const internals = {};
+
+
+const { describe, it } = exports.lab = Lab.script();
+const { expect } = Code;
+
+
+describe('Diff', () => {
+
+    describe('diff()', () => {
+
+        it('reports no changes for equivalent schemas', () => {
+
+            const schema = () => {
+
+                return Joi.object({
+                    a: Joi.string().min(1).pattern(/a/).pattern(/b/),
+                    b: Joi.array().items(Joi.number()).ordered(Joi.string()),
+                    c: Joi.alternatives().when('a', { is: 'x', then: Joi.number() }),
+                    d: Joi.link('/a')
+                });
+            };
+
+            expect(Joi.diff(schema(), schema())).to.equal([]);
+            expect(Joi.diff(schema().describe(), schema())).to.equal([]);
+        });
+
+        it('reports key changes', () => {
+
+            const before = Joi.object({
+                name: Joi.string(),
+                age: Joi.number().optional(),
+                email: Joi.string().optional(),
+                legacy: Joi.string().optional(),
+                role: Joi.string().optional().default('user'),
+                secret: Joi.string().strip()
+            });
+
+            const after = Joi.object({
+                name: Joi.string(),
+                nick: Joi.string().optional(),
+                id: Joi.number(),
+                legacy: Joi.any().forbidden()
+            });
+
+            expect(Joi.diff(before, after)).to.equal([
+                { path: ['keys', 'age'], change: 'removed', from: 'optional', breaking: ['producers'] },
+                { path: ['keys', 'email'], change: 'removed', from: 'optional', breaking: ['producers'] },
+                { path: ['keys', 'legacy'], change: 'removed', from: 'optional', breaking: ['producers'] },
+                { path: ['keys', 'role'], change: 'removed', from: 'optional', breaking: ['producers', 'consumers'] },
+                { path: ['keys', 'secret'], change: 'removed', from: 'required', breaking: ['producers'] },
+                { path: ['keys', 'nick'], change: 'added', to: 'optional', breaking: [] },
+                { path: ['keys', 'id'], change: 'added', to: 'required', breaking: ['producers'] }
+            ]);
+
+            expect(Joi.diff(Joi.object({ a: Joi.string(), b: Joi.string().optional() }), Joi.object({}).unknown())).to.equal([
+                { path: [], change: 'flag', name: 'unknown', from: false, to: true, breaking: ['consumers'] },
+                { path: ['keys', 'a'], change: 'removed', from: 'required', breaking: ['consumers'] },
+                { path: ['keys', 'b'], change: 'removed', from: 'optional', breaking: [] }
+            ]);
+
+            expect(Joi.diff(Joi.object(), Joi.object({}))).to.equal([{ path: ['keys'], change: 'added', breaking: ['producers'] }]);
+            expect(Joi.diff(Joi.object({ a: Joi.any() }), Joi.object())).to.equal([{ path: ['keys'], change: 'removed', breaking: ['consumers'] }]);
+        });
+
+        it('reports presence changes', () => {
+
+            const change = (before, after) => Joi.diff(Joi.object({ a: before }), Joi.object({ a: after }));
+
+            expect(change(Joi.number().optional(), Joi.number())).to.equal([{ path: ['keys', 'a'], change: 'presence', from: 'optional', to: 'required', breaking: ['producers'] }]);
+            expect(change(Joi.number(), Joi.number().optional())).to.equal([{ path: ['keys', 'a'], change: 'presence', from: 'required', to: 'optional', breaking: ['consumers'] }]);
+            expect(change(Joi.number(), Joi.number().optional().default(1))).to.equal([{ path: ['keys', 'a'], change: 'presence', from: 'required', to: 'optional', breaking: [] }]);
+
+            expect(Joi.diff(Joi.number(), Joi.number().forbidden())).to.equal([{ path: [], change: 'presence', from: 'required', to: 'forbidden', breaking: ['producers', 'consumers'] }]);
+            expect(Joi.diff(Joi.number().optional(), Joi.number().forbidden())).to.equal([{ path: [], change: 'presence', from: 'optional', to: 'forbidden', breaking: ['producers'] }]);
+            expect(Joi.diff(Joi.number().forbidden(), Joi.number().optional())).to.equal([{ path: [], change: 'presence', from: 'forbidden', to: 'optional', breaking: ['consumers'] }]);
+            expect(Joi.diff({ type: 'number' }, { type: 'number', flags: { presence: 'optional' } })).to.equal([{ path: [], change: 'presence', from: 'required', to: 'optional', breaking: ['consumers'] }]);
+        });
+
+        it('reports type changes', () => {
+
+            expect(Joi.diff(Joi.object({ a: Joi.string().min(1) }), Joi.object({ a: Joi.number().min(1) }))).to.equal([
+                { path: ['keys', 'a'], change: 'type', from: 'string', to: 'number', breaking: ['producers', 'consumers'] }
+            ]);
+
+            expect(Joi.diff(Joi.any(), Joi.string())).to.equal([{ path: [], change: 'type', from: 'any', to: 'string', breaking: ['producers'] }]);
+            expect(Joi.diff(Joi.string(), Joi.any())).to.equal([{ path: [], change: 'type', from: 'string', to: 'any', breaking: ['consumers'] }]);
+        });
+
+        it('reports flag changes', () => {
+
+            expect(Joi.diff(Joi.string(), Joi.string().valid('a'))).to.equal([
+                { path: [], change: 'flag', name: 'only', from: false, to: true, breaking: ['producers'] },
+                { path: ['allow'], change: 'added', to: 'a', breaking: ['consumers'] }
+            ]);
+
+            expect(Joi.diff(Joi.string().valid('a'), Joi.string().allow('a'))).to.equal([
+                { path: [], change: 'flag', name: 'only', from: true, to: false, breaking: ['consumers'] }
+            ]);
+
+            expect(Joi.diff(Joi.array(), Joi.array().sparse())).to.equal([{ path: [], change: 'flag', name: 'sparse', from: false, to: true, breaking: ['consumers'] }]);
+            expect(Joi.diff(Joi.array().sparse(), Joi.array())).to.equal([{ path: [], change: 'flag', name: 'sparse', from: true, to: false, breaking: ['producers'] }]);
+            expect(Joi.diff(Joi.string(), Joi.string().strip())).to.equal([{ path: [], change: 'flag', name: 'strip', from: false, to: true, breaking: ['consumers'] }]);
+            expect(Joi.diff(Joi.string().strip(), Joi.string())).to.equal([{ path: [], change: 'flag', name: 'strip', from: true, to: false, breaking: [] }]);
+            expect(Joi.diff(Joi.object().prefs({ convert: false }), Joi.object())).to.equal([]);
+            expect(Joi.diff(Joi.object().prefs({ allowUnknown: true }), Joi.object())).to.equal([{ path: [], change: 'flag', name: 'unknown', from: true, to: false, breaking: ['producers'] }]);
+        });
+
+        it('reports value changes', () => {
+
+            expect(Joi.diff(Joi.string().valid('a', 'b'), Joi.string().valid('a', 'c'))).to.equal([
+                { path: ['allow'], change: 'removed', from: 'b', breaking: ['producers'] },
+                { path: ['allow'], change: 'added', to: 'c', breaking: ['consumers'] }
+            ]);
+
+            expect(Joi.diff(Joi.number().allow(null), Joi.number().invalid(0))).to.equal([
+                { path: ['allow'], change: 'removed', from: null, breaking: ['producers'] },
+                { path: ['invalid'], change: 'added', to: 0, breaking: ['producers'] }
+            ]);
+
+            expect(Joi.diff(Joi.number().invalid(0), Joi.number())).to.equal([{ path: ['invalid'], change: 'removed', from: 0, breaking: ['consumers'] }]);
+            expect(Joi.diff(Joi.string().invalid('x'), Joi.string())).to.equal([{ path: ['invalid'], change: 'removed', from: 'x', breaking: ['consumers'] }]);
+            expect(Joi.diff({ type: 'custom' }, { type: 'custom', invalid: ['x'] })).to.equal([{ path: ['invalid'], change: 'added', to: 'x', breaking: ['producers'] }]);
+        });
+
+        it('reports rule changes', () => {
+
+            expect(Joi.diff(Joi.string().min(1).max(10), Joi.string().min(2).max(20))).to.equal([
+                { path: ['rules'], change: 'rule', name: 'min', from: { limit: 1 }, to: { limit: 2 }, breaking: ['producers'] },
+                { path: ['rules'], change: 'rule', name: 'max', from: { limit: 10 }, to: { limit: 20 }, breaking: ['consumers'] }
+            ]);
+
+            expect(Joi.diff(Joi.number().greater(1).less(5), Joi.number().greater(0).less(4))).to.equal([
+                { path: ['rules'], change: 'rule', name: 'greater', from: { limit: 1 }, to: { limit: 0 }, breaking: ['consumers'] },
+                { path: ['rules'], change: 'rule', name: 'less', from: { limit: 5 }, to: { limit: 4 }, breaking: ['producers'] }
+            ]);
+
+            expect(Joi.diff(Joi.date().min('2020-01-01'), Joi.date().min('2021-01-01'))[0].breaking).to.equal(['producers']);
+            expect(Joi.diff(Joi.date().min('2020-01-01'), Joi.date().min('now'))[0].breaking).to.equal(['producers', 'consumers']);
+            expect(Joi.diff(Joi.number().max(1), Joi.number().max(Joi.ref('a')))[0].breaking).to.equal(['producers', 'consumers']);
+            expect(Joi.diff(Joi.string().max(4), Joi.string().max(4, 'utf8'))[0].breaking).to.equal(['producers', 'consumers']);
+            expect(Joi.diff(Joi.string().length(4), Joi.string().length(5))[0].breaking).to.equal(['producers', 'consumers']);
+
+            expect(Joi.diff(Joi.string().min(1), Joi.string())).to.equal([{ path: ['rules'], change: 'rule', name: 'min', from: { limit: 1 }, breaking: ['consumers'] }]);
+            expect(Joi.diff(Joi.string().email(), Joi.string().uri())).to.equal([
+                { path: ['rules'], change: 'rule', name: 'email', breaking: ['consumers'] },
+                { path: ['rules'], change: 'rule', name: 'uri', breaking: ['producers'] }
+            ]);
+
+            expect(Joi.diff(Joi.string().pattern(/a/).pattern(/b/), Joi.string().pattern(/a/).pattern(/c/))).to.equal([
+                { path: ['rules'], change: 'rule', name: 'pattern', from: { regex: '/b/' }, breaking: ['consumers'] },
+                { path: ['rules'], change: 'rule', name: 'pattern', to: { regex: '/c/' }, breaking: ['producers'] }
+            ]);
+        });
+
+        it('compares repeated rules as sets', () => {
+
+            expect(Joi.diff(Joi.number().min(0).multiple(2).multiple(3), Joi.number().min(0).multiple(2).multiple(5))).to.equal([
+                { path: ['rules'], change: 'rule', name: 'multiple', from: { base: 3 }, breaking: ['consumers'] },
+                { path: ['rules'], change: 'rule', name: 'multiple', to: { base: 5 }, breaking: ['producers'] }
+            ]);
+        });
+
+        it('reports array changes', () => {
+
+            expect(Joi.diff(Joi.array().items(Joi.string(), Joi.number()), Joi.array().items(Joi.string().min(2)))).to.equal([
+                { path: ['items', 0, 'rules'], change: 'rule', name: 'min', to: { limit: 2 }, breaking: ['producers'] },
+                { path: ['items', 1], change: 'removed', breaking: ['producers'] }
+            ]);
+
+            expect(Joi.diff(Joi.array().items(Joi.string()), Joi.array().items(Joi.string(), Joi.number()))).to.equal([{ path: ['items', 1], change: 'added', breaking: ['consumers'] }]);
+            expect(Joi.diff(Joi.array(), Joi.array().items(Joi.string()))).to.equal([{ path: ['items'], change: 'added', breaking: ['producers'] }]);
+            expect(Joi.diff(Joi.array().items(Joi.string()), Joi.array())).to.equal([{ path: ['items'], change: 'removed', breaking: ['consumers'] }]);
+            expect(Joi.diff(Joi.array().ordered(Joi.string()), Joi.array().ordered(Joi.string(), Joi.number()))).to.equal([{ path: ['ordered', 1], change: 'added', breaking: ['producers', 'consumers'] }]);
+            expect(Joi.diff(Joi.array().ordered(Joi.string()), Joi.array())).to.equal([{ path: ['ordered', 0], change: 'removed', breaking: ['producers', 'consumers'] }]);
+        });
+
+        it('reports alternatives changes', () => {
+
+            expect(Joi.diff(Joi.alternatives().try([Joi.string(), Joi.number()]), Joi.alternatives().try([Joi.string().max(5)]))).to.equal([
+                { path: ['matches', 0, 'schema', 'rules'], change: 'rule', name: 'max', to: { limit: 5 }, breaking: ['producers'] },
+                { path: ['matches', 1], change: 'removed', breaking: ['producers'] }
+            ]);
+
+            expect(Joi.diff(Joi.alternatives().try([Joi.string()]), Joi.alternatives().try([Joi.string(), Joi.number()]))).to.equal([
+                { path: ['matches', 1], change: 'added', breaking: ['consumers'] }
+            ]);
+
+            const before = Joi.alternatives().when('a', { is: 1, then: Joi.string() });
+            const after = Joi.alternatives().when('b', { is: 1, then: Joi.string(), otherwise: Joi.number() });
+
+            expect(Joi.diff(before, after)).to.equal([
+                { path: ['matches', 0, 'ref'], change: 'condition', from: { path: ['a'] }, to: { path: ['b'] }, breaking: ['producers', 'consumers'] },
+                { path: ['matches', 0, 'otherwise'], change: 'added', breaking: ['consumers'] }
+            ]);
+
+            expect(Joi.diff(after, after.describe())).to.equal([]);
+            expect(Joi.diff(Joi.when('a', { is: 1, then: Joi.string(), otherwise: Joi.number() }), before)).to.equal([
+                { path: ['matches', 0, 'otherwise'], change: 'removed', breaking: ['producers'] }
+            ]);
+        });
+
+        it('reports link changes', () => {
+
+            const before = Joi.object({ a: Joi.string(), b: Joi.string(), c: Joi.link('/a') });
+            const after = Joi.object({ a: Joi.string(), b: Joi.string(), c: Joi.link('/b') });
+
+            expect(Joi.diff(before, after)).to.equal([
+                { path: ['keys', 'c'], change: 'link', from: { ref: { path: ['a'], ancestor: 'root' } }, to: { ref: { path: ['b'], ancestor: 'root' } }, breaking: ['producers', 'consumers'] }
+            ]);
+        });
+
+        it('returns independent classifications', () => {
+
+            const changes = Joi.diff(Joi.string().optional(), Joi.string());
+            changes[0].breaking.push('x');
+
+            expect(Joi.diff(Joi.string().optional(), Joi.string())[0].breaking).to.equal(['producers']);
+        });
+
+        it('validates arguments', () => {
+
+            expect(() => Joi.diff(null, Joi.string())).to.throw('Invalid schema or description');
+            expect(() => Joi.diff(Joi.string(), {})).to.throw('Invalid schema or description');
+        });
+    });
+});
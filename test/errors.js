@@ -3,6 +3,7 @@
 const Code = require('@hapi/code');
 const Joi = require('..');
 const Lab = require('@hapi/lab');
+const V8 = require('v8');
 
 
 const internals = {};
@@ -250,6 +251,111 @@ describe('errors', () => {
         expect(schema.validate({ a: 1, lang: 'empty' }).error).to.be.an.error('"a" must be larger than or equal to 10');
     });
 
+    it('supports path scoped messages', () => {
+
+        const schema = Joi.object({
+            billing: Joi.object({
+                zip: Joi.string().length(5),
+                city: Joi.string().length(3)
+            }),
+            items: Joi.array().items(Joi.object({ name: Joi.string().min(3) }))
+        })
+            .prefs({ abortEarly: false });
+
+        const value = { billing: { zip: 'x', city: 'x' }, items: [{ name: 'ab' }, { name: 'abc' }, { name: 'a' }] };
+        const messages = {
+            paths: {
+                'billing.zip': {
+                    'string.length': 'Please enter a 5 digits ZIP code'
+                },
+                'items.*.name': {
+                    'string.min': '{{#label}} is too short'
+                }
+            },
+            'string.min': 'too short'
+        };
+
+        expect(schema.validate(value, { messages }).error).to.be.an.error('Please enter a 5 digits ZIP code. "billing.city" length must be 3 characters long. items[0].name is too short. items[2].name is too short');
+        expect(Joi.string().min(3).validate('a', { messages }).error).to.be.an.error('too short');
+        expect(Joi.object({ billing: Joi.object({ zip: Joi.number() }) }).validate({ billing: { zip: 'x' } }, { messages }).error).to.be.an.error('"billing.zip" must be a number');
+    });
+
+    it('prefers exact path scoped messages', () => {
+
+        const schema = Joi.object({
+            a: Joi.object({
+                b: Joi.number().optional(),
+                c: Joi.number().optional()
+            })
+        });
+
+        const messages = {
+            english: {
+                'number.base': '{{#label}} is not a number'
+            },
+            paths: {
+                '*': {
+                    'number.base': 'wrong depth'
+                },
+                'b.*': {
+                    'number.base': 'wrong parent'
+                },
+                'a.*': {
+                    'number.base': 'any {{#label}}'
+                },
+                'a.b': {
+                    'number.base': 'exact {{#label}}'
+                }
+            }
+        };
+
+        expect(schema.validate({ a: { b: 'x' } }, { messages, errors: { language: 'english' } }).error).to.be.an.error('exact a.b');
+        expect(schema.validate({ a: { c: 'x' } }, { messages, errors: { language: 'english' } }).error).to.be.an.error('any a.c');
+        expect(schema.validate({ a: 'x' }, { messages, errors: { language: 'english' } }).error).to.be.an.error('"a" must be an object');
+        expect(schema.validate({ a: 'x' }, { messages: { paths: { '*': { 'object.base': '{{#label}} wrong' } } } }).error).to.be.an.error('a wrong');
+    });
+
+    it('keeps path scoped messages apart from languages', () => {
+
+        const schema = Joi.object({
+            en: Joi.number(),
+            de: Joi.number()
+        });
+
+        const messages = {
+            de: {
+                'number.base': '{{#label}} muss eine Zahl sein'
+            },
+            paths: {
+                en: {
+                    'number.base': 'english field'
+                }
+            }
+        };
+
+        expect(schema.validate({ en: 1, de: 'x' }, { messages, errors: { language: 'de' } }).error).to.be.an.error('de muss eine Zahl sein');
+        expect(schema.validate({ en: 'x', de: 1 }, { messages, errors: { language: 'de' } }).error).to.be.an.error('english field');
+        expect(schema.validate({ en: 'x', de: 1 }, { messages: { en: { 'number.base': 'english' } } }).error).to.be.an.error('"en" must be a number');
+    });
+
+    it('merges and describes path scoped messages', () => {
+
+        const schema = Joi.object({ a: Joi.number().min(5) })
+            .prefs({ messages: { paths: { a: { 'number.base': 'first' } } } })
+            .prefs({ messages: { paths: { a: { 'number.min': 'second' } } } });
+
+        expect(schema.validate({ a: 'x' }).error).to.be.an.error('first');
+        expect(schema.validate({ a: 1 }).error).to.be.an.error('second');
+
+        const desc = schema.describe();
+        expect(desc.preferences.messages).to.equal({ paths: { a: { 'number.base': 'first', 'number.min': 'second' } } });
+        expect(Joi.build(desc).describe().preferences.messages).to.equal(desc.preferences.messages);
+
+        expect(() => Joi.object().prefs({ messages: { paths: [] } })).to.throw('Invalid path messages');
+        expect(() => Joi.object().prefs({ messages: { paths: 'x' } })).to.throw('Invalid path messages');
+        expect(() => Joi.object().prefs({ messages: { paths: { a: 'x' } } })).to.throw('Invalid messages for path a');
+    });
+
     it('does not prefix with key when messages uses context.key', async () => {
 
         const schema = Joi.valid('sad').prefs({ messages: { 'any.only': 'my hero "{{#label}}" is not {{#valids}}' } });
@@ -1009,4 +1115,302 @@ describe('errors', () => {
             expect(value).to.equal(Joi.number().min(1));
         });
     });
+
+    describe('toProblem()', () => {
+
+        it('returns a problem details object', () => {
+
+            const schema = Joi.object({
+                a: Joi.number(),
+                'b/c': Joi.array().items(Joi.string().label('Item')),
+                d: Joi.object({ '~e': Joi.boolean() })
+            });
+
+            const { error } = schema.validate({ a: 'x', 'b/c': ['y', 1], d: { '~e': 'z' } }, { abortEarly: false });
+            expect(error.toProblem()).to.equal({
+                type: 'about:blank',
+                title: 'Bad Request',
+                status: 400,
+                detail: '"a" must be a number. "Item" must be a string. "d.~e" must be a boolean',
+                errors: [
+                    { pointer: '/a', code: 'number.base', label: 'a', message: '"a" must be a number' },
+                    { pointer: '/b~1c/1', code: 'string.base', label: 'Item', message: '"Item" must be a string' },
+                    { pointer: '/d/~0e', code: 'boolean.base', label: 'd.~e', message: '"d.~e" must be a boolean' }
+                ]
+            });
+        });
+
+        it('applies options', () => {
+
+            const { error } = Joi.number().validate('x');
+            expect(error.toProblem({ type: 'https://example.com/invalid', status: 422, instance: '/items/1' })).to.equal({
+                type: 'https://example.com/invalid',
+                title: 'Unprocessable Entity',
+                status: 422,
+                detail: '"value" must be a number',
+                instance: '/items/1',
+                errors: [{ pointer: '', code: 'number.base', label: 'value', message: '"value" must be a number' }]
+            });
+
+            expect(error.toProblem({ status: 409, title: 'Conflict', detail: 'Invalid item' })).to.contain({ title: 'Conflict', status: 409, detail: 'Invalid item' });
+            expect(error.toProblem({ status: 409 }).title).to.equal('Validation Error');
+            expect(() => error.toProblem({ code: 400 })).to.throw('Options contain unknown keys: code');
+        });
+
+        it('flags truncated errors', () => {
+
+            const limited = Joi.array().items(Joi.number()).validate(['x', 'y', 'z'], { abortEarly: false, errors: { limit: 1 } }).error;
+            expect(limited.toProblem()).to.contain({ detail: '"[0]" must be a number', truncated: true });
+        });
+    });
+
+    describe('toJSON()', () => {
+
+        it('serializes to a lossless object', () => {
+
+            const { error } = Joi.object({ a: Joi.number() }).validate({ a: 'x' });
+            expect(JSON.parse(JSON.stringify(error))).to.equal({
+                message: '"a" must be a number',
+                details: [{ message: '"a" must be a number', path: ['a'], type: 'number.base', context: { label: 'a', key: 'a', value: 'x' } }],
+                original: { a: 'x' }
+            });
+        });
+    });
+
+    describe('ValidationError.fromJSON()', () => {
+
+        it('revives a serialized error', () => {
+
+            const schema = Joi.object({
+                a: Joi.number(),
+                b: Joi.array().items(Joi.string())
+            });
+
+            const { error } = schema.validate({ a: 'x', b: ['y', 1] }, { abortEarly: false });
+            const revived = Joi.ValidationError.fromJSON(JSON.parse(JSON.stringify(error)));
+
+            expect(revived).to.be.an.instanceof(Joi.ValidationError);
+            expect(revived).to.be.an.error('"a" must be a number. "b[1]" must be a string');
+            expect(revived.name).to.equal('ValidationError');
+            expect(revived.isJoi).to.be.true();
+            expect(revived.details).to.equal(error.details);
+            expect(revived._original).to.equal({ a: 'x', b: ['y', 1] });
+            expect(revived.annotate(true)).to.equal(error.annotate(true));
+            expect(revived.toProblem()).to.equal(error.toProblem());
+            expect(JSON.parse(JSON.stringify(revived))).to.equal(JSON.parse(JSON.stringify(error)));
+        });
+
+        it('revives a structured cloned error', () => {
+
+            const { error } = Joi.object({ a: Joi.number() }).validate({ a: 'x' });
+            const revived = Joi.ValidationError.fromJSON(V8.deserialize(V8.serialize(error.toJSON())));
+            expect(revived).to.be.an.instanceof(Joi.ValidationError);
+            expect(revived.details).to.equal(error.details);
+            expect(revived.annotate(true)).to.equal(error.annotate(true));
+        });
+
+        it('revives formatted paths', () => {
+
+            const schema = Joi.object({
+                a: Joi.object({
+                    'b/~c': Joi.array().items(Joi.number())
+                })
+            });
+
+            const { error } = schema.validate({ a: { 'b/~c': [1, 'x'] } }, { errors: { pathFormat: 'dotted' } });
+            const revived = Joi.ValidationError.fromJSON(JSON.parse(JSON.stringify(error)));
+            expect(error.toJSON().paths).to.equal([['a', 'b/~c', 1]]);
+            expect(revived.details[0].path).to.equal('a.b/~c.1');
+            expect(revived.annotate(true)).to.equal(error.annotate(true));
+            expect(revived.toProblem()).to.equal(error.toProblem());
+
+            const mixed = Joi.object({ a: Joi.number(), b: Joi.number().prefs({ errors: { pathFormat: 'pointer' } }) }).validate({ a: 'x', b: 'y' }, { abortEarly: false }).error;
+            const serialized = JSON.parse(JSON.stringify(mixed));
+            expect(serialized.paths).to.equal([['a'], ['b']]);
+            expect(Joi.ValidationError.fromJSON(serialized).toProblem()).to.equal(mixed.toProblem());
+
+            const root = Joi.number().validate('x', { errors: { pathFormat: 'pointer' } }).error;
+            expect(Joi.ValidationError.fromJSON(JSON.parse(JSON.stringify(root))).toProblem()).to.equal(root.toProblem());
+        });
+
+        it('revives errors without original value', () => {
+
+            const { error } = Joi.number().validate(undefined, { presence: 'required' });
+            const json = JSON.parse(JSON.stringify(error));
+            expect(json.original).to.not.exist();
+
+            const revived = Joi.ValidationError.fromJSON(json);
+            expect(revived._original).to.be.undefined();
+            expect(revived.annotate()).to.equal('"value" is required');
+        });
+
+        it('keeps truncated flag', () => {
+
+            const { error } = Joi.array().items(Joi.number()).validate(['x', 'y'], { abortEarly: false, errors: { limit: 1 } });
+            const revived = Joi.ValidationError.fromJSON(JSON.parse(JSON.stringify(error)));
+            expect(revived.truncated).to.be.true();
+            expect(revived.details).to.have.length(1);
+        });
+
+        it('keeps redacted values', () => {
+
+            const { error } = Joi.object({ secret: Joi.number().sensitive() }).validate({ secret: 'x' });
+            const revived = Joi.ValidationError.fromJSON(JSON.parse(JSON.stringify(error)));
+            expect(revived._original).to.equal({ secret: '[REDACTED]' });
+            expect(revived.details[0].context.value).to.equal('[REDACTED]');
+        });
+
+        it('errors on invalid input', () => {
+
+            expect(() => Joi.ValidationError.fromJSON()).to.throw('Invalid validation error JSON');
+            expect(() => Joi.ValidationError.fromJSON('x')).to.throw('Invalid validation error JSON');
+            expect(() => Joi.ValidationError.fromJSON({ detail: 'x' })).to.throw('Invalid validation error JSON');
+            expect(() => Joi.ValidationError.fromJSON({ message: 'x' })).to.throw('Invalid validation error JSON');
+            expect(() => Joi.ValidationError.fromJSON(Joi.number().validate('x').error.toProblem())).to.throw('Invalid validation error JSON');
+        });
+    });
+
+    describe('isError()', () => {
+
+        it('identifies validation errors', () => {
+
+            const { error } = Joi.number().validate('x');
+            expect(Joi.isError(error)).to.be.true();
+            expect(Joi.isError(Joi.ValidationError.fromJSON(error.toJSON()))).to.be.true();
+            expect(Joi.isError(new Error('x'))).to.be.false();
+            expect(Joi.isError(error.toJSON())).to.be.false();
+            expect(Joi.isError({ isJoi: true })).to.be.false();
+            expect(Joi.isError(null)).to.be.false();
+        });
+    });
+
+    describe('pathFormat', () => {
+
+        const schema = Joi.object({
+            a: Joi.object({
+                'b/~c': Joi.array().items(Joi.number())
+            })
+        });
+
+        const value = { a: { 'b/~c': [1, 'x'] } };
+
+        it('formats paths as arrays', () => {
+
+            const { error } = schema.validate(value, { errors: { pathFormat: 'array' } });
+            expect(error).to.be.an.error('"a.b/~c[1]" must be a number');
+            expect(error.details[0]).to.contain({ path: ['a', 'b/~c', 1] });
+            expect(error.details[0].context.label).to.equal('a.b/~c[1]');
+        });
+
+        it('formats paths as JSON pointers', () => {
+
+            const { error } = schema.validate(value, { errors: { pathFormat: 'pointer' } });
+            expect(error).to.be.an.error('"/a/b~1~0c/1" must be a number');
+            expect(error.details).to.equal([{
+                message: '"/a/b~1~0c/1" must be a number',
+                path: '/a/b~1~0c/1',
+                type: 'number.base',
+                context: { label: '/a/b~1~0c/1', key: 1, value: 'x' }
+            }]);
+
+            expect(Joi.number().validate('x', { errors: { pathFormat: 'pointer' } }).error.details[0]).to.contain({ path: '', message: '"value" must be a number' });
+        });
+
+        it('formats paths as dotted strings', () => {
+
+            const { error } = schema.validate(value, { errors: { pathFormat: 'dotted' } });
+            expect(error).to.be.an.error('"a.b/~c.1" must be a number');
+            expect(error.details[0]).to.contain({ path: 'a.b/~c.1' });
+        });
+
+        it('formats paths as bracket strings', () => {
+
+            const { error } = schema.validate(value, { errors: { pathFormat: 'bracket' } });
+            expect(error).to.be.an.error('"a.b/~c[1]" must be a number');
+            expect(error.details[0]).to.contain({ path: 'a.b/~c[1]' });
+        });
+
+        it('keeps explicit labels', () => {
+
+            const { error } = Joi.object({ a: Joi.number().label('A') }).validate({ a: 'x' }, { errors: { pathFormat: 'pointer' } });
+            expect(error).to.be.an.error('"A" must be a number');
+            expect(error.details[0].path).to.equal('/a');
+        });
+
+        it('annotates and converts formatted paths', () => {
+
+            const { error } = schema.validate(value, { errors: { pathFormat: 'dotted' } });
+            expect(error.annotate(true)).to.equal('{\n  "a": {\n    "b/~c": [\n      1,\n      "x" [1]\n    ]\n  }\n}\n\n[1] "a.b/~c.1" must be a number');
+            expect(error.toProblem().errors[0]).to.contain({ pointer: '/a/b~1~0c/1', label: 'a.b/~c.1' });
+        });
+    });
+
+    describe('suggestions', () => {
+
+        const schema = Joi.object({
+            name: Joi.string().optional(),
+            username: Joi.string().optional(),
+            color: Joi.valid('red', 'green', 'blue', 5).optional()
+        });
+
+        const prefs = { errors: { suggest: true } };
+
+        it('suggests the closest known key', () => {
+
+            const { error } = schema.validate({ name: 'x', usrname: 'y', color: 'red' }, prefs);
+            expect(error).to.be.an.error('"usrname" is not allowed (did you mean "username"?)');
+            expect(error.details[0].context).to.equal({ child: 'usrname', suggestion: 'username', label: 'usrname', key: 'usrname', value: 'y' });
+        });
+
+        it('suggests the closest allowed value', () => {
+
+            const { error } = schema.validate({ name: 'x', username: 'y', color: 'Bleu' }, prefs);
+            expect(error).to.be.an.error('"color" must be one of [red, green, blue, 5] (did you mean "blue"?)');
+            expect(error.details[0].context.suggestion).to.equal('blue');
+        });
+
+        it('only looks up suggestions when enabled', () => {
+
+            expect(schema.validate({ name: 'x', usrname: 'y', color: 'red' }).error.details[0].context).to.equal({ child: 'usrname', label: 'usrname', key: 'usrname', value: 'y' });
+            expect(schema.validate({ name: 'x', username: 'y', color: 'Bleu' }).error.details[0].context).to.equal({ value: 'Bleu', valids: ['red', 'green', 'blue', 5], label: 'color', key: 'color' });
+            expect(schema.prefs(prefs).validate({ name: 'x', username: 'y', color: 'Bleu' }).error.details[0].context.suggestion).to.equal('blue');
+        });
+
+        it('ignores values without close matches', () => {
+
+            expect(schema.validate({ name: 'x', username: 'y', color: 'purple' }, prefs).error.details[0].context.suggestion).to.not.exist();
+            expect(schema.validate({ name: 'x', username: 'y', color: 6 }, prefs).error.details[0].context.suggestion).to.not.exist();
+            expect(schema.validate({ name: 'x', username: 'y', color: 'red', ab: 1 }, prefs).error.details[0].context.suggestion).to.not.exist();
+            expect(Joi.object().pattern(/a/, Joi.any()).validate({ b: 1 }, prefs).error.details[0].context.suggestion).to.not.exist();
+        });
+
+        it('ignores long values', () => {
+
+            const long = Joi.valid('x'.repeat(100), 'y'.repeat(101));
+            expect(long.validate('X'.repeat(100), prefs).error.details[0].context.suggestion).to.equal('x'.repeat(100));
+            expect(long.validate('Y'.repeat(101), prefs).error.details[0].context.suggestion).to.not.exist();
+        });
+
+        it('appends suggestions to messages', () => {
+
+            const value = { name: 'x', nmae: 'y', color: 'gren', other: 1 };
+            const { error } = schema.validate(value, { abortEarly: false, errors: { suggest: true } });
+            expect(error).to.be.an.error('"color" must be one of [red, green, blue, 5] (did you mean "green"?). "nmae" is not allowed (did you mean "name"?). "other" is not allowed');
+        });
+
+        it('localizes suggestions', () => {
+
+            const messages = {
+                suggestion: ' ({{#suggestion}}?)',
+                latin: {
+                    suggestion: ' (fortasse "{{#suggestion}}")'
+                }
+            };
+
+            const value = { name: 'x', nmae: 'y', color: 'red' };
+            expect(schema.validate(value, { messages, errors: { suggest: true } }).error).to.be.an.error('"nmae" is not allowed (name?)');
+            expect(schema.validate(value, { messages, errors: { suggest: true, language: 'latin' } }).error).to.be.an.error('"nmae" is not allowed (fortasse "name")');
+            expect(schema.prefs({ messages: { 'object.unknown': Joi.x('{#label} unknown') } }).validate(value, { errors: { suggest: true } }).error).to.be.an.error('nmae unknown (did you mean "name"?)');
+        });
+    });
 });
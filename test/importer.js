@@ -0,0 +1,578 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const Joi = require('..');
+
+
+const internals = {};
+
+
+const { describe, it } = exports.lab = Lab.script();
+const { expect } = Code;
+
+
+describe('Importer', () => {
+
+    describe('fromJsonSchema()', () => {
+
+        it('builds objects', () => {
+
+            const schema = Joi.fromJsonSchema({
+                type: 'object',
+                properties: {
+                    a: { type: 'string' },
+                    b: { type: 'number' }
+                },
+                required: ['a', 'c'],
+                minProperties: 2,
+                maxProperties: 4,
+                dependentRequired: { b: ['d'] }
+            });
+
+            expect(schema.describe()).to.equal({
+                type: 'object',
+                flags: { presence: 'required', unknown: true },
+                keys: {
+                    a: { type: 'string', flags: { presence: 'required' }, allow: [''] },
+                    b: { type: 'number', flags: { presence: 'optional' } },
+                    c: { type: 'any', flags: { presence: 'required' } }
+                },
+                dependencies: [{ type: 'with', key: 'b', peers: ['d'] }],
+                rules: [
+                    { name: 'min', args: { limit: 2 } },
+                    { name: 'max', args: { limit: 4 } }
+                ]
+            });
+
+            expect(schema.validate({ a: '', c: 1 }).error).to.not.exist();
+            expect(schema.validate({ a: 'x', c: 1, e: 1 }).error).to.not.exist();
+            expect(schema.validate({ a: 'x' }).error).to.be.an.error('"c" is required');
+            expect(schema.validate({ a: 'x', b: 1, c: 1 }).error).to.be.an.error('"b" missing required peer "d"');
+
+            const closed = Joi.fromJsonSchema({ type: 'object', properties: { a: { type: 'boolean' } }, additionalProperties: false });
+            expect(closed.validate({ a: true }).error).to.not.exist();
+            expect(closed.validate({ b: true }).error).to.be.an.error('"b" is not allowed');
+
+            const empty = Joi.fromJsonSchema({ type: 'object', additionalProperties: false });
+            expect(empty.validate({}).error).to.not.exist();
+            expect(empty.validate({ a: 1 }).error).to.be.an.error('"a" is not allowed');
+
+            const additional = Joi.fromJsonSchema({ properties: { a: { type: 'string' } }, additionalProperties: { type: 'number' } });
+            expect(additional.validate({ a: 'x', b: 1, '': 2 }).error).to.not.exist();
+            expect(additional.validate({ b: 'x' }).error).to.be.an.error('"b" must be a number');
+
+            expect(Joi.fromJsonSchema({ type: 'object' }).validate({ a: 1 }).error).to.not.exist();
+            expect(Joi.fromJsonSchema({ type: 'object', properties: { a: false } }).validate({ a: 1 }).error).to.be.an.error('"a" is not allowed');
+        });
+
+        it('builds patterns', () => {
+
+            const schema = Joi.fromJsonSchema({
+                type: 'object',
+                properties: {
+                    a: { type: 'string', pattern: '^a+$' },
+                    b: { type: 'string', pattern: '^b*$' }
+                },
+                patternProperties: {
+                    '^x-': { type: 'number' },
+                    '^y-': { type: 'boolean' }
+                }
+            });
+
+            expect(schema.validate({ a: 'aa', b: '', 'x-1': 1, 'y-1': true, z: 1 }).error).to.not.exist();
+            expect(schema.validate({ a: '' }).error).to.be.an.error('"a" is not allowed to be empty');
+            expect(schema.validate({ b: 'x' }).error).to.be.an.error('"b" with value "x" fails to match the required pattern: /^b*$/');
+            expect(schema.validate({ 'x-1': true }).error).to.be.an.error('"x-1" must be a number');
+
+            const additional = Joi.fromJsonSchema({
+                patternProperties: { '^x-': { type: 'number' } },
+                additionalProperties: { type: 'boolean' }
+            });
+
+            expect(additional.validate({ 'x-1': 1, y: true, '': false }).error).to.not.exist();
+            expect(additional.validate({ 'x-1': true }).error).to.be.an.error('"x-1" must be a number');
+            expect(additional.validate({ y: 1 }).error).to.be.an.error('"y" must be a boolean');
+
+            const empty = Joi.fromJsonSchema({
+                patternProperties: { '^x-': { type: 'number' }, '^.*$': true },
+                additionalProperties: false
+            });
+
+            expect(empty.validate({ 'x-1': 1, y: true }).error).to.not.exist();
+
+            const matching = Joi.fromJsonSchema({
+                patternProperties: { '^x*$': { type: 'number' } },
+                additionalProperties: { type: 'boolean' }
+            });
+
+            expect(matching.validate({ '': 1, xx: 2, y: true }).error).to.not.exist();
+            expect(matching.validate({ '': true }).error).to.be.an.error('"value" must be a number');
+
+            const open = Joi.fromJsonSchema({ patternProperties: { '^x-': { type: 'number' } }, additionalProperties: true });
+            expect(open.validate({ 'x-1': 1, y: true }).error).to.not.exist();
+            expect(open.validate({ 'x-1': true }).error).to.be.an.error('"x-1" must be a number');
+
+            const implicit = Joi.fromJsonSchema({ patternProperties: { '^x-': { type: 'number' } } });
+            expect(implicit.validate({ y: true }).error).to.not.exist();
+
+            const filled = Joi.fromJsonSchema({ type: 'string', minLength: 1, pattern: '^a*$' });
+            expect(filled.validate('').error).to.be.an.error('"value" is not allowed to be empty');
+        });
+
+        it('builds strings', () => {
+
+            const schema = Joi.fromJsonSchema({ type: 'string', minLength: 2, maxLength: 4 });
+            expect(schema.describe()).to.equal({
+                type: 'string',
+                flags: { presence: 'required' },
+                rules: [
+                    { name: 'min', args: { limit: 2 } },
+                    { name: 'max', args: { limit: 4 } }
+                ]
+            });
+
+            const formats = {
+                'date-time': ['2020-01-01T00:00:00.000Z', 'x'],
+                duration: ['P1D', 'x'],
+                email: ['john@example.com', 'x'],
+                hostname: ['example.com', '-x-'],
+                ipv4: ['127.0.0.1', '::1'],
+                ipv6: ['::1', '127.0.0.1'],
+                uri: ['https://example.com', '/x'],
+                'uri-reference': ['/x', '\\'],
+                uuid: ['c4e6ba5e-ae6e-4a1c-9a4d-0d0d7cb1e9d2', 'x']
+            };
+
+            for (const format in formats) {
+                const [valid, invalid] = formats[format];
+                const built = Joi.fromJsonSchema({ type: 'string', format });
+                expect(built.validate(valid).error, format).to.not.exist();
+                expect(built.validate(invalid).error, format).to.exist();
+                expect(built.validate('').error, format).to.exist();
+            }
+
+            const base64 = Joi.fromJsonSchema({ type: 'string', contentEncoding: 'base64' });
+            expect(base64.validate('YQ==').error).to.not.exist();
+            expect(base64.validate('').error).to.not.exist();
+            expect(base64.validate('*').error).to.be.an.error('"value" must be a valid base64 string');
+
+            expect(Joi.fromJsonSchema({ type: 'string', format: 'color' }).validate('x').error).to.not.exist();
+            expect(Joi.fromJsonSchema({ type: 'string', contentEncoding: 'base32' }).validate('*').error).to.not.exist();
+        });
+
+        it('builds numbers', () => {
+
+            const schema = Joi.fromJsonSchema({ type: 'number', minimum: 0, maximum: 10, exclusiveMinimum: 1, exclusiveMaximum: 9, multipleOf: 0.5 });
+            expect(schema.describe()).to.equal({
+                type: 'number',
+                flags: { presence: 'required' },
+                rules: [
+                    { name: 'min', args: { limit: 0 } },
+                    { name: 'max', args: { limit: 10 } },
+                    { name: 'greater', args: { limit: 1 } },
+                    { name: 'less', args: { limit: 9 } },
+                    { name: 'multiple', args: { base: 0.5 } }
+                ]
+            });
+
+            const integer = Joi.fromJsonSchema({ type: 'integer', minimum: 1 });
+            expect(integer.validate(2).error).to.not.exist();
+            expect(integer.validate(1.5).error).to.be.an.error('"value" must be an integer');
+            expect(integer.validate(0).error).to.be.an.error('"value" must be larger than or equal to 1');
+
+            expect(Joi.fromJsonSchema({ type: ['integer', 'number'] }).validate(1.5).error).to.not.exist();
+            expect(Joi.fromJsonSchema({ type: 'boolean' }).validate(false).error).to.not.exist();
+        });
+
+        it('builds arrays', () => {
+
+            const schema = Joi.fromJsonSchema({ type: 'array', items: { type: 'number' }, minItems: 1, maxItems: 3, uniqueItems: true });
+            expect(schema.validate([]).error).to.be.an.error('"value" must contain at least 1 items');
+            expect(schema.validate([1, 2]).error).to.not.exist();
+            expect(schema.validate([1, 1]).error).to.be.an.error('"[1]" contains a duplicate value');
+            expect(schema.validate(['x']).error).to.be.an.error('"[0]" must be a number');
+
+            const tuple = Joi.fromJsonSchema({ type: 'array', prefixItems: [{ type: 'string' }, { type: 'number' }], items: false });
+            expect(tuple.validate([]).error).to.not.exist();
+            expect(tuple.validate(['x', 1]).error).to.not.exist();
+            expect(tuple.validate([1]).error).to.be.an.error('"[0]" must be a string');
+            expect(tuple.validate(['x', 1, 2]).error).to.be.an.error('"value" must contain at most 2 items');
+
+            const open = Joi.fromJsonSchema({ type: 'array', prefixItems: [{ type: 'string' }] });
+            expect(open.validate(['x', 1, {}]).error).to.not.exist();
+
+            const rest = Joi.fromJsonSchema({ type: 'array', prefixItems: [{ type: 'string' }], items: { type: 'number' } });
+            expect(rest.validate(['x', 1]).error).to.not.exist();
+            expect(rest.validate(['x', 'y']).error).to.be.an.error('"[1]" must be a number');
+
+            const contains = Joi.fromJsonSchema({ type: 'array', contains: { type: 'number' } });
+            expect(contains.validate(['x', 1]).error).to.not.exist();
+            expect(contains.validate(['x']).error).to.be.an.error('"value" does not contain at least one required match');
+
+            const empty = Joi.fromJsonSchema({ type: 'array', items: false });
+            expect(empty.validate([]).error).to.not.exist();
+            expect(empty.validate([1]).error).to.be.an.error('"value" must contain less than or equal to 0 items');
+        });
+
+        it('builds allowed values', () => {
+
+            const schema = Joi.fromJsonSchema({ enum: ['a', 1, null] });
+            expect(schema.describe()).to.equal({
+                type: 'any',
+                flags: { presence: 'required', only: true },
+                allow: ['a', 1, null]
+            });
+
+            expect(schema.validate(1).error).to.not.exist();
+            expect(schema.validate(null).error).to.not.exist();
+            expect(schema.validate('b').error).to.be.an.error('"value" must be one of [a, 1, null]');
+
+            const typed = Joi.fromJsonSchema({ type: ['string', 'null'], enum: ['a', 1, null] });
+            expect(typed.describe()).to.equal({
+                type: 'string',
+                flags: { presence: 'required', only: true },
+                allow: ['a', null]
+            });
+
+            expect(Joi.fromJsonSchema({ type: 'integer', const: 1.5 }).validate(1.5).error).to.be.an.error('"value" is not allowed');
+            expect(Joi.fromJsonSchema({ type: 'string', enum: ['a', 1] }).validate(1).error).to.be.an.error('"value" must be one of [a]');
+            expect(Joi.fromJsonSchema({ type: 'object', const: { a: 1 } }).validate({ a: 1 }).error).to.be.an.error('"value" is not allowed');
+            expect(Joi.fromJsonSchema({ type: 'object', enum: [null, 1] }).validate(1).error).to.be.an.error('"value" is not allowed');
+
+            const nullable = Joi.fromJsonSchema({ type: ['string', 'null'], minLength: 1 });
+            expect(nullable.validate(null).error).to.not.exist();
+            expect(nullable.validate('').error).to.be.an.error('"value" is not allowed to be empty');
+
+            const only = Joi.fromJsonSchema({ type: 'null' });
+            expect(only.validate(null).error).to.not.exist();
+            expect(only.validate(1).error).to.be.an.error('"value" must be one of [null]');
+
+            const multiple = Joi.fromJsonSchema({ type: ['number', 'string', 'null'], minimum: 2, maxLength: 1 });
+            expect(multiple.validate(2).error).to.not.exist();
+            expect(multiple.validate('x').error).to.not.exist();
+            expect(multiple.validate(null).error).to.not.exist();
+            expect(multiple.validate(1).error).to.exist();
+            expect(multiple.validate('xy').error).to.exist();
+            expect(multiple.validate(true).error).to.exist();
+
+            expect(Joi.fromJsonSchema({ minimum: 1, maxLength: 1 }).validate('x').error).to.not.exist();
+        });
+
+        it('builds alternatives', () => {
+
+            const schema = Joi.fromJsonSchema({
+                type: 'object',
+                properties: { kind: { type: 'string' } },
+                required: ['kind'],
+                anyOf: [
+                    { properties: { kind: { const: 'a' }, a: { type: 'number' } } },
+                    { properties: { kind: { const: 'b' }, b: { type: 'boolean' } }, required: ['b'] }
+                ]
+            });
+
+            expect(schema.validate({ kind: 'a', a: 1 }).error).to.not.exist();
+            expect(schema.validate({ kind: 'b', b: true }).error).to.not.exist();
+            expect(schema.validate({ kind: 'b' }).error).to.exist();
+            expect(schema.validate({ a: 1 }).error).to.exist();
+
+            const one = Joi.fromJsonSchema({ oneOf: [{ type: 'string' }, { type: 'number', minimum: 3 }] });
+            expect(one.validate('x').error).to.not.exist();
+            expect(one.validate(4).error).to.not.exist();
+            expect(one.validate(1).error).to.be.an.error('"value" does not match any of the allowed types');
+            expect(Joi.fromJsonSchema({ oneOf: [{ type: 'string' }, { type: ['number', 'null'] }, { type: 'object' }] }, { strict: true }).validate(null).error).to.not.exist();
+            expect(() => Joi.fromJsonSchema({ oneOf: [{ type: 'string' }, { type: 'string', minLength: 2 }] }, { strict: true })).to.throw('Cannot convert from JSON Schema: keyword "oneOf" validated as "anyOf" at #');
+            expect(() => Joi.fromJsonSchema({ oneOf: [{ type: 'integer' }, { type: 'number' }] }, { strict: true })).to.throw('Cannot convert from JSON Schema: keyword "oneOf" validated as "anyOf" at #');
+            expect(() => Joi.fromJsonSchema({ oneOf: [{ type: 'string' }, { minimum: 1 }] }, { strict: true })).to.throw('Cannot convert from JSON Schema: keyword "oneOf" validated as "anyOf" at #');
+            expect(() => Joi.fromJsonSchema({ oneOf: [{ type: 'string' }, true] }, { strict: true })).to.throw('Cannot convert from JSON Schema: keyword "oneOf" validated as "anyOf" at #');
+        });
+
+        it('applies keywords without a type to values of their type', () => {
+
+            const schema = Joi.fromJsonSchema({ minLength: 2 });
+            expect(schema.validate('xy').error).to.not.exist();
+            expect(schema.validate(5).error).to.not.exist();
+            expect(schema.validate('x').error).to.be.an.error('"value" length must be at least 2 characters long');
+
+            const multiple = Joi.fromJsonSchema({ minimum: 2, maxLength: 1, required: ['a'], minItems: 1 });
+            for (const value of [2, '', 'x', '1', true, null, { a: 1 }, [1]]) {
+                expect(multiple.validate(value).error, JSON.stringify(value)).to.not.exist();
+            }
+
+            expect(multiple.validate(1).error).to.be.an.error('"value" must be larger than or equal to 2');
+            expect(multiple.validate('xy').error).to.be.an.error('"value" length must be less than or equal to 1 characters long');
+            expect(multiple.validate({}).error).to.be.an.error('"a" is required');
+            expect(multiple.validate([]).error).to.be.an.error('"value" must contain at least 1 items');
+            expect(Joi.fromJsonSchema({ required: ['a'] }).validate('{}').error).to.not.exist();
+
+            const list = Joi.fromJsonSchema({
+                $defs: { node: { properties: { value: { minimum: 1 }, next: { $ref: '#/$defs/node' } } } },
+                $ref: '#/$defs/node'
+            });
+
+            expect(list.validate({ value: 1, next: { value: 'x', next: 5 } }).error).to.not.exist();
+            expect(list.validate({ value: 1, next: { value: 2, next: { value: 0 } } }).error).to.be.an.error('"next.next.value" must be larger than or equal to 1');
+        });
+
+        it('builds conditions', () => {
+
+            const schema = Joi.fromJsonSchema({
+                type: 'object',
+                properties: { kind: { enum: ['a', 'b'] } },
+                required: ['kind'],
+                if: { properties: { kind: { const: 'a' } } },
+                then: { required: ['x'] },
+                else: { properties: { x: false } }
+            });
+
+            expect(schema.validate({ kind: 'a', x: 1 }).error).to.not.exist();
+            expect(schema.validate({ kind: 'b' }).error).to.not.exist();
+            expect(schema.validate({ kind: 'a' }).error).to.be.an.error('"x" is required');
+            expect(schema.validate({ kind: 'b', x: 1 }).error).to.be.an.error('"x" is not allowed');
+            expect(schema.validate({ kind: 'c' }).error).to.be.an.error('"kind" must be one of [a, b]');
+
+            const partial = Joi.fromJsonSchema({ type: 'number', if: { minimum: 10 }, then: { multipleOf: 10 } });
+            expect(partial.validate(5).error).to.not.exist();
+            expect(partial.validate(20).error).to.not.exist();
+            expect(partial.validate(15).error).to.be.an.error('"value" must be a multiple of 10');
+
+            const otherwise = Joi.fromJsonSchema({ type: 'number', if: { minimum: 10 }, else: { multipleOf: 2 } });
+            expect(otherwise.validate(15).error).to.not.exist();
+            expect(otherwise.validate(5).error).to.be.an.error('"value" must be a multiple of 2');
+
+            const ignored = Joi.fromJsonSchema({ type: 'number', then: { minimum: 10 }, else: false });
+            expect(ignored.validate(5).error).to.not.exist();
+        });
+
+        it('builds references', () => {
+
+            const schema = Joi.fromJsonSchema({
+                $defs: {
+                    positive: { type: 'integer', minimum: 1 },
+                    node: {
+                        type: 'object',
+                        properties: {
+                            value: { $ref: '#/$defs/positive' },
+                            children: { type: 'array', items: { $ref: '#/$defs/node', description: 'Child' } }
+                        },
+                        required: ['value'],
+                        additionalProperties: false
+                    }
+                },
+                type: 'object',
+                properties: {
+                    root: { $ref: '#/$defs/node', description: 'Tree root' },
+                    count: { $ref: '#/$defs/positive' }
+                }
+            });
+
+            expect(schema.extract('root.children').describe().items).to.equal([{
+                type: 'link',
+                flags: { presence: 'optional', description: 'Child' },
+                link: { ref: { ancestor: 2, path: [] } }
+            }]);
+
+            expect(schema.extract('root')._flags.description).to.equal('Tree root');
+            expect(schema.validate({ root: { value: 1, children: [{ value: 2, children: [{ value: 3 }] }] }, count: 1 }).error).to.not.exist();
+            expect(schema.validate({ root: { value: 1, children: [{ value: 2, children: [{ value: 0 }] }] } }).error).to.be.an.error('"root.children[0].children[0].value" must be larger than or equal to 1');
+            expect(schema.validate({ root: { value: 1, children: [{ value: 2, x: 1 }] } }).error).to.be.an.error('"root.children[0].x" is not allowed');
+
+            const tree = Joi.fromJsonSchema({
+                $defs: { tree: { anyOf: [{ type: 'number' }, { type: 'array', items: { $ref: '#/$defs/tree' } }] } },
+                $ref: '#/$defs/tree'
+            });
+
+            expect(tree.validate([1, [2, [3]]]).error).to.not.exist();
+            expect(tree.validate([1, [2, ['x']]]).error).to.exist();
+
+            const list = Joi.fromJsonSchema({
+                type: 'object',
+                properties: { value: { type: 'number' } },
+                if: { required: ['value'] },
+                then: { properties: { next: { $ref: '#' } } },
+                else: { properties: { next: false } }
+            });
+
+            expect(list.validate({ value: 1, next: { value: 2, next: { value: 3 } } }).error).to.not.exist();
+            expect(list.validate({ value: 1, next: { value: 2, next: { next: {} } } }).error).to.be.an.error('"next.next.next" is not allowed');
+
+            const nested = Joi.fromJsonSchema({ type: 'array', contains: { anyOf: [{ type: 'number' }, { $ref: '#' }] }, maxItems: 2 });
+            expect(nested.validate([[[1]]]).error).to.not.exist();
+            expect(nested.validate([[['x']]]).error).to.exist();
+
+            const escaped = Joi.fromJsonSchema({
+                definitions: { 'a/b': { type: 'string' }, 'c~d': { type: 'number' }, 'e f': { type: 'boolean' } },
+                properties: {
+                    a: { $ref: '#/definitions/a~1b' },
+                    c: { $ref: '#/definitions/c~0d' },
+                    e: { $ref: '#/definitions/e%20f' }
+                }
+            });
+
+            expect(escaped.validate({ a: 'x', c: 1, e: true }).error).to.not.exist();
+            expect(escaped.validate({ c: 'x' }).error).to.be.an.error('"c" must be a number');
+
+            const cycle = Joi.fromJsonSchema({
+                $defs: { a: { $ref: '#/$defs/b', minimum: 1 }, b: { $ref: '#/$defs/a', type: 'number' } },
+                $ref: '#/$defs/a'
+            });
+
+            expect(cycle.validate(1).error).to.not.exist();
+            expect(cycle.validate(0).error).to.be.an.error('"value" must be larger than or equal to 1');
+
+            const items = Joi.fromJsonSchema({ prefixItems: [{ $ref: '#/prefixItems/1' }, { type: 'string' }] });
+            expect(items.validate(['a', 'b']).error).to.not.exist();
+        });
+
+        it('merges allOf subschemas', () => {
+
+            const schema = Joi.fromJsonSchema({
+                allOf: [
+                    { title: 'First', type: ['number', 'string'], minimum: 1, maximum: 8, required: ['a'], properties: { a: { type: 'number' } } },
+                    { title: 'Second', type: 'integer', minimum: 2, maximum: 9, required: ['b'], properties: { a: { maximum: 5 } } },
+                    { type: 'number', properties: { a: { type: 'number' } } },
+                    { maximum: 8 },
+                    true
+                ]
+            });
+
+            expect(schema.describe()).to.equal({
+                type: 'number',
+                flags: { presence: 'required', label: 'First' },
+                rules: [
+                    { name: 'integer' },
+                    { name: 'min', args: { limit: 2 } },
+                    { name: 'max', args: { limit: 8 } }
+                ]
+            });
+
+            const object = Joi.fromJsonSchema({
+                allOf: [
+                    { type: 'object', required: ['a'], properties: { a: { type: 'number' } } },
+                    { required: ['b'], properties: { a: { maximum: 5 } } }
+                ]
+            });
+
+            expect(object.validate({ a: 5, b: 1 }).error).to.not.exist();
+            expect(object.validate({ a: 6, b: 1 }).error).to.be.an.error('"a" must be less than or equal to 5');
+            expect(object.validate({ a: 5 }).error).to.be.an.error('"b" is required');
+
+            expect(Joi.fromJsonSchema({ allOf: [{ type: 'number' }, false] }).validate(1).error).to.be.an.error('"value" is not allowed');
+            expect(Joi.fromJsonSchema({ allOf: [{ type: 'integer' }, { type: ['string', 'boolean'] }] }).validate(1).error).to.be.an.error('"value" is not allowed');
+            expect(Joi.fromJsonSchema({ type: 'date' }).validate(1).error).to.not.exist();
+            expect(Joi.fromJsonSchema({ allOf: [{ type: ['string', 'null'] }, { type: 'string' }] }).validate(null).error).to.be.an.error('"value" must be a string');
+            expect(Joi.fromJsonSchema(false).validate(1).error).to.be.an.error('"value" is not allowed');
+            expect(Joi.fromJsonSchema(true).validate(1).error).to.not.exist();
+        });
+
+        it('keeps annotations', () => {
+
+            const schema = Joi.fromJsonSchema({
+                title: 'Count',
+                description: 'Number of items',
+                type: 'integer',
+                default: 1,
+                examples: [1, 2, [3]],
+                deprecated: true,
+                $comment: 'x',
+                'x-internal': true
+            });
+
+            expect(schema.describe()).to.equal({
+                type: 'number',
+                flags: { presence: 'required', label: 'Count', description: 'Number of items', default: 1 },
+                rules: [{ name: 'integer' }],
+                examples: [1, 2]
+            });
+
+            const object = Joi.fromJsonSchema({
+                type: 'object',
+                properties: {
+                    a: { type: 'object', default: { b: [1] } },
+                    b: { type: ['string', 'null'], default: null, examples: [null, 'x', {}] },
+                    c: { type: 'string', examples: [{}] }
+                }
+            });
+
+            expect(object.validate({}).value).to.equal({ a: { b: [1] } });
+            expect(object.extract('b').describe().examples).to.equal(['x']);
+            expect(object.extract('c').describe().examples).to.not.exist();
+        });
+
+        it('round trips converted schemas', () => {
+
+            const original = Joi.object({
+                name: Joi.string().max(20),
+                tags: Joi.array().items(Joi.string()).unique().optional(),
+                children: Joi.array().items(Joi.link('...')).optional(),
+                kind: Joi.valid('a', 'b').optional()
+            });
+
+            const schema = Joi.fromJsonSchema(original.toJsonSchema());
+            for (const value of [{ name: 'x', children: [{ name: 'y', kind: 'a' }] }, { name: 'x', children: [{ name: 1 }] }, { name: 'x', tags: ['a', 'a'] }, { kind: 'c' }, { name: 'x', x: 1 }]) {
+                expect(schema.validate(value).error).to.equal(original.validate(value).error);
+            }
+        });
+
+        it('reports unsupported keywords in strict mode', () => {
+
+            const doc = {
+                type: 'object',
+                properties: {
+                    a: { type: 'string', format: 'date', contentEncoding: 'base32' },
+                    b: { not: { const: 1 } },
+                    c: { $ref: 'https://example.com/schema.json' },
+                    d: { $ref: '#/$defs/missing' },
+                    d1: { $ref: '#/properties/a/type/x' },
+                    d2: { $ref: '#anchor' },
+                    d3: { $ref: 1 },
+                    d4: { $ref: '#/properties/j/default/x' },
+                    e: { type: ['date', 'number'] },
+                    f: { enum: [[1], { a: 1 }, 2] },
+                    g: { allOf: [{ const: 1 }, { const: 2 }] },
+                    h: { anyOf: [{ type: 'string' }], oneOf: [{ type: 'number' }] },
+                    i: { $ref: '#/$defs/list' },
+                    j: { type: ['string', 'null'], default: null }
+                },
+                propertyNames: { maxLength: 3 },
+                $defs: {
+                    list: { type: 'array', items: { $ref: '#/$defs/list', minItems: 1 } }
+                }
+            };
+
+            const schema = Joi.fromJsonSchema(doc);
+            expect(schema.validate({ a: 'x', b: 1, c: 1, f: 2, h: 'x', i: [[]] }).error).to.not.exist();
+            expect(schema.validate({ e: 'x' }).error).to.be.an.error('"e" must be a number');
+            expect(schema.validate({ f: [1] }).error).to.be.an.error('"f" must be one of [2]');
+
+            expect(() => Joi.fromJsonSchema(doc, { strict: true })).to.throw([
+                'Cannot convert from JSON Schema: keyword "propertyNames" at #',
+                'format "date" at #/properties/a',
+                'contentEncoding "base32" at #/properties/a',
+                'keyword "not" at #/properties/b',
+                '$ref "https://example.com/schema.json" at #/properties/c',
+                '$ref "#/$defs/missing" at #/properties/d',
+                '$ref "#/properties/a/type/x" at #/properties/d1',
+                '$ref "#anchor" at #/properties/d2',
+                '$ref "1" at #/properties/d3',
+                '$ref "#/properties/j/default/x" at #/properties/d4',
+                'type "date" at #/properties/e',
+                'object value in "const" or "enum" at #/properties/f',
+                'conflicting "const" keywords at #/properties/g/allOf/1',
+                'keyword "oneOf" next to "anyOf" at #/properties/h',
+                'keyword "minItems" next to a recursive $ref at #/properties/i/items',
+                'null default at #/properties/j'
+            ].join(', '));
+
+            expect(Joi.fromJsonSchema({ type: 'number' }, { strict: true }).validate(1).error).to.not.exist();
+        });
+
+        it('errors on invalid documents and options', () => {
+
+            expect(() => Joi.fromJsonSchema([])).to.throw('Invalid JSON Schema document');
+            expect(() => Joi.fromJsonSchema(null)).to.throw('Invalid JSON Schema document');
+            expect(() => Joi.fromJsonSchema({ properties: { a: 1 } })).to.throw('Invalid JSON Schema at #/properties/a');
+            expect(() => Joi.fromJsonSchema({}, { unsupported: 'annotate' })).to.throw('Options contain unknown keys: unsupported');
+        });
+    });
+});
@@ -5,6 +5,7 @@ const Lab = require('@hapi/lab');
 const Joi = require('..');
 
 const Helper = require('./helper');
+const Messages = require('../lib/messages');
 
 
 const internals = {};
@@ -2761,6 +2762,87 @@ describe('Joi', () => {
         });
     });
 
+    describe('messages.register()', () => {
+
+        it('resolves messages from registered catalogs', () => {
+
+            Joi.messages.register('tlh', internals.catalog('tlh', { root: 'ghItlh' }));
+
+            const schema = Joi.number().min(10);
+            expect(schema.validate(1).error).to.be.an.error('"value" must be larger than or equal to 10');
+            expect(schema.validate(1, { errors: { language: 'tlh' } }).error).to.be.an.error('tlh "ghItlh" must be larger than or equal to 10');
+            expect(schema.validate(1, { errors: { language: 'tlh-Latn' } }).error).to.be.an.error('tlh "ghItlh" must be larger than or equal to 10');
+            expect(schema.validate(1, { errors: { language: 'klingon' } }).error).to.be.an.error('"value" must be larger than or equal to 10');
+            expect(schema.validate('x', { errors: { language: 'tlh' } }).error).to.be.an.error('tlh "ghItlh" must be a number');
+        });
+
+        it('resolves messages from a language reference', () => {
+
+            Joi.messages.register('tlh', internals.catalog('tlh'));
+
+            const schema = Joi.object({
+                a: Joi.number().min(10),
+                lang: Joi.string()
+            })
+                .prefs({ errors: { language: Joi.ref('/lang') } });
+
+            expect(schema.validate({ a: 1, lang: 'tlh' }).error).to.be.an.error('tlh "a" must be larger than or equal to 10');
+            expect(schema.validate({ a: 1, lang: 'en' }).error).to.be.an.error('"a" must be larger than or equal to 10');
+        });
+
+        it('prefers messages preferences over catalogs', () => {
+
+            Joi.messages.register('tlh', internals.catalog('tlh'));
+
+            const schema = Joi.number().min(10);
+            const messages = { tlh: { 'number.min': '{{#label}} mach' } };
+            expect(schema.validate(1, { messages, errors: { language: 'tlh' } }).error).to.be.an.error('value mach');
+            expect(schema.validate(1, { messages, errors: { language: 'tlh-Latn' } }).error).to.be.an.error('value mach');
+            expect(schema.validate(100, { messages, errors: { language: 'tlh' } }).error).to.not.exist();
+            expect(schema.integer().validate(15.5, { messages, errors: { language: 'tlh' } }).error).to.be.an.error('tlh "value" must be an integer');
+        });
+
+        it('falls back to less specific catalogs', () => {
+
+            Joi.messages.register('tlh', internals.catalog('tlh'));
+            Joi.messages.register('tlh-Piqd', { 'number.min': Joi.x('{#label} mach') });
+
+            const schema = Joi.number().min(10);
+            expect(schema.validate(1, { errors: { language: 'tlh-Piqd' } }).error).to.be.an.error('value mach');
+            expect(schema.validate('x', { errors: { language: 'tlh-Piqd' } }).error).to.be.an.error('tlh "value" must be a number');
+            expect(schema.validate(1, { errors: { language: 'tlh' } }).error).to.be.an.error('tlh "value" must be larger than or equal to 10');
+        });
+
+        it('replaces registered catalogs', () => {
+
+            Joi.messages.register('tlh-Qaak', internals.catalog('first'));
+            Joi.messages.register('tlh-Qaak', internals.catalog('second'));
+
+            expect(Joi.number().validate('x', { errors: { language: 'tlh-Qaak' } }).error).to.be.an.error('second "value" must be a number');
+        });
+
+        it('errors on incomplete catalogs', () => {
+
+            const catalog = internals.catalog('xq');
+            delete catalog['number.min'];
+            delete catalog['string.base'];
+
+            expect(() => Joi.messages.register('xq', catalog)).to.throw('Messages catalog for xq is missing codes: number.min, string.base');
+            expect(() => Joi.messages.register('xq-YY', { 'number.min': 'x' })).to.throw(/^Messages catalog for xq-YY is missing codes: alternatives\.base, /);
+        });
+
+        it('errors on invalid arguments', () => {
+
+            expect(() => Joi.messages.register('', {})).to.throw('Invalid locale');
+            expect(() => Joi.messages.register(5, {})).to.throw('Invalid locale');
+            expect(() => Joi.messages.register('xq', null)).to.throw('Invalid messages catalog for xq');
+            expect(() => Joi.messages.register('xq', [])).to.throw('Invalid messages catalog for xq');
+            expect(() => Joi.messages.register('xq', 'x')).to.throw('Invalid messages catalog for xq');
+            expect(() => Joi.messages.register('xq', internals.catalog('xq', { 'number.min': 5 }))).to.throw('Invalid message for number.min in xq');
+            expect(() => Joi.messages.register('xq', internals.catalog('xq', { root: {} }))).to.throw('Invalid root message in xq');
+        });
+    });
+
     describe('validate()', () => {
 
         it('should work with a successful promise', () => {
@@ -2959,3 +3041,16 @@ describe('Joi', () => {
         });
     });
 });
+
+
+internals.catalog = function (prefix, overrides = {}) {
+
+    const catalog = {};
+    for (const code in Messages.errors) {
+        if (code !== 'root') {
+            catalog[code] = `${prefix} ${Messages.errors[code]}`;
+        }
+    }
+
+    return Object.assign(catalog, overrides);
+};
@@ -0,0 +1,407 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const Joi = require('..');
+
+
+const internals = {
+    dialect: 'https://json-schema.org/draft/2020-12/schema'
+};
+
+
+const { describe, it } = exports.lab = Lab.script();
+const { expect } = Code;
+
+
+describe('JsonSchema', () => {
+
+    describe('toJsonSchema()', () => {
+
+        it('converts objects', () => {
+
+            const schema = Joi.object({
+                id: Joi.string().guid(),
+                name: Joi.string().min(2).max(50).label('Name').description('Display name'),
+                email: Joi.string().email().optional(),
+                age: Joi.number().integer().min(0).optional().default(18),
+                hidden: Joi.any().forbidden()
+            })
+                .example({ id: '4c3b2b2a-6e4d-4b5f-9c2e-1c1d0d0e0f10', name: 'John' });
+
+            expect(schema.toJsonSchema()).to.equal({
+                $schema: internals.dialect,
+                type: 'object',
+                properties: {
+                    id: { type: 'string', format: 'uuid', minLength: 1 },
+                    name: { title: 'Name', description: 'Display name', type: 'string', minLength: 2, maxLength: 50 },
+                    email: { type: 'string', format: 'email', minLength: 1 },
+                    age: { type: 'integer', minimum: 0, default: 18 },
+                    hidden: false
+                },
+                required: ['id', 'name'],
+                additionalProperties: false,
+                examples: [{ id: '4c3b2b2a-6e4d-4b5f-9c2e-1c1d0d0e0f10', name: 'John' }]
+            });
+        });
+
+        it('converts unknown keys and patterns', () => {
+
+            expect(Joi.object().toJsonSchema()).to.equal({ $schema: internals.dialect, type: 'object' });
+            expect(Joi.object({ a: Joi.number() }).unknown().toJsonSchema()).to.equal({
+                $schema: internals.dialect,
+                type: 'object',
+                properties: { a: { type: 'number' } },
+                required: ['a']
+            });
+
+            expect(Joi.object({ a: Joi.number() }).prefs({ allowUnknown: true }).toJsonSchema()).to.not.include('additionalProperties');
+
+            expect(Joi.object().pattern(/^x-/, Joi.string()).pattern(/^y-/, Joi.number()).min(1).max(3).toJsonSchema()).to.equal({
+                $schema: internals.dialect,
+                type: 'object',
+                patternProperties: { '^x-': { type: 'string', minLength: 1 }, '^y-': { type: 'number' } },
+                additionalProperties: false,
+                minProperties: 1,
+                maxProperties: 3
+            });
+
+            expect(Joi.object().length(2).toJsonSchema()).to.equal({ $schema: internals.dialect, type: 'object', minProperties: 2, maxProperties: 2 });
+        });
+
+        it('converts object dependencies', () => {
+
+            const keys = { a: Joi.number().optional(), b: Joi.number().optional(), c: Joi.number().optional() };
+            const convert = (schema) => {
+
+                const json = schema.toJsonSchema();
+                delete json.$schema;
+                delete json.type;
+                delete json.properties;
+                delete json.additionalProperties;
+                return json;
+            };
+
+            expect(convert(Joi.object(keys).with('a', ['b', 'c']).with('a', 'b'))).to.equal({ dependentRequired: { a: ['b', 'c'] } });
+            expect(convert(Joi.object(keys).xor('a', 'b'))).to.equal({ allOf: [{ oneOf: [{ required: ['a'] }, { required: ['b'] }] }] });
+            expect(convert(Joi.object(keys).oxor('a', 'b', 'c'))).to.equal({ allOf: [{ not: { anyOf: [{ required: ['a', 'b'] }, { required: ['a', 'c'] }, { required: ['b', 'c'] }] } }] });
+            expect(convert(Joi.object(keys).or('a', 'b'))).to.equal({ allOf: [{ anyOf: [{ required: ['a'] }, { required: ['b'] }] }] });
+            expect(convert(Joi.object(keys).and('a', 'b'))).to.equal({ allOf: [{ anyOf: [{ required: ['a', 'b'] }, { not: { anyOf: [{ required: ['a'] }, { required: ['b'] }] } }] }] });
+            expect(convert(Joi.object(keys).nand('a', 'b'))).to.equal({ allOf: [{ not: { required: ['a', 'b'] } }] });
+            expect(convert(Joi.object(keys).without('a', ['b']))).to.equal({ allOf: [{ dependentSchemas: { a: { not: { anyOf: [{ required: ['b'] }] } } } }] });
+        });
+
+        it('converts strings', () => {
+
+            const convert = (schema) => schema.toJsonSchema({ unsupported: 'annotate' });
+
+            expect(convert(Joi.string().length(5))).to.equal({ $schema: internals.dialect, type: 'string', minLength: 5, maxLength: 5 });
+            expect(convert(Joi.string().uri())).to.contain({ format: 'uri' });
+            expect(convert(Joi.string().uri({ allowRelative: true }))).to.contain({ format: 'uri-reference' });
+            expect(convert(Joi.string().hostname())).to.contain({ format: 'hostname' });
+            expect(convert(Joi.string().isoDate())).to.contain({ format: 'date-time' });
+            expect(convert(Joi.string().isoDuration())).to.contain({ format: 'duration' });
+            expect(convert(Joi.string().ip({ version: 'ipv6', cidr: 'forbidden' }))).to.contain({ format: 'ipv6' });
+            expect(convert(Joi.string().base64())).to.contain({ contentEncoding: 'base64' });
+            expect(convert(Joi.string().alphanum())).to.contain({ pattern: '^[a-zA-Z0-9]*$' });
+            expect(convert(Joi.string().token())).to.contain({ pattern: '^\\w*$' });
+            expect(convert(Joi.string().hex())).to.contain({ pattern: '^[a-fA-F0-9]*$' });
+            expect(convert(Joi.string().pattern(/^a/).pattern(/b$/u))).to.contain({ pattern: '^a', allOf: [{ pattern: 'b$' }] });
+            expect(convert(Joi.string().pattern(/^a/, { invert: true }))).to.contain({ allOf: [{ not: { pattern: '^a' } }] });
+
+            expect(convert(Joi.string().pattern(/^a/i))).to.contain({ 'x-joi-unsupported': ['rule "pattern"'] });
+            expect(convert(Joi.string().email({ multiple: true }))).to.contain({ 'x-joi-unsupported': ['rule "email"'] });
+            expect(convert(Joi.string().hex({ byteAligned: true }))).to.contain({ 'x-joi-unsupported': ['rule "hex"'] });
+            expect(convert(Joi.string().ip())).to.contain({ 'x-joi-unsupported': ['rule "ip"'] });
+            expect(convert(Joi.string().ip({ version: ['ipv4', 'ipv6'], cidr: 'forbidden' }))).to.contain({ 'x-joi-unsupported': ['rule "ip"'] });
+            expect(convert(Joi.string().uri({ scheme: 'https' }))).to.contain({ 'x-joi-unsupported': ['rule "uri"'] });
+            expect(convert(Joi.string().lowercase())).to.contain({ 'x-joi-unsupported': ['rule "case"'] });
+        });
+
+        it('converts numbers', () => {
+
+            const convert = (schema) => {
+
+                const json = schema.toJsonSchema();
+                delete json.$schema;
+                return json;
+            };
+
+            expect(convert(Joi.number())).to.equal({ type: 'number' });
+            expect(convert(Joi.number().min(1).max(10).multiple(2))).to.equal({ type: 'number', minimum: 1, maximum: 10, multipleOf: 2 });
+            expect(convert(Joi.number().greater(1).less(10))).to.equal({ type: 'number', exclusiveMinimum: 1, exclusiveMaximum: 10 });
+            expect(convert(Joi.number().positive())).to.equal({ type: 'number', exclusiveMinimum: 0 });
+            expect(convert(Joi.number().negative())).to.equal({ type: 'number', exclusiveMaximum: 0 });
+            expect(convert(Joi.number().port())).to.equal({ type: 'integer', minimum: 0, maximum: 65535 });
+            expect(convert(Joi.number().integer().invalid(5, 7))).to.equal({ type: 'integer', allOf: [{ not: { enum: [5, 7] } }] });
+            expect(convert(Joi.number().invalid(5))).to.equal({ type: 'number', allOf: [{ not: { const: 5 } }] });
+            expect(convert(Joi.any().invalid(''))).to.equal({ allOf: [{ not: { const: '' } }] });
+            expect(() => convert(Joi.number().precision(2))).to.throw('Cannot convert to JSON Schema: rule "precision" at #');
+        });
+
+        it('converts arrays', () => {
+
+            const convert = (schema) => {
+
+                const json = schema.toJsonSchema();
+                delete json.$schema;
+                return json;
+            };
+
+            expect(convert(Joi.array())).to.equal({ type: 'array' });
+            expect(convert(Joi.array().items(Joi.number().optional()).min(1).max(5).unique())).to.equal({ type: 'array', items: { type: 'number' }, minItems: 1, maxItems: 5, uniqueItems: true });
+            expect(convert(Joi.array().items(Joi.number()).length(2))).to.equal({ type: 'array', items: { type: 'number' }, allOf: [{ contains: { type: 'number' } }], minItems: 2, maxItems: 2 });
+            expect(convert(Joi.array().items(Joi.number().optional(), Joi.boolean().optional(), Joi.string().forbidden()))).to.equal({
+                type: 'array',
+                items: { anyOf: [{ type: 'number' }, { type: 'boolean' }] },
+                allOf: [{ not: { contains: { type: 'string', minLength: 1 } } }]
+            });
+
+            expect(convert(Joi.array().items(Joi.string().forbidden()))).to.equal({ type: 'array', items: false, allOf: [{ not: { contains: { type: 'string', minLength: 1 } } }] });
+            expect(convert(Joi.array().min(1).max(5).length(3))).to.equal({ type: 'array', minItems: 3, maxItems: 3 });
+            expect(convert(Joi.array().ordered(Joi.string(), Joi.number().optional()))).to.equal({ type: 'array', prefixItems: [{ type: 'string', minLength: 1 }, { type: 'number' }], minItems: 1, items: false });
+            expect(convert(Joi.array().ordered(Joi.string().optional()).items(Joi.number().optional()))).to.equal({ type: 'array', prefixItems: [{ type: 'string', minLength: 1 }], items: { type: 'number' } });
+            expect(convert(Joi.array().has(Joi.number()).has(Joi.string()))).to.equal({ type: 'array', allOf: [{ contains: { type: 'number' } }, { contains: { type: 'string', minLength: 1 } }] });
+            expect(() => convert(Joi.array().unique('a'))).to.throw('Cannot convert to JSON Schema: rule "unique" at #');
+        });
+
+        it('converts other types', () => {
+
+            const convert = (schema) => schema.toJsonSchema({ unsupported: 'annotate' });
+
+            expect(convert(Joi.any())).to.equal({ $schema: internals.dialect });
+            expect(convert(Joi.boolean())).to.equal({ $schema: internals.dialect, type: 'boolean' });
+            expect(convert(Joi.date())).to.equal({ $schema: internals.dialect, type: 'string', format: 'date-time' });
+            expect(convert(Joi.date().timestamp())).to.equal({ $schema: internals.dialect, type: 'number' });
+            expect(convert(Joi.binary())).to.equal({ $schema: internals.dialect, type: 'string', contentEncoding: 'base64' });
+            expect(convert(Joi.any().forbidden())).to.equal({ $schema: internals.dialect, not: {} });
+
+            expect(convert(Joi.date().min('1/1/2020'))).to.contain({ 'x-joi-unsupported': ['rule "min"'] });
+            expect(convert(Joi.binary().max(10))).to.contain({ 'x-joi-unsupported': ['rule "max"'] });
+            expect(convert(Joi.func())).to.equal({ $schema: internals.dialect, 'x-joi-unsupported': ['type "func"'] });
+            expect(convert(Joi.symbol())).to.equal({ $schema: internals.dialect, 'x-joi-unsupported': ['type "symbol"'] });
+        });
+
+        it('converts allowed values', () => {
+
+            const convert = (schema) => {
+
+                const json = schema.toJsonSchema({ unsupported: 'annotate' });
+                delete json.$schema;
+                return json;
+            };
+
+            expect(convert(Joi.valid('a', 'b'))).to.equal({ enum: ['a', 'b'] });
+            expect(convert(Joi.string().valid('a').description('A'))).to.equal({ description: 'A', type: 'string', const: 'a' });
+            expect(convert(Joi.number().valid(1, 'x'))).to.equal({ enum: [1, 'x'] });
+            expect(convert(Joi.valid(new Date(0)))).to.equal({ const: '1970-01-01T00:00:00.000Z' });
+            expect(convert(Joi.object().valid({ a: [1] }, null))).to.equal({ enum: [{ a: [1] }, null] });
+            expect(convert(Joi.number().integer().valid(1, 2))).to.equal({ type: 'integer', enum: [1, 2] });
+            expect(convert(Joi.number().integer().valid(1.5))).to.equal({ const: 1.5 });
+            expect(convert(Joi.string().min(3).allow('x'))).to.equal({ anyOf: [{ type: 'string', minLength: 3 }, { const: 'x' }] });
+            expect(convert(Joi.alternatives().try([Joi.number()]).allow(null))).to.equal({ anyOf: [{ anyOf: [{ type: 'number' }] }, { const: null }] });
+            expect(convert(Joi.binary().allow(Buffer.from('a')))).to.equal({ type: 'string', contentEncoding: 'base64', 'x-joi-unsupported': ['allowed value a'] });
+            expect(convert(Joi.any().valid(Symbol('x')))).to.equal({ 'x-joi-unsupported': ['allowed value Symbol(x)'], enum: [] });
+            expect(convert(Joi.any().invalid(Joi.ref('a')))).to.equal({ 'x-joi-unsupported': ['reference "ref:a" in invalid values'] });
+            expect(convert(Joi.string().allow(''))).to.equal({ type: 'string' });
+            expect(convert(Joi.string().allow(null))).to.equal({ type: ['string', 'null'], minLength: 1 });
+            expect(convert(Joi.string().min(3).allow('', 5).label('A'))).to.equal({ title: 'A', anyOf: [{ type: 'string', minLength: 3 }, { enum: ['', 5] }] });
+            expect(convert(Joi.any().allow(null))).to.equal({});
+            expect(convert(Joi.number().allow(Infinity))).to.equal({ type: 'number', 'x-joi-unsupported': ['allowed value Infinity'] });
+            expect(convert(Joi.string().valid('a').insensitive())).to.equal({ type: 'string', const: 'a', 'x-joi-unsupported': ['case insensitive values'] });
+            expect(convert(Joi.string().valid(5).insensitive())).to.equal({ const: 5 });
+        });
+
+        it('converts empty values', () => {
+
+            expect(Joi.string().empty('').toJsonSchema()).to.equal({
+                $schema: internals.dialect,
+                anyOf: [{ type: 'string', minLength: 1 }, { type: 'string', const: '' }]
+            });
+        });
+
+        it('converts alternatives', () => {
+
+            expect(Joi.alternatives().try([Joi.string(), Joi.number()]).toJsonSchema()).to.equal({
+                $schema: internals.dialect,
+                anyOf: [{ type: 'string', minLength: 1 }, { type: 'number' }]
+            });
+        });
+
+        it('converts schema conditions', () => {
+
+            const schema = Joi.number().when(Joi.number().min(10), { then: Joi.number().multiple(5) });
+            expect(schema.toJsonSchema()).to.equal({
+                $schema: internals.dialect,
+                if: { type: 'number', minimum: 10 },
+                then: { type: 'number', multipleOf: 5 },
+                else: { type: 'number' }
+            });
+
+            expect(Joi.alternatives().try([Joi.string()]).when(Joi.number().min(10), { otherwise: Joi.boolean() }).toJsonSchema()).to.equal({
+                $schema: internals.dialect,
+                anyOf: [
+                    { type: 'string', minLength: 1 },
+                    { if: { type: 'number', minimum: 10 }, then: false, else: { type: 'boolean' } }
+                ]
+            });
+
+            const mixed = Joi.alternatives()
+                .when(Joi.object({ type: Joi.valid('a') }).unknown(), { then: Joi.object({ type: Joi.string(), a: Joi.number() }) })
+                .try([Joi.boolean()]);
+
+            expect(mixed.toJsonSchema()).to.equal({
+                $schema: internals.dialect,
+                if: { type: 'object', properties: { type: { const: 'a' } }, required: ['type'] },
+                then: { type: 'object', properties: { type: { type: 'string', minLength: 1 }, a: { type: 'number' } }, required: ['type', 'a'], additionalProperties: false },
+                else: { type: 'boolean' }
+            });
+        });
+
+        it('converts links', () => {
+
+            const node = Joi.object({
+                name: Joi.string(),
+                children: Joi.array().items(Joi.link('...').optional()).optional()
+            });
+
+            const schema = Joi.object({
+                root: node,
+                same: Joi.link('/root').optional(),
+                self: Joi.link('/').optional()
+            });
+
+            expect(schema.toJsonSchema()).to.equal({
+                $schema: internals.dialect,
+                type: 'object',
+                properties: {
+                    root: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            children: { type: 'array', items: { $ref: '#/properties/root' } }
+                        },
+                        required: ['name'],
+                        additionalProperties: false
+                    },
+                    same: { $ref: '#/properties/root' },
+                    self: { $ref: '#' }
+                },
+                required: ['root'],
+                additionalProperties: false
+            });
+        });
+
+        it('reports untranslatable constructs', () => {
+
+            const custom = Joi.extend({
+                base: Joi.number(),
+                name: 'number',
+                rules: [
+                    {
+                        name: 'even',
+                        validate(params, value, state, prefs) {
+
+                            return value % 2 ? this.createError('number.base', value, null, state, prefs) : null;
+                        }
+                    }
+                ]
+            });
+
+            const schema = Joi.object({
+                a: Joi.number().optional(),
+                b: Joi.number().max(Joi.ref('a')),
+                c: Joi.when('a', { is: 1, then: Joi.string(), otherwise: Joi.boolean() }),
+                d: custom.number().even(),
+                e: Joi.valid(Joi.ref('a')),
+                f: Joi.number().default(Joi.ref('a')),
+                g: Joi.link('/x'),
+                h: Joi.link('....'),
+                i: Joi.object({ a: Joi.number() }).with('a', 'b.c').rename('x', 'a')
+            });
+
+            const message = [
+                'reference "ref:a" in rule "max" at #/properties/b',
+                'condition on "ref:a" at #/properties/c',
+                'rule "even" at #/properties/d',
+                'reference "ref:a" in allowed values at #/properties/e',
+                'reference "ref:a" in default at #/properties/f',
+                'link "ref:root:x" to a missing schema at #/properties/g',
+                'link "ref:...." outside of the schema at #/properties/h',
+                'renames at #/properties/i',
+                'nested keys in with dependency at #/properties/i'
+            ];
+
+            expect(() => schema.toJsonSchema()).to.throw(`Cannot convert to JSON Schema: ${message.join(', ')}`);
+
+            const json = schema.toJsonSchema({ unsupported: 'annotate' });
+            expect(json.properties.b).to.equal({ type: 'number', 'x-joi-unsupported': ['reference "ref:a" in rule "max"'] });
+            expect(json.properties.c).to.equal({
+                'x-joi-unsupported': ['condition on "ref:a"'],
+                anyOf: [{ type: 'string', minLength: 1 }, { type: 'boolean' }]
+            });
+
+            expect(json.properties.d).to.equal({ type: 'number', 'x-joi-unsupported': ['rule "even"'] });
+            expect(json.properties.e).to.equal({ 'x-joi-unsupported': ['reference "ref:a" in allowed values'], enum: [] });
+            expect(json.properties.i['x-joi-unsupported']).to.equal(['renames', 'nested keys in with dependency']);
+        });
+
+        it('reports unsupported defaults and conditions', () => {
+
+            const convert = (schema) => schema.toJsonSchema({ unsupported: 'annotate' });
+
+            expect(convert(Joi.number().default(() => 1))).to.equal({ $schema: internals.dialect, type: 'number', 'x-joi-unsupported': ['default function'] });
+            expect(convert(Joi.object().default())).to.equal({ $schema: internals.dialect, type: 'object', 'x-joi-unsupported': ['default value'] });
+            expect(convert(Joi.object({ a: Joi.number().optional() }).pattern(Joi.string().min(2), Joi.any()))).to.contain({ 'x-joi-unsupported': ['key schema pattern'] }).and.to.not.include('additionalProperties');
+            expect(convert(Joi.object().pattern(/a/i, Joi.any()))).to.contain({ 'x-joi-unsupported': ['key pattern /a/i'] });
+            expect(convert(Joi.alternatives().when('a', { is: 1, then: Joi.any().forbidden() }))).to.equal({
+                $schema: internals.dialect,
+                'x-joi-unsupported': ['condition on "ref:a"'],
+                not: {}
+            });
+
+            expect(convert(Joi.alternatives().when('a', { is: 1, then: Joi.number() }))).to.equal({
+                $schema: internals.dialect,
+                'x-joi-unsupported': ['condition on "ref:a"'],
+                type: 'number'
+            });
+
+            expect(convert(Joi.any().external(() => { }))).to.equal({ $schema: internals.dialect, 'x-joi-unsupported': ['external rules'] });
+            expect(convert(Joi.link())).to.equal({ $schema: internals.dialect, 'x-joi-unsupported': ['uninitialized link'] });
+            expect(convert(Joi.object().pattern(/a/, Joi.any(), { matches: Joi.array() }))).to.contain({ 'x-joi-unsupported': ['key pattern /a/'] });
+            expect(convert(Joi.object({ a: Joi.number().optional() }).with('a.b', 'a'))).to.contain({ 'x-joi-unsupported': ['nested keys in with dependency'] });
+
+            expect(convert(Joi.alternatives().when('a', { is: 1, then: Joi.number() }).try([Joi.string()]))).to.equal({
+                $schema: internals.dialect,
+                'x-joi-unsupported': ['condition on "ref:a"'],
+                anyOf: [{ type: 'number' }, { type: 'string', minLength: 1 }]
+            });
+        });
+
+        it('reports links to schemas without output', () => {
+
+            const forbidden = Joi.object({
+                a: Joi.number().forbidden(),
+                b: Joi.link('/a')
+            });
+
+            expect(() => forbidden.toJsonSchema()).to.throw('Cannot convert to JSON Schema: link "ref:root:a" to a schema without JSON Schema output at #/properties/b');
+
+            const dropped = Joi.object({
+                a: Joi.object({ x: Joi.number() }).valid(null),
+                b: Joi.link('/a.x')
+            });
+
+            expect(dropped.toJsonSchema({ unsupported: 'annotate' }).properties).to.equal({
+                a: { const: null },
+                b: { 'x-joi-unsupported': ['link "ref:root:a.x" to a schema without JSON Schema output'] }
+            });
+        });
+
+        it('errors on invalid options', () => {
+
+            expect(() => Joi.any().toJsonSchema({ unsupported: 'ignore' })).to.throw('Invalid unsupported option');
+            expect(() => Joi.any().toJsonSchema({ dialect: 'draft-07' })).to.throw('Options contain unknown keys: dialect');
+        });
+    });
+});
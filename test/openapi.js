@@ -0,0 +1,319 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const Joi = require('..');
+
+
+const internals = {};
+
+
+const { describe, it } = exports.lab = Lab.script();
+const { expect } = Code;
+
+
+describe('OpenApi', () => {
+
+    describe('components()', () => {
+
+        it('names components by id or label', () => {
+
+            const address = Joi.object({
+                street: Joi.string(),
+                city: Joi.string().optional()
+            }).id('Address');
+
+            const person = Joi.object({
+                name: Joi.string().description('Full name').note('As printed on the passport'),
+                home: address,
+                work: Joi.link('/Address').optional()
+            }).label('Person').tag('people').meta({ owner: 'accounts', 'x-internal': true }).example({ name: 'John' });
+
+            expect(Joi.openapi.components([person, address])).to.equal({
+                schemas: {
+                    Person: {
+                        title: 'Person',
+                        type: 'object',
+                        properties: {
+                            name: { description: 'Full name\n\nAs printed on the passport', type: 'string', minLength: 1 },
+                            home: { $ref: '#/components/schemas/Address' },
+                            work: { $ref: '#/components/schemas/Address' }
+                        },
+                        required: ['name', 'home'],
+                        additionalProperties: false,
+                        examples: [{ name: 'John' }],
+                        'x-tags': ['people'],
+                        'x-owner': 'accounts',
+                        'x-internal': true
+                    },
+                    Address: {
+                        type: 'object',
+                        properties: {
+                            street: { type: 'string', minLength: 1 },
+                            city: { type: 'string', minLength: 1 }
+                        },
+                        required: ['street'],
+                        additionalProperties: false
+                    }
+                }
+            });
+        });
+
+        it('adds nested schemas with an id', () => {
+
+            const schema = Joi.object({
+                tags: Joi.array().items(Joi.string().id('Tag').optional()),
+                status: Joi.string().valid('active', 'closed').id('Status')
+            }).id('Item');
+
+            expect(Joi.openapi.components([schema]).schemas).to.equal({
+                Item: {
+                    type: 'object',
+                    properties: {
+                        tags: { type: 'array', items: { $ref: '#/components/schemas/Tag' } },
+                        status: { $ref: '#/components/schemas/Status' }
+                    },
+                    required: ['tags', 'status'],
+                    additionalProperties: false
+                },
+                Tag: { type: 'string', minLength: 1 },
+                Status: { type: 'string', enum: ['active', 'closed'] }
+            });
+        });
+
+        it('converts links into references', () => {
+
+            const node = Joi.object({
+                name: Joi.string(),
+                children: Joi.array().items(Joi.link('...').optional()).optional()
+            });
+
+            const schema = Joi.object({
+                root: node,
+                same: Joi.link('/root').optional(),
+                self: Joi.link('/').optional()
+            }).id('Tree');
+
+            expect(Joi.openapi.components([schema]).schemas.Tree.properties).to.equal({
+                root: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', minLength: 1 },
+                        children: { type: 'array', items: { $ref: '#/components/schemas/Tree/properties/root' } }
+                    },
+                    required: ['name'],
+                    additionalProperties: false
+                },
+                same: { $ref: '#/components/schemas/Tree/properties/root' },
+                self: { $ref: '#/components/schemas/Tree' }
+            });
+
+            const category = Joi.object({
+                parent: Joi.object({
+                    name: Joi.string(),
+                    sub: Joi.link('..').optional()
+                }).id('Category')
+            }).id('Catalog');
+
+            expect(Joi.openapi.components([category]).schemas).to.equal({
+                Catalog: {
+                    type: 'object',
+                    properties: { parent: { $ref: '#/components/schemas/Category' } },
+                    required: ['parent'],
+                    additionalProperties: false
+                },
+                Category: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', minLength: 1 },
+                        sub: { $ref: '#/components/schemas/Category' }
+                    },
+                    required: ['name'],
+                    additionalProperties: false
+                }
+            });
+        });
+
+        it('passes options to the conversion', () => {
+
+            const schema = Joi.number().multiple(Joi.ref('a')).id('Amount');
+
+            expect(() => Joi.openapi.components([schema])).to.throw('Cannot convert to JSON Schema: reference "ref:a" in rule "multiple" at #');
+            expect(Joi.openapi.components([schema], { unsupported: 'annotate' }).schemas.Amount).to.equal({
+                type: 'number',
+                'x-joi-unsupported': ['reference "ref:a" in rule "multiple"']
+            });
+        });
+
+        it('reports unsupported meta values', () => {
+
+            const schema = Joi.number().meta('units').meta(null).meta({ b: () => 1 }).meta({ a: 1 }).id('Amount');
+
+            expect(() => Joi.openapi.components([schema])).to.throw('Cannot convert to JSON Schema: meta value at #, meta value at #, meta value at #');
+            expect(Joi.openapi.components([schema], { unsupported: 'annotate' }).schemas.Amount).to.equal({
+                type: 'number',
+                'x-joi-unsupported': ['meta value', 'meta value', 'meta value'],
+                'x-a': 1
+            });
+        });
+
+        it('validates arguments', () => {
+
+            expect(() => Joi.openapi.components(Joi.number())).to.throw('Component schemas must be an array');
+            expect(() => Joi.openapi.components([{}])).to.throw('Invalid schema object');
+            expect(() => Joi.openapi.components([Joi.number()])).to.throw('Component schemas must have an id or label');
+            expect(() => Joi.openapi.components([Joi.number().id('a'), Joi.string().label('a')])).to.throw('Duplicate component name a');
+            expect(() => Joi.openapi.components([Joi.number().label('Total amount')])).to.throw('Invalid component name Total amount');
+            expect(() => Joi.openapi.components([Joi.number().id('a')], { x: true })).to.throw('Options contain unknown keys: x');
+        });
+    });
+
+    describe('parameters()', () => {
+
+        it('converts object keys into parameters', () => {
+
+            const schema = Joi.object({
+                limit: Joi.number().integer().min(1).max(100).optional().default(20).description('Page size'),
+                cursor: Joi.string().optional(),
+                debug: Joi.any().forbidden(),
+                sort: Joi.string().valid('asc', 'desc').id('Sort')
+            });
+
+            expect(Joi.openapi.parameters(schema, 'query')).to.equal([
+                {
+                    name: 'limit',
+                    in: 'query',
+                    required: false,
+                    description: 'Page size',
+                    schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+                },
+                {
+                    name: 'cursor',
+                    in: 'query',
+                    required: false,
+                    schema: { type: 'string', minLength: 1 }
+                },
+                {
+                    name: 'sort',
+                    in: 'query',
+                    required: true,
+                    schema: { $ref: '#/components/schemas/Sort' }
+                }
+            ]);
+
+            expect(Joi.openapi.parameters(Joi.object(), 'header')).to.equal([]);
+            expect(Joi.openapi.parameters(Joi.object({ id: Joi.string().guid() }), 'path')).to.equal([
+                { name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid', minLength: 1 } }
+            ]);
+        });
+
+        it('collects referenced components', () => {
+
+            const sort = Joi.string().valid('asc', 'desc').id('Sort');
+            const components = new Map([['Sort', sort]]);
+
+            const parameters = Joi.openapi.parameters(Joi.object({ sort, page: Joi.object({ size: Joi.number().id('Size') }).id('Page') }), 'query', { components });
+            expect(parameters.map((parameter) => parameter.schema)).to.equal([{ $ref: '#/components/schemas/Sort' }, { $ref: '#/components/schemas/Page' }]);
+            expect([...components.keys()]).to.equal(['Sort', 'Page']);
+
+            expect(Joi.openapi.components([...components.values()]).schemas).to.only.include(['Sort', 'Page', 'Size']);
+        });
+
+        it('reports links outside of a component', () => {
+
+            const schema = Joi.object({
+                a: Joi.number(),
+                b: Joi.link('/a').optional()
+            });
+
+            expect(() => Joi.openapi.parameters(schema, 'query')).to.throw('Cannot convert to JSON Schema: link "ref:root:a" outside of a component at #/properties/b');
+            expect(Joi.openapi.parameters(schema, 'query', { unsupported: 'annotate' })[1]).to.equal({
+                name: 'b',
+                in: 'query',
+                required: false,
+                schema: { 'x-joi-unsupported': ['link "ref:root:a" outside of a component'] }
+            });
+        });
+
+        it('validates arguments', () => {
+
+            expect(() => Joi.openapi.parameters(Joi.number(), 'query')).to.throw('Parameters schema must be an object schema');
+            expect(() => Joi.openapi.parameters({}, 'query')).to.throw('Parameters schema must be an object schema');
+            expect(() => Joi.openapi.parameters(Joi.object(), 'body')).to.throw('Invalid parameters location body');
+            expect(() => Joi.openapi.parameters(Joi.object({ id: Joi.string().optional() }), 'path')).to.throw('Path parameter must be required: id');
+            expect(() => Joi.openapi.parameters(Joi.object(), 'query', { x: true })).to.throw('Options contain unknown keys: x');
+            expect(() => Joi.openapi.parameters(Joi.object(), 'query', { components: {} })).to.throw('Invalid components option');
+        });
+    });
+
+    describe('requestBody()', () => {
+
+        it('converts schemas into request bodies', () => {
+
+            const schema = Joi.object({
+                name: Joi.string()
+            }).description('New user');
+
+            expect(Joi.openapi.requestBody(schema)).to.equal({
+                description: 'New user',
+                required: true,
+                content: {
+                    'application/json': {
+                        schema: {
+                            type: 'object',
+                            properties: { name: { type: 'string', minLength: 1 } },
+                            required: ['name'],
+                            additionalProperties: false
+                        }
+                    }
+                }
+            });
+
+            expect(Joi.openapi.requestBody(Joi.string().optional(), { type: 'text/plain' })).to.equal({
+                required: false,
+                content: { 'text/plain': { schema: { type: 'string', minLength: 1 } } }
+            });
+        });
+
+        it('references schemas with an id', () => {
+
+            const user = Joi.object({ name: Joi.string() }).id('User').description('New user');
+
+            expect(Joi.openapi.requestBody(user)).to.equal({
+                required: true,
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } }
+            });
+
+            expect(Joi.openapi.requestBody(Joi.array().items(user.optional()))).to.equal({
+                required: true,
+                content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/User' } } } }
+            });
+        });
+
+        it('collects referenced components', () => {
+
+            const user = Joi.object({ name: Joi.string() }).id('User');
+            const components = new Map();
+
+            Joi.openapi.requestBody(user, { components });
+            Joi.openapi.requestBody(user, { components });
+            expect([...components.entries()]).to.equal([['User', user]]);
+
+            const body = Joi.openapi.requestBody(Joi.object({ users: Joi.array().items(user.optional()), group: Joi.string().id('Group') }), { components });
+            expect(body.content['application/json'].schema.properties).to.equal({
+                users: { type: 'array', items: { $ref: '#/components/schemas/User' } },
+                group: { $ref: '#/components/schemas/Group' }
+            });
+
+            expect([...components.keys()]).to.equal(['User', 'Group']);
+        });
+
+        it('validates arguments', () => {
+
+            expect(() => Joi.openapi.requestBody({})).to.throw('Invalid schema object');
+            expect(() => Joi.openapi.requestBody(Joi.object(), { x: true })).to.throw('Options contain unknown keys: x');
+            expect(() => Joi.openapi.requestBody(Joi.object(), { components: [] })).to.throw('Invalid components option');
+            expect(() => Joi.openapi.requestBody(Joi.object({ a: Joi.array().items(Joi.link('...').optional()) }))).to.throw('Cannot convert to JSON Schema: link "ref:..." outside of a component at #/properties/a/items');
+        });
+    });
+});
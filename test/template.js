@@ -117,6 +117,103 @@ describe('Template', () => {
         expect(() => Joi.x('test\u0001')).to.throw('Template source cannot contain reserved control characters');
     });
 
+    describe('constants()', () => {
+
+        it('registers constants', () => {
+
+            Joi.expression.constants({ maxUsers: 50, region: 'eu', unset: null });
+
+            const schema = Joi.number().max(Joi.x('{maxUsers * 2}'));
+            expect(schema.validate(100).error).to.not.exist();
+            expect(schema.validate(101).error).to.be.an.error('"value" must be less than or equal to {maxUsers * 2}');
+            expect(Joi.x('{region + "-1"} {unset}').render({}, {}, {}, {})).to.equal('eu-1 null');
+
+            Joi.expression.unregister('maxUsers', 'region', 'unset');
+        });
+
+        it('errors on invalid constants', () => {
+
+            expect(() => Joi.x.constants(null)).to.throw('Invalid template constants');
+            expect(() => Joi.x.constants({ 'a-b': 1 })).to.throw('Invalid template constant name a-b');
+            expect(() => Joi.x.constants({ a: {} })).to.throw('Invalid template constant a value');
+            expect(() => Joi.x.constants({ day: 1 })).to.throw('Cannot override built-in template constant day');
+        });
+    });
+
+    describe('functions()', () => {
+
+        it('registers functions', () => {
+
+            Joi.expression.functions({
+                businessDays: (from, to) => Math.round((to - from) / (24 * 60 * 60 * 1000) * 5 / 7),
+                currencyLimit: (code) => (code === 'JPY' ? 10000 : 100)
+            });
+
+            const schema = Joi.object({
+                currency: Joi.string(),
+                amount: Joi.number().max(Joi.x('{currencyLimit(currency)}'))
+            });
+
+            expect(schema.validate({ currency: 'JPY', amount: 200 }).error).to.not.exist();
+            expect(schema.validate({ currency: 'USD', amount: 200 }).error).to.be.an.error('"amount" must be less than or equal to {currencyLimit(currency)}');
+            expect(Joi.x('{businessDays(0, 7 * day)}').render({}, {}, {}, {})).to.equal('5');
+
+            Joi.expression.unregister('businessDays', 'currencyLimit');
+        });
+
+        it('builds described templates using registered functions', () => {
+
+            Joi.expression.functions({ double: (value) => value * 2 });
+
+            const schema = Joi.number()
+                .max(Joi.x('{double($limit)}'))
+                .prefs({ messages: { 'number.max': '{double(#value)} exceeded' } });
+
+            const desc = schema.describe();
+            const built = Joi.build(desc);
+            expect(built.describe()).to.equal(desc);
+            expect(built.validate(21, { context: { limit: 10 } }).error).to.be.an.error('42 exceeded');
+
+            Joi.expression.unregister('double');
+        });
+
+        it('errors on invalid functions', () => {
+
+            expect(() => Joi.x.functions('x')).to.throw('Invalid template functions');
+            expect(() => Joi.x.functions(null)).to.throw('Invalid template functions');
+            expect(() => Joi.x.functions({ '1a': () => 1 })).to.throw('Invalid template function name 1a');
+            expect(() => Joi.x.functions({ a: 1 })).to.throw('Template function a must be a function');
+            expect(() => Joi.x.functions({ if: () => 1 })).to.throw('Cannot override built-in template function if');
+            expect(() => Joi.x('{unregistered(1)}')).to.throw('Invalid template variable "unregistered(1)" fails due to: Formula contains unknown function unregistered');
+        });
+    });
+
+    describe('unregister()', () => {
+
+        it('removes registered functions and constants', () => {
+
+            const custom = Joi.extend({ name: 'special', base: Joi.number() });
+
+            Joi.expression.functions({ triple: (value) => value * 3 });
+            Joi.expression.constants({ base: 2 });
+
+            const schema = custom.special().max(custom.x('{triple(base)}'));
+            expect(schema.validate(7).error).to.be.an.error('"value" must be less than or equal to {triple(base)}');
+
+            Joi.expression.unregister('triple', 'base', 'unknown');
+            expect(schema.validate(6).error).to.not.exist();
+            expect(() => custom.x('{triple(1)}')).to.throw('Invalid template variable "triple(1)" fails due to: Formula contains unknown function triple');
+            expect(Joi.object({ base: Joi.number(), limit: Joi.number().max(Joi.x('{base}')) }).validate({ base: 1, limit: 2 }).error).to.be.an.error('"limit" must be less than or equal to {base}');
+        });
+
+        it('errors on invalid names', () => {
+
+            expect(() => Joi.x.unregister(1)).to.throw('Invalid template function or constant name 1');
+            expect(() => Joi.x.unregister('if')).to.throw('Cannot unregister built-in template function or constant if');
+            expect(() => Joi.x.unregister('day')).to.throw('Cannot unregister built-in template function or constant day');
+        });
+    });
+
     describe('isExpression()', () => {
 
         it('checks if item is a joi template', () => {
@@ -137,8 +234,248 @@ describe('Template', () => {
         });
     });
 
+    describe('plural', () => {
+
+        it('selects plural forms', () => {
+
+            const messages = {
+                'array.min': '"{{#label}}" must contain at least {#limit, plural, =0 {no items} one {# item} other {# items}}'
+            };
+
+            const schema = Joi.array().prefs({ messages });
+            expect(schema.min(1).validate([]).error).to.be.an.error('"value" must contain at least 1 item');
+            expect(schema.min(3).validate([]).error).to.be.an.error('"value" must contain at least 3 items');
+            expect(Joi.x(messages['array.min']).render({}, {}, {}, { label: 'a', limit: 0 })).to.equal('"a" must contain at least no items');
+        });
+
+        it('selects plural forms by language', () => {
+
+            const messages = {
+                pl: {
+                    'array.min': '"{{#label}}" musi zawierać co najmniej {#limit, plural, one {# element} few {# elementy} many {# elementów} other {# elementu}}'
+                }
+            };
+
+            const schema = Joi.array().prefs({ messages, errors: { language: 'pl' } });
+            expect(schema.min(1).validate([]).error).to.be.an.error('"value" musi zawierać co najmniej 1 element');
+            expect(schema.min(3).validate([]).error).to.be.an.error('"value" musi zawierać co najmniej 3 elementy');
+            expect(schema.min(5).validate([]).error).to.be.an.error('"value" musi zawierać co najmniej 5 elementów');
+            expect(schema.min(5).validate([], { errors: { language: 'pl-PL' } }).error).to.be.an.error('"value" musi zawierać co najmniej 5 elementów');
+        });
+
+        it('selects plural forms by language reference', () => {
+
+            const template = '{#n, plural, one {# plik} few {# pliki} many {# plików} other {# pliku}}';
+            const schema = Joi.object({
+                a: Joi.number().max(0),
+                lang: Joi.string()
+            })
+                .prefs({
+                    messages: { 'number.max': `{{#label}}: ${template.replace(/#n/, '#limit')}` },
+                    errors: { language: Joi.ref('/lang') }
+                });
+
+            expect(schema.validate({ a: 1, lang: 'pl' }).error).to.be.an.error('a: 0 plików');
+            expect(schema.validate({ a: 1, lang: 'en' }).error).to.be.an.error('a: 0 pliku');
+            expect(Joi.x(template).render({}, {}, {}, { n: 2 }, { language: 'pl' })).to.equal('2 pliki');
+            expect(Joi.x(template).render({}, {}, {}, { n: 2 }, { language: 'x' })).to.equal('2 pliku');
+            expect(Joi.x(template).render({}, {}, {}, { n: 1 })).to.equal('1 plik');
+        });
+
+        it('supports nested variables and blocks', () => {
+
+            const template = Joi.x('{#n, plural, one {one {{#name}}} other {# {#kind, select, file {files} other {items}} of {{#name}}}} left');
+            expect(template.isDynamic()).to.be.true();
+            expect(template.refs().map((ref) => ref.key)).to.equal(['n', 'name', 'kind', 'name']);
+            expect(template.render({}, {}, {}, { n: 1, name: '<x>' })).to.equal('one &lt;x&gt; left');
+            expect(template.render({}, {}, {}, { n: 2, kind: 'file', name: 'x' })).to.equal('2 files of x left');
+            expect(template.render({}, {}, {}, { n: [1, 2, 3], name: 'x' })).to.equal('3 items of x left');
+        });
+
+        it('supports constant selectors', () => {
+
+            expect(Joi.x('{1, plural, one {single} other {many}}').render({}, {}, {}, {})).to.equal('single');
+            expect(Joi.x('{1, plural, =0 {none} other {some}}').render({}, {}, {}, {})).to.equal('some');
+            expect(Joi.x('{"a", select, a {first} other {rest}}').render({}, {}, {}, {})).to.equal('first');
+        });
+
+        it('supports escaped braces in options', () => {
+
+            expect(Joi.x('{#n, plural, one {\\{x\\} } other {y}}').render({}, {}, {}, { n: 1 })).to.equal('{x} ');
+        });
+
+        it('errors on invalid blocks', () => {
+
+            expect(() => Joi.x('{#n, plural, one {x}}')).to.throw('Invalid template plural in {#n, plural, one {x}} (missing other option)');
+            expect(() => Joi.x('{#n, plural, one {x')).to.throw('Invalid template plural in {#n, plural, one {x (unterminated one option message)');
+            expect(() => Joi.x('{#n, plural, one x}')).to.throw('Invalid template plural in {#n, plural, one x} (missing one option message)');
+            expect(() => Joi.x('{#n, select, other {x}')).to.throw('Invalid template select in {#n, select, other {x} (missing closing brace)');
+            expect(() => Joi.x('{#n, select, {x}}')).to.throw('Invalid template select in {#n, select, {x}} (missing option key)');
+        });
+    });
+
+    describe('select', () => {
+
+        it('selects options', () => {
+
+            const messages = {
+                'any.only': '"{{#label}}" must be {#type, select, admin {an administrator} user {a user} other {a guest}}'
+            };
+
+            const schema = Joi.object({
+                type: Joi.string(),
+                role: Joi.valid('x').prefs({ messages })
+            });
+
+            expect(Joi.x(messages['any.only']).render({}, {}, {}, { label: 'a', type: 'admin' })).to.equal('"a" must be an administrator');
+            expect(Joi.x(messages['any.only']).render({}, {}, {}, { label: 'a', type: 'toString' })).to.equal('"a" must be a guest');
+            expect(schema.validate({ type: 'user', role: 'y' }).error).to.be.an.error('"role" must be a guest');
+        });
+    });
+
     describe('functions', () => {
 
+        const render = (source, local, prefs = { dateFormat: 'iso' }) => Joi.x(source).render({}, {}, prefs, local);
+
+        it('supports functions in rule arguments', () => {
+
+            const schema = Joi.object({
+                tags: Joi.array().items(Joi.string()),
+                name: Joi.string().max(Joi.x('{max(length(tags) * 2, 3)}'))
+            });
+
+            expect(schema.validate({ tags: ['a'], name: 'abc' }).error).to.not.exist();
+            expect(schema.validate({ tags: ['a'], name: 'abcd' }).error).to.be.an.error('"name" length must be less than or equal to {max(length(tags) * 2, 3)} characters long');
+            expect(schema.validate({ tags: ['a', 'b'], name: 'abcd' }).error).to.not.exist();
+        });
+
+        describe('coalesce()', () => {
+
+            it('returns the first defined value', () => {
+
+                expect(render('{coalesce(#a, #b, 5)}', { b: 0 })).to.equal('0');
+                expect(render('{coalesce(#a, #b, 5)}', { a: null })).to.equal('5');
+                expect(render('{coalesce(#a, #b)}', {})).to.equal('null');
+            });
+        });
+
+        describe('date()', () => {
+
+            it('formats dates', () => {
+
+                expect(render('{date(#d)}', { d: new Date(0) })).to.equal('1970-01-01T00:00:00.000Z');
+                expect(render('{date(#d)}', { d: 0 }, { dateFormat: 'utc' })).to.equal('Thu, 01 Jan 1970 00:00:00 GMT');
+                expect(render('{date(#d, "iso")}', { d: '1970-01-01T00:00:00.000Z' }, {})).to.equal('1970-01-01T00:00:00.000Z');
+                expect(render('{date(#d)}', { d: 0 }, null)).to.equal('1970-01-01T00:00:00.000Z');
+                expect(render('{date(#d)}', { d: 0 }, {})).to.equal('1970-01-01T00:00:00.000Z');
+                expect(render('{date(#d, "x")}', { d: 0 })).to.equal('null');
+                expect(render('{date(#d)}', { d: 'x' })).to.equal('null');
+                expect(render('{date(#d)}', { d: true })).to.equal('null');
+            });
+        });
+
+        describe('includes()', () => {
+
+            it('checks strings and arrays', () => {
+
+                expect(render('{includes(#a, 2)}', { a: [1, 2] })).to.equal('true');
+                expect(render('{includes(#a, 3)}', { a: [1, 2] })).to.equal('false');
+                expect(render('{includes(#a, "b")}', { a: 'abc' })).to.equal('true');
+                expect(render('{includes(#a, "b")}', { a: 5 })).to.equal('false');
+            });
+        });
+
+        describe('isEmpty()', () => {
+
+            it('checks for empty values', () => {
+
+                expect(render('{isEmpty(#a)}', {})).to.equal('true');
+                expect(render('{isEmpty(#a)}', { a: null })).to.equal('true');
+                expect(render('{isEmpty(#a)}', { a: '' })).to.equal('true');
+                expect(render('{isEmpty(#a)}', { a: [] })).to.equal('true');
+                expect(render('{isEmpty(#a)}', { a: {} })).to.equal('true');
+                expect(render('{isEmpty(#a)}', { a: 'x' })).to.equal('false');
+                expect(render('{isEmpty(#a)}', { a: [1] })).to.equal('false');
+                expect(render('{isEmpty(#a)}', { a: { b: 1 } })).to.equal('false');
+                expect(render('{isEmpty(#a)}', { a: 0 })).to.equal('false');
+            });
+        });
+
+        describe('join()', () => {
+
+            it('joins arrays', () => {
+
+                expect(render('{join(#a)}', { a: [1, 2] })).to.equal('1, 2');
+                expect(render('{join(#a, "-")}', { a: [1, 2] })).to.equal('1-2');
+                expect(render('{join(#a)}', { a: 'x' })).to.equal('null');
+            });
+        });
+
+        describe('keys()', () => {
+
+            it('returns object keys', () => {
+
+                expect(render('{keys(#a)}', { a: { b: 1, c: 2 } })).to.equal('b, c');
+                expect(render('{keys(#a)}', { a: 'x' })).to.equal('null');
+                expect(render('{keys(#a)}', { a: null })).to.equal('null');
+            });
+        });
+
+        describe('length()', () => {
+
+            it('returns string and array length', () => {
+
+                expect(render('{length(#a)}', { a: 'abc' })).to.equal('3');
+                expect(render('{length(#a)}', { a: [1, 2] })).to.equal('2');
+                expect(render('{length(#a)}', { a: {} })).to.equal('null');
+            });
+        });
+
+        describe('lower()', () => {
+
+            it('lowercases strings', () => {
+
+                expect(render('{lower(#a)}', { a: 'aBc' })).to.equal('abc');
+                expect(render('{lower(#a)}', { a: 1 })).to.equal('null');
+            });
+        });
+
+        describe('max()', () => {
+
+            it('returns the largest number', () => {
+
+                expect(render('{max(1, #a, 3)}', { a: 5 })).to.equal('5');
+                expect(render('{max(#a)}', { a: [1, 4, 2] })).to.equal('4');
+                expect(render('{max(#a)}', { a: [] })).to.equal('null');
+                expect(render('{max(#a)}', { a: 5 })).to.equal('5');
+                expect(render('{max(1, #a)}', { a: 'x' })).to.equal('null');
+            });
+        });
+
+        describe('min()', () => {
+
+            it('returns the smallest number', () => {
+
+                expect(render('{min(1, #a, 3)}', { a: -5 })).to.equal('-5');
+                expect(render('{min(#a)}', { a: [4, 1, 2] })).to.equal('1');
+                expect(render('{min()}', {})).to.equal('null');
+            });
+        });
+
+        describe('now()', () => {
+
+            it('returns the current time', () => {
+
+                const before = Date.now();
+                const now = Joi.x('{now()}').resolve({}, {}, {}, {});
+                expect(now).to.be.between(before - 1, Date.now() + 1);
+
+                const schema = Joi.number().less(Joi.x('{now() + day}'));
+                expect(schema.validate(Date.now()).error).to.not.exist();
+                expect(schema.validate(Date.now() + 2 * 24 * 60 * 60 * 1000).error).to.exist();
+            });
+        });
+
         describe('number()', () => {
 
             it('casts values to numbers', () => {
@@ -148,5 +485,35 @@ describe('Template', () => {
                 expect(schema.validate(4, { context: { x: {} } }).error).to.be.an.error('"value" must be one of [{number(1) + number(true) + number(false) + number("1") + number($x)}]');
             });
         });
+
+        describe('round()', () => {
+
+            it('rounds numbers', () => {
+
+                expect(render('{round(#a)}', { a: 2.5 })).to.equal('3');
+                expect(render('{round(#a, 2)}', { a: 1.256 })).to.equal('1.26');
+                expect(render('{round(#a)}', { a: '1' })).to.equal('null');
+            });
+        });
+
+        describe('slice()', () => {
+
+            it('slices strings and arrays', () => {
+
+                expect(render('{slice(#a, 1)}', { a: 'abc' })).to.equal('bc');
+                expect(render('{slice(#a, 0, 2)}', { a: [1, 2, 3] })).to.equal('1, 2');
+                expect(render('{slice(#a, 1, null)}', { a: 'abc' })).to.equal('bc');
+                expect(render('{slice(#a, 1)}', { a: 5 })).to.equal('null');
+            });
+        });
+
+        describe('upper()', () => {
+
+            it('uppercases strings', () => {
+
+                expect(render('{upper(#a)}', { a: 'aBc' })).to.equal('ABC');
+                expect(render('{upper(#a)}', { a: 1 })).to.equal('null');
+            });
+        });
     });
 });
@@ -2102,6 +2102,11 @@ describe('any', () => {
             expect(() => Joi.any().prefs({ convert: 'yes' })).to.throw('"convert" must be a boolean');
         });
 
+        it('throws when overriding signal', () => {
+
+            expect(() => Joi.any().prefs({ signal: {} })).to.throw('Cannot override signal');
+        });
+
         it('throws with an invalid option value', () => {
 
             expect(() => Joi.any().prefs({ presence: 'yes' })).to.throw('"presence" must be one of [required, optional, forbidden]');
@@ -2373,6 +2378,269 @@ describe('any', () => {
         });
     });
 
+    describe('sensitive()', () => {
+
+        const schema = Joi.object({
+            user: Joi.string().optional(),
+            password: Joi.string().min(10).sensitive().optional(),
+            card: Joi.object({
+                number: Joi.string().creditCard().optional(),
+                cvv: Joi.string().length(3).optional()
+            })
+                .sensitive()
+                .optional(),
+            token: Joi.string().pattern(/^x+$/).sensitive().optional(),
+            tags: Joi.array().items(Joi.string()).unique().sensitive().optional()
+        });
+
+        it('redacts values from error messages and details', () => {
+
+            const value = { user: 'a', password: 'hunter2', card: { number: '1234', cvv: '12' }, token: 'abc', extra: 'x' };
+            const { error } = schema.validate(value, { abortEarly: false });
+
+            expect(error).to.be.an.error('"password" length must be at least 10 characters long. "card.number" must be a credit card. "card.cvv" length must be 3 characters long. "token" with value "[REDACTED]" fails to match the required pattern: /^x+$/. "extra" is not allowed');
+            expect(error.details.map((item) => item.context.value)).to.equal(['[REDACTED]', '[REDACTED]', '[REDACTED]', '[REDACTED]', 'x']);
+            expect(error._original).to.equal({ user: 'a', password: '[REDACTED]', card: '[REDACTED]', token: '[REDACTED]', extra: 'x' });
+            expect(value.password).to.equal('hunter2');
+        });
+
+        it('redacts values from annotate()', () => {
+
+            const { error } = schema.validate({ user: 1, password: 'hunter2' }, { abortEarly: false });
+            expect(error.annotate(true)).to.equal('{\n  "password" [2]: "[REDACTED]",\n  "user" [1]: 1\n}\n\n[1] "user" must be a string\n[2] "password" length must be at least 10 characters long');
+        });
+
+        it('redacts array values', () => {
+
+            const { error } = schema.validate({ tags: ['a', 'b', 'a'] });
+            expect(error).to.be.an.error('"tags[2]" contains a duplicate value');
+            expect(error.details[0].context).to.equal({ pos: 2, value: '[REDACTED]', dupePos: 0, dupeValue: '[REDACTED]', label: 'tags[2]', key: 2 });
+        });
+
+        it('redacts the entire value', () => {
+
+            const { error } = Joi.string().min(10).sensitive().validate('hunter2');
+            expect(error).to.be.an.error('"value" length must be at least 10 characters long');
+            expect(error.details[0].context.value).to.equal('[REDACTED]');
+            expect(error._original).to.equal('[REDACTED]');
+            expect(error.annotate()).to.equal('"value" length must be at least 10 characters long');
+        });
+
+        it('redacts all values using the sensitive preference', () => {
+
+            const { error } = Joi.object({ a: Joi.string() }).validate({ a: 1, b: 2 }, { sensitive: true, abortEarly: false });
+            expect(error.details.map((item) => item.context.value)).to.equal(['[REDACTED]', '[REDACTED]']);
+            expect(error._original).to.equal('[REDACTED]');
+
+            const { error: error2 } = Joi.object({ a: Joi.string().prefs({ sensitive: true }), b: Joi.string() }).validate({ a: 1, b: 2 }, { abortEarly: false });
+            expect(error2.details.map((item) => item.context.value)).to.equal(['[REDACTED]', 2]);
+            expect(error2._original).to.equal({ a: '[REDACTED]', b: 2 });
+        });
+
+        it('redacts values from external errors', async () => {
+
+            const external = Joi.object({
+                password: Joi.string().sensitive().external((value) => {
+
+                    throw new Error('rejected');
+                })
+            });
+
+            const err = await expect(external.validateAsync({ password: 'hunter2' })).to.reject('rejected (password)');
+            expect(err._original).to.equal({ password: '[REDACTED]' });
+        });
+
+        it('keeps values of other paths', () => {
+
+            const { error } = schema.validate({ user: 1, card: '{"number":"x"}' }, { abortEarly: false });
+            expect(error.details.map((item) => item.context.value)).to.equal([1, '[REDACTED]']);
+            expect(error._original).to.equal({ user: 1, card: '[REDACTED]' });
+        });
+
+        it('ignores sensitive paths missing from the original value', () => {
+
+            const partial = Joi.object({
+                a: Joi.object({ b: Joi.string().sensitive().default('x') }).optional(),
+                c: Joi.number()
+            });
+
+            const { error } = partial.validate({ a: {}, c: 'x' });
+            expect(error._original).to.equal({ a: {}, c: 'x' });
+        });
+
+        it('redacts values not reached when aborting early', () => {
+
+            const { error } = Joi.object({ a: Joi.number(), password: Joi.string().sensitive() }).validate({ a: 'x', password: 'hunter2' });
+            expect(error._original).to.equal({ a: 'x', password: '[REDACTED]' });
+            expect(error.annotate(true)).to.not.contain('hunter2');
+
+            const nested = Joi.object({
+                a: Joi.number(),
+                users: Joi.array().items(Joi.object({ pin: Joi.number().sensitive() })),
+                pairs: Joi.array().ordered(Joi.any(), Joi.any().sensitive()),
+                extra: Joi.object().pattern(/^x/, Joi.any().sensitive()),
+                choice: Joi.alternatives([Joi.number(), Joi.object({ key: Joi.string().sensitive() })]),
+                when: Joi.any().when('a', { is: 1, then: Joi.any().sensitive() }),
+                switch: Joi.any().when('a', [{ is: 1, then: Joi.number() }, { is: 2, then: Joi.any().sensitive() }])
+            });
+
+            const value = { a: 'x', users: [{ pin: 1 }, { pin: 2 }], pairs: [1, 2], extra: { x1: 1, y: 2 }, choice: { key: 'k' }, when: 'w', switch: 's' };
+            expect(nested.validate(value).error._original).to.equal({
+                a: 'x',
+                users: [{ pin: '[REDACTED]' }, { pin: '[REDACTED]' }],
+                pairs: [1, '[REDACTED]'],
+                extra: { x1: '[REDACTED]', y: 2 },
+                choice: { key: '[REDACTED]' },
+                when: '[REDACTED]',
+                switch: '[REDACTED]'
+            });
+
+            expect(value.users[0].pin).to.equal(1);
+            expect(nested.validate({ a: 'x', users: 'u', choice: 5 }).error._original).to.equal({ a: 'x', users: 'u', choice: 5 });
+            expect(nested.validate({ a: 'x', users: [null] }).error._original).to.equal({ a: 'x', users: [null] });
+            expect(nested.validate(null).error.details[0].context.value).to.equal(null);
+        });
+
+        it('redacts values of linked schemas', () => {
+
+            const node = Joi.object({
+                a: Joi.number(),
+                secret: Joi.string().sensitive(),
+                children: Joi.array().items(Joi.link('...'))
+            });
+
+            const tree = Joi.object({
+                a: Joi.number(),
+                root: node,
+                copy: Joi.link('/root'),
+                other: Joi.link('/missing'),
+                uninitialized: Joi.link()
+            });
+
+            const { error } = tree.validate({ a: 'x', root: { secret: 's', children: [{ secret: 't' }] }, copy: { secret: 'u', children: [] } });
+            expect(error._original).to.equal({ a: 'x', root: { secret: '[REDACTED]', children: ['[REDACTED]'] }, copy: { secret: '[REDACTED]', children: [] } });
+
+            const plain = Joi.object({ a: Joi.number(), b: Joi.object({ c: Joi.array().items(Joi.link('...')) }) });
+            expect(plain.validate({ a: 'x', b: { c: [{ c: [] }] } }).error._original).to.equal({ a: 'x', b: { c: [{ c: [] }] } });
+        });
+
+        it('redacts renamed values', () => {
+
+            const renamed = Joi.object({ a: Joi.number(), password: Joi.string().sensitive() })
+                .rename('pwd', 'password')
+                .rename(/^p(\d)$/, 'password');
+
+            expect(renamed.validate({ a: 'x', pwd: 'hunter2' }).error._original).to.equal({ a: 'x', pwd: '[REDACTED]' });
+            expect(renamed.validate({ a: 'x', p1: 'hunter2' }).error._original).to.equal({ a: 'x', p1: '[REDACTED]' });
+        });
+
+        it('redacts sensitive values of parent error values', () => {
+
+            const parent = Joi.object({
+                user: Joi.string(),
+                password: Joi.string().sensitive()
+            }).min(3);
+
+            const { error } = parent.validate({ user: 'a', password: 'hunter2' });
+            expect(error).to.be.an.error('"value" must have at least 3 keys');
+            expect(error.details[0].context.value).to.equal({ user: 'a', password: '[REDACTED]' });
+
+            const list = Joi.array().items(Joi.object({ id: Joi.number(), pin: Joi.number().sensitive() })).unique((a, b) => a.id === b.id);
+            const { error: error2 } = list.validate([{ id: 1, pin: 1 }, { id: 1, pin: 2 }]);
+            expect(error2.details[0].context).to.include({ value: { id: 1, pin: '[REDACTED]' }, dupeValue: { id: 1, pin: '[REDACTED]' } });
+        });
+
+        it('redacts sensitive values from debug and changes', () => {
+
+            const referenced = Joi.object({
+                pin: Joi.number().sensitive(),
+                code: Joi.number().max(Joi.ref('/pin')),
+                next: Joi.number().max(Joi.x('{$extra + pin}')),
+                word: Joi.string().sensitive().optional(),
+                text: Joi.string().max(Joi.ref('word')).optional(),
+                color: Joi.valid('red').sensitive(),
+                same: Joi.valid(Joi.ref('code')),
+                other: Joi.number().min(Joi.ref('$min')),
+                fallback: Joi.string().optional().default(Joi.x('abc'))
+            });
+
+            const value = { pin: '1234', code: 5, next: 6, color: 'red', same: 5, other: 5 };
+            const { debug, changes } = referenced.validate(value, { debug: true, changes: true, context: { min: 1, extra: 1 } });
+            expect(changes).to.equal([
+                { path: ['pin'], kind: 'convert', from: '[REDACTED]', to: '[REDACTED]' },
+                { path: ['fallback'], kind: 'default', from: undefined, to: 'abc' }
+            ]);
+
+            const entries = debug.filter((entry) => ['resolve', 'rule', 'valid'].includes(entry.type));
+            expect(entries).to.equal([
+                { type: 'resolve', path: ['code'], ref: 'ref:root:pin', value: '[REDACTED]' },
+                { type: 'rule', path: ['code'], name: 'max', args: { limit: '[REDACTED]' }, outcome: 'pass' },
+                { type: 'resolve', path: ['next'], ref: '{$extra + pin}', value: '[REDACTED]' },
+                { type: 'rule', path: ['next'], name: 'max', args: { limit: '[REDACTED]' }, outcome: 'pass' },
+                { type: 'valid', path: ['color'], value: '[REDACTED]' },
+                { type: 'valid', path: ['same'], value: 5 },
+                { type: 'resolve', path: ['other'], ref: 'ref:global:min', value: 1 },
+                { type: 'rule', path: ['other'], name: 'min', args: { limit: 1 }, outcome: 'pass' },
+                { type: 'resolve', path: ['fallback'], ref: 'abc', value: 'abc' }
+            ]);
+
+            const { error, debug: trace } = referenced.validate({ pin: 1, code: 1, next: 1, color: 'red', same: 1, other: 1, word: 'abc', text: 'x' }, { debug: true, context: { min: 1, extra: 1 } });
+            expect(error).to.be.an.error('"text" references "ref:word" which is not a number');
+            expect(error.details[0].context.value).to.equal('[REDACTED]');
+            expect(trace.find((entry) => entry.type === 'rule' && entry.name === 'max' && entry.path[0] === 'text').args).to.equal({ limit: Joi.ref('word') });
+        });
+
+        it('redacts sensitive values of conditions from debug', () => {
+
+            const conditional = Joi.object({
+                pw: Joi.string().sensitive(),
+                x: Joi.number().when('pw', { is: 'secret', then: Joi.number().min(1) }),
+                y: Joi.number().when('x', { is: 2, then: Joi.number().min(1) }).optional()
+            });
+
+            const { error, debug } = conditional.validate({ pw: 'secret', x: 2, y: 1 }, { debug: true });
+            expect(error).to.not.exist();
+            expect(debug.filter((entry) => entry.type === 'when')).to.equal([
+                { type: 'when', path: ['x'], index: 0, ref: 'ref:pw', value: '[REDACTED]', matched: true, branch: 'then' },
+                { type: 'when', path: ['y'], index: 0, ref: 'ref:x', value: 2, matched: true, branch: 'then' }
+            ]);
+        });
+
+        it('redacts values of sensitive alternatives', () => {
+
+            const { error } = Joi.alternatives([Joi.object({ b: Joi.number().sensitive() }), Joi.string().sensitive()]).validate(5);
+            expect(error.details[0].context.value).to.equal('[REDACTED]');
+            expect(error._original).to.equal('[REDACTED]');
+        });
+
+        it('redacts patch operation values', () => {
+
+            const patched = Joi.object({ password: Joi.string().min(10).sensitive(), name: Joi.string() });
+            const { error } = patched.validatePatch([{ op: 'add', path: '/password', value: 'hunter2' }, { op: 'add', path: '/name', value: 1 }], { abortEarly: false });
+            expect(error.details.map((item) => item.context.value)).to.equal(['[REDACTED]', 1]);
+            expect(error._original).to.equal([{ op: 'add', path: '/password', value: '[REDACTED]' }, { op: 'add', path: '/name', value: 1 }]);
+        });
+
+        it('cancels sensitive mode', () => {
+
+            const { error } = Joi.string().min(10).sensitive().sensitive(false).validate('hunter2');
+            expect(error.details[0].context.value).to.equal('hunter2');
+        });
+
+        it('describes and builds sensitive schemas', () => {
+
+            const desc = Joi.string().sensitive().describe();
+            expect(desc.flags.sensitive).to.be.true();
+            expect(Joi.build(desc).describe()).to.equal(desc);
+        });
+
+        it('avoids unnecessary cloning when called twice', () => {
+
+            const sensitive = Joi.any().sensitive();
+            expect(sensitive.sensitive()).to.shallow.equal(sensitive);
+        });
+    });
+
     describe('strict()', () => {
 
         it('validates without converting', () => {
@@ -2789,6 +3057,193 @@ describe('any', () => {
         });
     });
 
+    describe('validateAsync()', () => {
+
+        it('resolves with the validated value', async () => {
+
+            const schema = Joi.number();
+            expect(await schema.validateAsync('2')).to.equal(2);
+        });
+
+        it('rejects with the validation error', async () => {
+
+            const schema = Joi.number();
+            const err = await expect(schema.validateAsync('2', { convert: false })).to.reject();
+            expect(err).to.be.an.error('"value" must be a number');
+            expect(err.details).to.equal([{
+                message: '"value" must be a number',
+                path: [],
+                type: 'number.base',
+                context: { label: 'value', value: '2' }
+            }]);
+        });
+    });
+
+    describe('validateAt()', () => {
+
+        it('validates a single key', async () => {
+
+            const schema = Joi.object({
+                a: Joi.number(),
+                b: Joi.object({
+                    c: Joi.string().min(2),
+                    d: Joi.number()
+                })
+            });
+
+            const value = { a: 'x', b: { c: 'abc', d: '1' } };
+            expect(schema.validateAt('b.d', value).value).to.equal(1);
+            expect(schema.validateAt('b.d', value).error).to.be.null();
+            expect(schema.validateAt(['b', 'c'], value).value).to.equal('abc');
+            expect(await schema.validateAt('b.d', value)).to.equal(1);
+
+            const { error } = schema.validateAt('a', value);
+            expect(error).to.be.an.error('"a" must be a number');
+            expect(error.details).to.equal([{
+                message: '"a" must be a number',
+                path: ['a'],
+                type: 'number.base',
+                context: { label: 'a', key: 'a', value: 'x' }
+            }]);
+            expect(error._original).to.shallow.equal(value);
+        });
+
+        it('validates missing keys', () => {
+
+            const schema = Joi.object({
+                a: Joi.object({
+                    b: Joi.number().required()
+                })
+            });
+
+            expect(schema.validateAt('a.b', {}).error).to.be.an.error('"a.b" is required');
+            expect(schema.validateAt('a.b', { a: 'x' }).error).to.be.an.error('"a.b" is required');
+            expect(schema.validateAt('a.b', undefined).error).to.be.an.error('"a.b" is required');
+        });
+
+        it('resolves references against converted siblings', () => {
+
+            const schema = Joi.object({
+                password: Joi.string().min(3),
+                confirm: Joi.valid(Joi.ref('password')),
+                min: Joi.number(),
+                max: Joi.number().min(Joi.ref('min')),
+                other: Joi.number().min(Joi.ref('max'))
+            });
+
+            expect(schema.validateAt('confirm', { password: 'abc', confirm: 'abc' }).error).to.not.exist();
+            expect(schema.validateAt('confirm', { password: 'abc', confirm: 'abd' }).error).to.be.an.error('"confirm" must be one of [ref:password]');
+            expect(schema.validateAt('max', { min: '5', max: '10' }).value).to.equal(10);
+            expect(schema.validateAt('max', { min: '5', max: '3' }).error).to.be.an.error('"max" must be larger than or equal to ref:min');
+            expect(schema.validateAt('other', { min: '5', max: '10', other: '11' }).value).to.equal(11);
+            expect(schema.validateAt('other', { min: 'x', max: 'y', other: '11' }).error).to.be.an.error('"other" references "ref:max" which is not a number');
+        });
+
+        it('resolves conditions', () => {
+
+            const schema = Joi.object({
+                type: Joi.string(),
+                code: Joi.string().when('type', { is: 'us', then: Joi.string().length(5), otherwise: Joi.string().length(4) }),
+                nested: Joi.object({ a: Joi.number() })
+                    .when('type', { is: 'us', then: Joi.object({ a: Joi.number().min(10) }) })
+            });
+
+            expect(schema.validateAt('code', { type: 'us', code: '12345' }).error).to.not.exist();
+            expect(schema.validateAt('code', { type: 'ca', code: '12345' }).error).to.be.an.error('"code" length must be 4 characters long');
+            expect(schema.validateAt('nested.a', { type: 'us', nested: { a: 5 } }).error).to.be.an.error('"nested.a" must be larger than or equal to 10');
+            expect(schema.validateAt('nested.a', { type: 'ca', nested: { a: 5 } }).error).to.not.exist();
+        });
+
+        it('resolves conditions without a matching branch', () => {
+
+            const schema = Joi.object({
+                a: Joi.object({ b: Joi.number() })
+            })
+                .when('$x', { is: true, then: Joi.object({ c: Joi.number() }), otherwise: Joi.forbidden() });
+
+            expect(schema.validateAt('c', { c: '1' }, { context: { x: true } }).value).to.equal(1);
+            expect(() => schema.validateAt('c', { c: '1' }, { context: { x: false } })).to.throw('Schema does not contain path c');
+
+            const conditional = Joi.alternatives().when('$x', { is: true, then: Joi.object({ a: Joi.number() }) });
+            expect(conditional.validateAt('a', { a: '1' }, { context: { x: true } }).value).to.equal(1);
+            expect(conditional.validateAt('a', { a: '1' }, { context: { x: false } }).error).to.be.an.error('"value" does not match any of the allowed types');
+        });
+
+        it('validates dependencies on the path', () => {
+
+            const schema = Joi.object({
+                a: Joi.any(),
+                b: Joi.any(),
+                c: Joi.object({
+                    d: Joi.any(),
+                    e: Joi.any()
+                })
+                    .with('d', 'e')
+            })
+                .with('a', 'b')
+                .without('b', 'c.d')
+                .xor('a', 'c');
+
+            expect(schema.validateAt('a', { a: 1, b: 2 }).error).to.not.exist();
+            expect(schema.validateAt('a', { a: 1 }).error).to.be.an.error('"a" missing required peer "b"');
+            expect(schema.validateAt('a', { a: 1, c: {} }, { abortEarly: false }).error).to.be.an.error('"a" missing required peer "b". "value" contains a conflict between exclusive peers [a, c]');
+            expect(schema.validateAt('b', { a: 1, b: 2 }).error).to.not.exist();
+            expect(schema.validateAt('c.d', { b: 1, c: { d: 1, e: 2 } }).error).to.be.an.error('"b" conflict with forbidden peer "c.d"');
+            expect(schema.validateAt('c.d', { c: { d: 1 } }, { abortEarly: false }).error).to.be.an.error('"d" missing required peer "e"');
+            expect(schema.validateAt('c.d', { b: 1, c: { d: 1 } }, { abortEarly: false }).error).to.be.an.error('"d" missing required peer "e". "b" conflict with forbidden peer "c.d"');
+            expect(schema.validateAt('c.d', { b: 1, c: { d: 1 } }).error).to.be.an.error('"d" missing required peer "e"');
+            expect(schema.validateAt('c.e', { a: 1, b: 2, c: { e: 1 } }).error).to.not.exist();
+        });
+
+        it('skips dependencies when the path is invalid', () => {
+
+            const schema = Joi.object({
+                a: Joi.number(),
+                b: Joi.any()
+            })
+                .with('a', 'b');
+
+            expect(schema.validateAt('a', { a: 'x' }).error).to.be.an.error('"a" must be a number');
+            expect(schema.validateAt('a', { a: 'x' }, { abortEarly: false }).error).to.be.an.error('"a" must be a number. "a" missing required peer "b"');
+        });
+
+        it('ignores external rules', () => {
+
+            const schema = Joi.object({
+                a: Joi.number().external(() => {
+
+                    throw new Error('Should not be called');
+                })
+            });
+
+            expect(schema.validateAt('a', { a: '1' }).value).to.equal(1);
+        });
+
+        it('includes debug information', () => {
+
+            const schema = Joi.object({ a: Joi.number() });
+            expect(schema.validateAt('a', { a: 1 }, { debug: true }).debug).to.equal([
+                { type: 'entry', path: ['a'], schema: 'number' },
+                { type: 'exit', path: ['a'], schema: 'number', outcome: 'pass' }
+            ]);
+        });
+
+        it('errors on invalid paths', () => {
+
+            const schema = Joi.object({
+                a: Joi.number(),
+                b: Joi.object(),
+                c: Joi.alternatives([Joi.object({ d: Joi.number() })])
+            });
+
+            expect(() => schema.validateAt('x', {})).to.throw('Schema does not contain path x');
+            expect(() => schema.validateAt('a.x', {})).to.throw('Schema does not contain path a.x');
+            expect(() => schema.validateAt('b.x', {})).to.throw('Schema does not contain path b.x');
+            expect(() => schema.validateAt('c.d', {})).to.throw('Cannot select a schema from alternatives.try()');
+            expect(() => schema.validateAt([], {})).to.throw('Path must not be empty');
+        });
+    });
+
     describe('warn', () => {
 
         it('turns error into warning', () => {
@@ -3307,6 +3307,308 @@ describe('object', () => {
         });
     });
 
+    describe('validatePatch()', () => {
+
+        it('validates patch operations', () => {
+
+            const schema = Joi.object({
+                a: Joi.number(),
+                b: Joi.object({
+                    c: Joi.string()
+                }),
+                d: Joi.array().items(Joi.number())
+            });
+
+            const patch = [
+                { op: 'add', path: '/a', value: '1' },
+                { op: 'replace', path: '/b/c', value: 'x' },
+                { op: 'add', path: '/d/-', value: '2' },
+                { op: 'remove', path: '/d/0' },
+                { op: 'test', path: '/a', value: 1 },
+                { op: 'copy', from: '/d/1', path: '/a' },
+                { op: 'move', from: '/d/1', path: '/a' },
+                { op: 'replace', path: '', value: { a: 1, b: { c: 'x' }, d: [1] } }
+            ];
+
+            const { value, error } = schema.validatePatch(patch);
+            expect(error).to.not.exist();
+            expect(value).to.equal([
+                { op: 'add', path: '/a', value: 1 },
+                { op: 'replace', path: '/b/c', value: 'x' },
+                { op: 'add', path: '/d/-', value: 2 },
+                { op: 'remove', path: '/d/0' },
+                { op: 'test', path: '/a', value: 1 },
+                { op: 'copy', from: '/d/1', path: '/a' },
+                { op: 'move', from: '/d/1', path: '/a' },
+                { op: 'replace', path: '', value: { a: 1, b: { c: 'x' }, d: [1] } }
+            ]);
+        });
+
+        it('errors on invalid values', () => {
+
+            const schema = Joi.object({
+                a: Joi.number(),
+                b: Joi.string()
+            });
+
+            const patch = [
+                { op: 'add', path: '/a', value: 'x' },
+                { op: 'replace', path: '/b', value: 1 }
+            ];
+
+            expect(schema.validatePatch(patch).error).to.be.an.error('"[0].value" must be a number');
+
+            const { error } = schema.validatePatch(patch, { abortEarly: false });
+            expect(error).to.be.an.error('"[0].value" must be a number. "[1].value" must be a string');
+            expect(error.details).to.equal([
+                {
+                    message: '"[0].value" must be a number',
+                    path: [0, 'value'],
+                    type: 'number.base',
+                    context: { label: '[0].value', key: 'value', value: 'x' }
+                },
+                {
+                    message: '"[1].value" must be a string',
+                    path: [1, 'value'],
+                    type: 'string.base',
+                    context: { label: '[1].value', key: 'value', value: 1 }
+                }
+            ]);
+        });
+
+        it('errors on unknown paths', () => {
+
+            const schema = Joi.object({
+                a: Joi.object({
+                    b: Joi.number()
+                }),
+                c: Joi.number()
+            });
+
+            const { error } = schema.validatePatch([
+                { op: 'add', path: '/a/x', value: 1 },
+                { op: 'copy', from: '/y', path: '/c' },
+                { op: 'remove', path: '/c/d' }
+            ], { abortEarly: false });
+
+            expect(error).to.be.an.error('"[0].path" references path "/a/x" which is not allowed. "[1].from" references path "/y" which is not allowed. "[2].path" references path "/c/d" which is not allowed');
+            expect(error.details[0]).to.equal({
+                message: '"[0].path" references path "/a/x" which is not allowed',
+                path: [0, 'path'],
+                type: 'patch.unknown',
+                context: { pointer: '/a/x', label: '[0].path', key: 'path', value: '/a/x' }
+            });
+        });
+
+        it('allows unknown paths', () => {
+
+            const schema = Joi.object({
+                a: Joi.object({
+                    b: Joi.number()
+                }).unknown(),
+                c: Joi.object(),
+                d: Joi.any()
+            });
+
+            const patch = [
+                { op: 'add', path: '/a/x', value: 1 },
+                { op: 'add', path: '/c/x/y', value: 1 },
+                { op: 'add', path: '/d/x', value: 1 }
+            ];
+
+            expect(schema.validatePatch(patch).error).to.not.exist();
+            expect(schema.validatePatch([{ op: 'add', path: '/x', value: 1 }]).error).to.be.an.error('"[0].path" references path "/x" which is not allowed');
+            expect(schema.validatePatch([{ op: 'add', path: '/x', value: 1 }], { allowUnknown: true }).error).to.not.exist();
+        });
+
+        it('unescapes path segments', () => {
+
+            const schema = Joi.object({
+                'a/b': Joi.number(),
+                'c~d': Joi.number()
+            });
+
+            expect(schema.validatePatch([{ op: 'add', path: '/a~1b', value: '1' }]).value).to.equal([{ op: 'add', path: '/a~1b', value: 1 }]);
+            expect(schema.validatePatch([{ op: 'add', path: '/c~0d', value: '1' }]).value).to.equal([{ op: 'add', path: '/c~0d', value: 1 }]);
+            expect(schema.validatePatch([{ op: 'add', path: '/c~1d', value: '1' }]).error).to.be.an.error('"[0].path" references path "/c~1d" which is not allowed');
+        });
+
+        it('errors on forbidden paths', () => {
+
+            const schema = Joi.object({
+                a: Joi.number().forbidden(),
+                b: Joi.object({ c: Joi.number() }).forbidden()
+            });
+
+            expect(schema.validatePatch([{ op: 'add', path: '/a', value: 1 }]).error).to.be.an.error('"[0].path" must not reference forbidden path "/a"');
+            expect(schema.validatePatch([{ op: 'replace', path: '/b/c', value: 1 }]).error).to.be.an.error('"[0].path" must not reference forbidden path "/b/c"');
+            expect(schema.validatePatch([{ op: 'copy', from: '/b/c', path: '/a' }]).error).to.be.an.error('"[0].from" must not reference forbidden path "/b/c"');
+            expect(schema.validatePatch([{ op: 'remove', path: '/a' }]).error).to.not.exist();
+            expect(schema.validatePatch([{ op: 'test', path: '/a', value: 1 }]).error).to.not.exist();
+        });
+
+        it('errors on removing required paths', () => {
+
+            const schema = Joi.object({
+                a: Joi.number().required(),
+                b: Joi.number().optional(),
+                c: Joi.array().items(Joi.number().required())
+            });
+
+            expect(schema.validatePatch([{ op: 'remove', path: '/a' }]).error).to.be.an.error('"[0].path" must not remove required path "/a"');
+            expect(schema.validatePatch([{ op: 'move', from: '/a', path: '/b' }]).error).to.be.an.error('"[0].from" must not remove required path "/a"');
+            expect(schema.validatePatch([{ op: 'copy', from: '/a', path: '/b' }]).error).to.not.exist();
+            expect(schema.validatePatch([{ op: 'remove', path: '/b' }]).error).to.not.exist();
+            expect(schema.validatePatch([{ op: 'remove', path: '/c/0' }]).error).to.not.exist();
+        });
+
+        it('reports all operation errors', () => {
+
+            const schema = Joi.object({
+                a: Joi.number().required(),
+                b: Joi.number().forbidden()
+            });
+
+            const patch = [{ op: 'move', from: '/a', path: '/b' }];
+            expect(schema.validatePatch(patch).error).to.be.an.error('"[0].from" must not remove required path "/a"');
+            expect(schema.validatePatch(patch, { abortEarly: false }).error).to.be.an.error('"[0].from" must not remove required path "/a". "[0].path" must not reference forbidden path "/b"');
+        });
+
+        it('removes stripped operations', () => {
+
+            const schema = Joi.object({
+                a: Joi.number(),
+                b: Joi.number().strip(),
+                c: Joi.object({ d: Joi.number() }).strip()
+            });
+
+            const { value, error } = schema.validatePatch([
+                { op: 'add', path: '/a', value: 1 },
+                { op: 'add', path: '/b', value: 2 },
+                { op: 'replace', path: '/c/d', value: 3 }
+            ]);
+
+            expect(error).to.not.exist();
+            expect(value).to.equal([{ op: 'add', path: '/a', value: 1 }]);
+        });
+
+        it('validates patterns', () => {
+
+            const schema = Joi.object({
+                a: Joi.number()
+            })
+                .pattern(/^x/, Joi.string())
+                .pattern(Joi.string().valid('y'), Joi.boolean());
+
+            expect(schema.validatePatch([{ op: 'add', path: '/x1', value: 'z' }]).error).to.not.exist();
+            expect(schema.validatePatch([{ op: 'add', path: '/y', value: 'true' }]).value).to.equal([{ op: 'add', path: '/y', value: true }]);
+            expect(schema.validatePatch([{ op: 'add', path: '/x1', value: 1 }]).error).to.be.an.error('"[0].value" must be a string');
+            expect(schema.validatePatch([{ op: 'add', path: '/z', value: 1 }]).error).to.be.an.error('"[0].path" references path "/z" which is not allowed');
+        });
+
+        it('validates arrays', () => {
+
+            const schema = Joi.object({
+                a: Joi.array().ordered(Joi.string(), Joi.number()),
+                b: Joi.array().items(Joi.number(), Joi.string()),
+                c: Joi.array(),
+                d: Joi.array().items(Joi.number().forbidden())
+            });
+
+            expect(schema.validatePatch([{ op: 'replace', path: '/a/1', value: '1' }]).value).to.equal([{ op: 'replace', path: '/a/1', value: 1 }]);
+            expect(schema.validatePatch([{ op: 'add', path: '/a/2', value: 1 }]).error).to.be.an.error('"[0].path" references path "/a/2" which is not allowed');
+            expect(schema.validatePatch([{ op: 'add', path: '/b/-', value: 'x' }]).error).to.not.exist();
+            expect(schema.validatePatch([{ op: 'add', path: '/b/0', value: true }]).error).to.be.an.error('"[0].value" must be one of [number, string]');
+            expect(schema.validatePatch([{ op: 'add', path: '/b/01', value: 1 }]).error).to.be.an.error('"[0].path" references path "/b/01" which is not allowed');
+            expect(schema.validatePatch([{ op: 'add', path: '/c/5', value: {} }]).error).to.not.exist();
+            expect(schema.validatePatch([{ op: 'add', path: '/d/0', value: 1 }]).error).to.be.an.error('"[0].path" references path "/d/0" which is not allowed');
+        });
+
+        it('validates alternatives', () => {
+
+            const schema = Joi.object({
+                a: Joi.alternatives([
+                    Joi.object({ b: Joi.number() }),
+                    Joi.object({ b: Joi.string(), c: Joi.string() })
+                ]),
+                d: Joi.alternatives([Joi.object({ e: Joi.number() }), Joi.any()])
+            });
+
+            expect(schema.validatePatch([{ op: 'add', path: '/a/b', value: 'x' }]).error).to.not.exist();
+            expect(schema.validatePatch([{ op: 'add', path: '/a/c', value: 1 }]).error).to.be.an.error('"[0].value" must be a string');
+            expect(schema.validatePatch([{ op: 'add', path: '/a/b', value: true }]).error).to.be.an.error('"[0].value" must be one of [number, string]');
+            expect(schema.validatePatch([{ op: 'add', path: '/a/x', value: 1 }]).error).to.be.an.error('"[0].path" references path "/a/x" which is not allowed');
+            expect(schema.validatePatch([{ op: 'add', path: '/d/x', value: 1 }]).error).to.not.exist();
+        });
+
+        it('errors on incompatible copy and move targets', () => {
+
+            const schema = Joi.object({
+                name: Joi.string(),
+                nick: Joi.string().optional().label('Nickname'),
+                tags: Joi.array().items(Joi.string()).optional(),
+                extra: Joi.any().optional(),
+                bag: Joi.object(),
+                count: Joi.number().min(1)
+            });
+
+            expect(schema.validatePatch([{ op: 'copy', from: '/name', path: '/nick' }]).error).to.not.exist();
+            expect(schema.validatePatch([{ op: 'copy', from: '/tags/0', path: '/name' }]).error).to.not.exist();
+            expect(schema.validatePatch([{ op: 'move', from: '/tags', path: '/extra' }]).error).to.not.exist();
+            expect(schema.validatePatch([{ op: 'copy', from: '/count', path: '/bag/x' }]).error).to.not.exist();
+
+            const { error } = schema.validatePatch([
+                { op: 'copy', from: '/tags', path: '/name' },
+                { op: 'move', from: '/bag/x', path: '/count' },
+                { op: 'copy', from: '/count', path: '/tags/-' }
+            ], { abortEarly: false });
+
+            expect(error).to.be.an.error('"[0].path" references path "/name" with a different schema than "/tags". "[1].path" references path "/count" with a different schema than "/bag/x". "[2].path" references path "/tags/-" with a different schema than "/count"');
+            expect(error.details[0]).to.equal({
+                message: '"[0].path" references path "/name" with a different schema than "/tags"',
+                path: [0, 'path'],
+                type: 'patch.incompatible',
+                context: { pointer: '/name', from: '/tags', label: '[0].path', key: 'path', value: '/name' }
+            });
+        });
+
+        it('references nested paths', () => {
+
+            const schema = Joi.object({
+                a: Joi.object({ b: Joi.object({ c: Joi.number() }) }).strip(),
+                d: Joi.object().pattern(/^x/, Joi.number()),
+                e: Joi.any().valid('x'),
+                f: Joi.object().optional()
+            });
+
+            expect(schema.validatePatch([{ op: 'add', path: '/a/b/c', value: 1 }]).value).to.equal([]);
+            expect(schema.validatePatch([{ op: 'add', path: '/d/x1', value: '1' }]).value).to.equal([{ op: 'add', path: '/d/x1', value: 1 }]);
+            expect(schema.validatePatch([{ op: 'add', path: '/d/y', value: 1 }]).error).to.be.an.error('"[0].path" references path "/d/y" which is not allowed');
+            expect(schema.validatePatch([{ op: 'add', path: '/e/x', value: 1 }]).error).to.be.an.error('"[0].path" references path "/e/x" which is not allowed');
+            expect(schema.validatePatch([{ op: 'remove', path: '/f/x' }]).error).to.not.exist();
+        });
+
+        it('errors on invalid patch documents', () => {
+
+            const schema = Joi.object({ a: Joi.number() });
+
+            expect(schema.validatePatch({}).error).to.be.an.error('"value" must be an array');
+            expect(schema.validatePatch([{ op: 'delete', path: '/a' }]).error).to.be.an.error('"[0].op" must be one of [add, remove, replace, move, copy, test]');
+            expect(schema.validatePatch([{ op: 'add', path: 'a', value: 1 }]).error).to.be.an.error('"[0].path" must be a valid JSON pointer');
+            expect(schema.validatePatch([{ op: 'add', path: '/a' }]).error).to.be.an.error('"[0].value" is required');
+            expect(schema.validatePatch([{ op: 'remove', path: '/a', value: 1 }]).error).to.be.an.error('"[0].value" is not allowed');
+            expect(schema.validatePatch([{ op: 'move', path: '/a' }]).error).to.be.an.error('"[0].from" is required');
+            expect(schema.validatePatch([{ op: 'copy', from: 'a', path: '/a' }]).error).to.be.an.error('"[0].from" must be a valid JSON pointer');
+        });
+
+        it('applies schema preferences', () => {
+
+            const schema = Joi.object({ a: Joi.number() }).prefs({ convert: false });
+            expect(schema.validatePatch([{ op: 'add', path: '/a', value: '1' }]).error).to.be.an.error('"[0].value" must be a number');
+            expect(Joi.object({ a: Joi.number() }).validatePatch([{ op: 'add', path: '/a', value: '1' }], { convert: false }).error).to.be.an.error('"[0].value" must be a number');
+        });
+    });
+
     describe('with()', () => {
 
         it('errors when a parameter is not a string', () => {
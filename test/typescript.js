@@ -0,0 +1,286 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const Joi = require('..');
+
+
+const internals = {};
+
+
+const { describe, it } = exports.lab = Lab.script();
+const { expect } = Code;
+
+
+describe('TypeScript', () => {
+
+    describe('typescript()', () => {
+
+        it('declares interfaces', () => {
+
+            const address = Joi.object({
+                street: Joi.string(),
+                'zip-code': Joi.string().optional()
+            }).id('Address');
+
+            const person = Joi.object({
+                name: Joi.string().description('Full name'),
+                age: Joi.number().integer().optional(),
+                role: Joi.string().optional().default('user'),
+                home: address,
+                password: Joi.string().strip(),
+                legacy: Joi.any().forbidden(),
+                settings: Joi.object({
+                    theme: Joi.string().valid('light', 'dark')
+                }).optional()
+            }).id('Person').description('A registered person */');
+
+            expect(Joi.typescript([person])).to.equal([
+                '/** A registered person *\\/ */',
+                'export interface Person {',
+                '    /** Full name */',
+                '    name: string;',
+                '    age?: number;',
+                '    role: string;',
+                '    home: Address;',
+                '    settings?: {',
+                '        theme: \'light\' | \'dark\';',
+                '    };',
+                '}',
+                '',
+                'export interface Address {',
+                '    street: string;',
+                '    \'zip-code\'?: string;',
+                '}',
+                ''
+            ].join('\n'));
+        });
+
+        it('declares type aliases', () => {
+
+            const schemas = [
+                Joi.string().valid('active', 'closed').id('Status'),
+                Joi.object({ a: Joi.number() }).allow(null).id('Nullable'),
+                Joi.object().id('Bag'),
+                Joi.object({}).id('Empty'),
+                Joi.binary().id('Data'),
+                Joi.boolean().id('Flag'),
+                Joi.date().id('Timestamp'),
+                Joi.func().id('Callback'),
+                Joi.symbol().id('Token'),
+                Joi.any().id('Anything')
+            ];
+
+            expect(Joi.typescript(schemas)).to.equal([
+                'export type Status = \'active\' | \'closed\';',
+                'export type Nullable = {\n    a: number;\n} | null;',
+                'export type Bag = Record<string, unknown>;',
+                'export type Empty = Record<string, never>;',
+                'export type Data = Buffer;',
+                'export type Flag = boolean;',
+                'export type Timestamp = Date;',
+                'export type Callback = Function;',
+                'export type Token = symbol;',
+                'export type Anything = unknown;'
+            ].join('\n\n') + '\n');
+        });
+
+        it('generates literal unions from values', () => {
+
+            const declare = (schema) => Joi.typescript([schema.id('T')]);
+
+            expect(declare(Joi.number().valid(1, -2.5))).to.equal('export type T = 1 | -2.5;\n');
+            expect(declare(Joi.valid(true, 'a', null))).to.equal('export type T = true | \'a\' | null;\n');
+            expect(declare(Joi.string().valid('it\'s', 'say "hi"\n'))).to.equal('export type T = \'it\\\'s\' | \'say "hi"\\n\';\n');
+            expect(declare(Joi.number().valid(1, Infinity))).to.equal('export type T = 1 | number;\n');
+            expect(declare(Joi.string().valid(Joi.ref('a')))).to.equal('export type T = string;\n');
+            expect(declare(Joi.any().only())).to.equal('export type T = unknown;\n');
+            expect(declare(Joi.string().allow('', null, 5))).to.equal('export type T = string | null | 5;\n');
+            expect(declare(Joi.number().allow(5, true))).to.equal('export type T = number | true;\n');
+            expect(declare(Joi.boolean().allow(false, 'no'))).to.equal('export type T = boolean | \'no\';\n');
+            expect(declare(Joi.boolean().allow(true, 'yes'))).to.equal('export type T = boolean | \'yes\';\n');
+            expect(declare(Joi.any().allow(null))).to.equal('export type T = unknown;\n');
+            expect(declare(Joi.date().allow(new Date(0)))).to.equal('export type T = Date;\n');
+        });
+
+        it('generates arrays and tuples', () => {
+
+            const declare = (schema) => Joi.typescript([schema.id('T')]);
+
+            expect(declare(Joi.array())).to.equal('export type T = unknown[];\n');
+            expect(declare(Joi.array().items(Joi.string()))).to.equal('export type T = string[];\n');
+            expect(declare(Joi.array().items(Joi.string(), Joi.number()))).to.equal('export type T = (string | number)[];\n');
+            expect(declare(Joi.array().items(Joi.string().optional()).sparse())).to.equal('export type T = (string | undefined)[];\n');
+            expect(declare(Joi.array().items(Joi.string().forbidden()))).to.equal('export type T = never[];\n');
+            expect(declare(Joi.array().items(Joi.string().optional(), Joi.number().strip()))).to.equal('export type T = string[];\n');
+            expect(declare(Joi.array().ordered(Joi.string(), Joi.number().optional(), Joi.boolean()))).to.equal('export type T = [string, number?, boolean?];\n');
+            expect(declare(Joi.array().ordered(Joi.string(), Joi.number().strip()).items(Joi.boolean().optional()))).to.equal('export type T = [string, ...boolean[]];\n');
+        });
+
+        it('generates alternatives', () => {
+
+            const declare = (schema) => Joi.typescript([schema.id('T')]);
+
+            expect(declare(Joi.alternatives().try([Joi.string(), Joi.number(), Joi.string()]))).to.equal('export type T = string | number;\n');
+            expect(declare(Joi.alternatives().try([Joi.string(), Joi.any()]))).to.equal('export type T = unknown;\n');
+            expect(declare(Joi.alternatives())).to.equal('export type T = never;\n');
+            expect(declare(Joi.when('a', { is: 1, then: Joi.string(), otherwise: Joi.number() }))).to.equal('export type T = string | number;\n');
+            expect(declare(Joi.alternatives().when(Joi.number(), { then: Joi.string(), otherwise: Joi.forbidden() }))).to.equal('export type T = string;\n');
+            expect(declare(Joi.alternatives().try([Joi.boolean()]).allow(null))).to.equal('export type T = boolean | null;\n');
+        });
+
+        it('generates objects with unknown keys', () => {
+
+            const declare = (schema) => Joi.typescript([schema.id('T')]);
+
+            expect(declare(Joi.object({ a: Joi.number() }).unknown())).to.equal('export interface T {\n    a: number;\n    [key: string]: unknown;\n}\n');
+            expect(declare(Joi.object({ a: Joi.number() }).prefs({ allowUnknown: true }))).to.equal('export interface T {\n    a: number;\n    [key: string]: unknown;\n}\n');
+            expect(declare(Joi.object({ a: Joi.number() }).prefs({ convert: false }))).to.equal('export interface T {\n    a: number;\n}\n');
+            expect(declare(Joi.object({}).pattern(/^x-/, Joi.string()).pattern(/^y-/, Joi.number()))).to.equal('export interface T {\n    [key: string]: string | number;\n}\n');
+            expect(declare(Joi.object({ a: Joi.number() }).pattern(/^x-/, Joi.string()))).to.equal('export type T = {\n    a: number;\n} & {\n    [key: string]: string;\n};\n');
+            expect(declare(Joi.object({ a: Joi.number() }).pattern(/^x-/, Joi.any()))).to.equal('export interface T {\n    a: number;\n    [key: string]: unknown;\n}\n');
+            expect(declare(Joi.object({ a: Joi.number() }).pattern(/^x-/, Joi.string()).unknown())).to.equal('export interface T {\n    a: number;\n    [key: string]: unknown;\n}\n');
+            expect(declare(Joi.object().pattern(/^x-/, Joi.string()))).to.equal('export interface T {\n    [key: string]: string;\n}\n');
+            expect(declare(Joi.object({ a: Joi.object({ b: Joi.number() }).pattern(/^x-/, Joi.boolean()) }))).to.equal('export interface T {\n    a: {\n        b: number;\n    } & {\n        [key: string]: boolean;\n    };\n}\n');
+            expect(declare(Joi.array().items(Joi.object({ b: Joi.number() }).pattern(/^x-/, Joi.boolean())))).to.equal('export type T = ({\n    b: number;\n} & {\n    [key: string]: boolean;\n})[];\n');
+            expect(declare(Joi.object({}).pattern(/^x-/, Joi.any().forbidden()))).to.equal('export type T = Record<string, never>;\n');
+            expect(declare(Joi.object({}).pattern(Joi.string().id('Key'), Joi.number()))).to.equal('export interface T {\n    [key: string]: number;\n}\n');
+        });
+
+        it('applies renames', () => {
+
+            const schema = Joi.object({
+                a: Joi.number(),
+                b: Joi.string().optional()
+            })
+                .rename('b', 'c')
+                .rename('d', 'a')
+                .rename('e', 'f', { alias: true })
+                .rename(/^g/, 'h')
+                .rename(/^(\w+)-x$/, Joi.expression('{#1}'))
+                .unknown()
+                .id('T');
+
+            expect(Joi.typescript([schema])).to.equal([
+                'export interface T {',
+                '    a: number;',
+                '    c?: string;',
+                '    f?: unknown;',
+                '    h?: unknown;',
+                '    [key: string]: unknown;',
+                '}',
+                ''
+            ].join('\n'));
+
+            expect(Joi.typescript([Joi.object({ a: Joi.number().optional() }).rename('a', 'b', { alias: true }).unknown().id('T')])).to.equal([
+                'export interface T {',
+                '    a?: number;',
+                '    b?: number;',
+                '    [key: string]: unknown;',
+                '}',
+                ''
+            ].join('\n'));
+        });
+
+        it('resolves links', () => {
+
+            const node = Joi.object({
+                name: Joi.string(),
+                children: Joi.array().items(Joi.link('...').optional()).optional()
+            });
+
+            const schema = Joi.object({
+                root: node,
+                same: Joi.link('/root').optional(),
+                sibling: Joi.link('..root').optional(),
+                self: Joi.link('/').optional(),
+                item: Joi.array().items(Joi.number().id('Item').optional()),
+                first: Joi.link('/item.Item'),
+                missing: Joi.link('/x').optional(),
+                outside: Joi.link('....').optional(),
+                uninitialized: Joi.link().optional()
+            }).id('Tree');
+
+            expect(Joi.typescript([schema])).to.equal([
+                'export interface Tree {',
+                '    root: {',
+                '        name: string;',
+                '        children?: unknown[];',
+                '    };',
+                '    same?: {',
+                '        name: string;',
+                '        children?: unknown[];',
+                '    };',
+                '    sibling?: {',
+                '        name: string;',
+                '        children?: unknown[];',
+                '    };',
+                '    self?: Tree;',
+                '    item: Item[];',
+                '    first: Item;',
+                '    missing?: unknown;',
+                '    outside?: unknown;',
+                '    uninitialized?: unknown;',
+                '}',
+                '',
+                'export type Item = number;',
+                ''
+            ].join('\n'));
+        });
+
+        it('resolves links in conditions and patterns', () => {
+
+            const schema = Joi.object({
+                a: Joi.alternatives().when(Joi.number(), { then: Joi.link('...') }).optional(),
+                b: Joi.object({}).pattern(/x/, Joi.string().id('Value'))
+                    .pattern(/y/, Joi.link('/b.Value')),
+                c: Joi.array().ordered(Joi.string().id('Head'), Joi.link('/c.Head')),
+                d: Joi.alternatives().try(Joi.number().id('Count'), Joi.link('/d.Count'))
+            }).id('T');
+
+            expect(Joi.typescript([schema])).to.equal([
+                'export interface T {',
+                '    a?: T;',
+                '    b: {',
+                '        [key: string]: Value;',
+                '    };',
+                '    c: [Head, Head];',
+                '    d: Count;',
+                '}',
+                '',
+                'export type Value = string;',
+                '',
+                'export type Head = string;',
+                '',
+                'export type Count = number;',
+                ''
+            ].join('\n'));
+        });
+
+        it('generates descriptions', () => {
+
+            const desc = Joi.object({ a: Joi.number() }).id('T').describe();
+            expect(Joi.typescript([desc])).to.equal('export interface T {\n    a: number;\n}\n');
+            expect(Joi.typescript([{ type: 'object', flags: { id: 'T' }, keys: { a: { type: 'number' }, b: { type: 'custom' } } }])).to.equal('export interface T {\n    a: number;\n    b: unknown;\n}\n');
+            expect(Joi.typescript([{ type: 'custom', flags: { id: 'T' } }])).to.equal('export type T = unknown;\n');
+        });
+
+        it('shares types with the same id', () => {
+
+            const item = Joi.object({ a: Joi.number() }).id('Item');
+            const list = Joi.array().items(item).id('List');
+
+            expect(Joi.typescript([item, list])).to.equal('export interface Item {\n    a: number;\n}\n\nexport type List = Item[];\n');
+        });
+
+        it('validates arguments', () => {
+
+            expect(() => Joi.typescript(Joi.number())).to.throw('Declared schemas must be an array');
+            expect(() => Joi.typescript([null])).to.throw('Invalid schema or description');
+            expect(() => Joi.typescript([{}])).to.throw('Invalid schema or description');
+            expect(() => Joi.typescript([Joi.number()])).to.throw('Declared schemas must have an id');
+            expect(() => Joi.typescript([Joi.number().id('a-b')])).to.throw('Invalid type name a-b');
+            expect(() => Joi.typescript([Joi.number().id('a'), Joi.string().id('a')])).to.throw('Conflicting schemas for type a');
+        });
+    });
+});
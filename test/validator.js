@@ -245,6 +245,937 @@ describe('Validator', () => {
         });
     });
 
+    describe('externals() with abortEarly false', () => {
+
+        const lookup = (id) => {
+
+            if (id[0] === 'x') {
+                throw new Error('Unknown id');
+            }
+        };
+
+        it('collects all external errors', async () => {
+
+            const schema = Joi.object({
+                ids: Joi.array().items(Joi.string().external(lookup)),
+                owner: Joi.string().external(lookup)
+            });
+
+            const input = { ids: ['a', 'x1', 'b', 'x2'], owner: 'x3' };
+            const err = await expect(schema.validate(input, { externals: true, abortEarly: false })).to.reject(Joi.ValidationError);
+            expect(err.message).to.equal('Unknown id (ids[1]). Unknown id (ids[3]). Unknown id (owner)');
+            expect(err.details).to.equal([
+                {
+                    message: 'Unknown id (ids[1])',
+                    path: ['ids', 1],
+                    type: 'external',
+                    context: { error: err.details[0].context.error, message: 'Unknown id', key: 1, label: 'ids[1]', value: 'x1' }
+                },
+                {
+                    message: 'Unknown id (ids[3])',
+                    path: ['ids', 3],
+                    type: 'external',
+                    context: { error: err.details[1].context.error, message: 'Unknown id', key: 3, label: 'ids[3]', value: 'x2' }
+                },
+                {
+                    message: 'Unknown id (owner)',
+                    path: ['owner'],
+                    type: 'external',
+                    context: { error: err.details[2].context.error, message: 'Unknown id', key: 'owner', label: 'owner', value: 'x3' }
+                }
+            ]);
+
+            const err2 = await expect(schema.validateAsync(input, { abortEarly: false })).to.reject(Joi.ValidationError);
+            expect(err2.details).to.equal(err.details);
+        });
+
+        it('stops on the first external error when abortEarly is true', async () => {
+
+            const schema = Joi.array().items(Joi.string().external(lookup));
+
+            const err = await expect(schema.validate(['x1', 'x2'], { externals: true })).to.reject(Joi.ValidationError, 'Unknown id ([0])');
+            expect(err.details).to.have.length(1);
+
+            const err2 = await expect(schema.validateAsync(['x1', 'x2'])).to.reject(Joi.ValidationError, 'Unknown id ([0])');
+            expect(err2.details).to.have.length(1);
+        });
+
+        it('merges external errors with validation errors', async () => {
+
+            const schema = Joi.object({
+                a: Joi.number(),
+                b: Joi.string().external(lookup),
+                c: Joi.string().min(3).external(lookup)
+            });
+
+            const input = { a: 'not', b: 'x', c: 'x' };
+            const err = await expect(schema.validate(input, { externals: true, abortEarly: false })).to.reject(Joi.ValidationError);
+            expect(err.details.map((detail) => [detail.type, detail.path])).to.equal([
+                ['number.base', ['a']],
+                ['string.min', ['c']],
+                ['external', ['b']]
+            ]);
+
+            const err2 = await expect(schema.validateAsync(input, { abortEarly: false })).to.reject(Joi.ValidationError);
+            expect(err2.details).to.equal(err.details);
+        });
+
+        it('rejects with validation errors when externals pass', async () => {
+
+            const schema = Joi.object({
+                a: Joi.number(),
+                b: Joi.string().external(lookup)
+            });
+
+            await expect(schema.validate({ a: 'x', b: 'b' }, { externals: true, abortEarly: false })).to.reject('"a" must be a number');
+            await expect(schema.validateAsync({ a: 'x', b: 'b' }, { abortEarly: false })).to.reject('"a" must be a number');
+        });
+
+        it('skips externals of invalid values and of the parents of failed externals', async () => {
+
+            const calls = [];
+            const track = (value) => {
+
+                calls.push(value);
+            };
+
+            const schema = Joi.object({
+                a: Joi.object({
+                    b: Joi.string().external(lookup)
+                })
+                    .external(track),
+                c: Joi.object({
+                    d: Joi.number().external(track)
+                })
+                    .external(track),
+                e: Joi.string().external(track)
+            });
+
+            const input = { a: { b: 'x' }, c: { d: 'x' }, e: 'e' };
+
+            const err = await expect(schema.validate(input, { externals: true, abortEarly: false })).to.reject(Joi.ValidationError);
+            expect(err.details.map((detail) => detail.type)).to.equal(['number.base', 'external']);
+            expect(calls).to.equal(['e']);
+
+            calls.length = 0;
+            await expect(schema.validateAsync(input, { abortEarly: false })).to.reject(Joi.ValidationError);
+            expect(calls).to.equal(['e']);
+        });
+    });
+
+    describe('externals() with batch', () => {
+
+        it('calls batched method once with all values', async () => {
+
+            const calls = [];
+            const lookup = (items) => {
+
+                calls.push(items.map(({ value, path }) => ({ value, path })));
+                return items.map(({ value }) => {
+
+                    if (value === 'x') {
+                        return new Error('Unknown id');
+                    }
+
+                    return value === 'a' ? 'A' : undefined;
+                });
+            };
+
+            const schema = Joi.object({
+                ids: Joi.array().items(Joi.string().external(lookup, { batch: true })),
+                owner: {
+                    id: Joi.string().external(lookup, { batch: true })
+                }
+            });
+
+            const input = { ids: ['a', 'b', 'c'], owner: { id: 'a' } };
+            expect(await schema.validateAsync(input)).to.equal({ ids: ['A', 'b', 'c'], owner: { id: 'A' } });
+            expect(calls).to.equal([
+                [
+                    { value: 'a', path: ['ids', 0] },
+                    { value: 'b', path: ['ids', 1] },
+                    { value: 'c', path: ['ids', 2] },
+                    { value: 'a', path: ['owner', 'id'] }
+                ]
+            ]);
+
+            calls.length = 0;
+            expect(await schema.validate(input, { externals: true })).to.equal({ ids: ['A', 'b', 'c'], owner: { id: 'A' } });
+            expect(calls).to.have.length(1);
+
+            const err = await expect(schema.validateAsync({ ids: ['x', 'a', 'x'], owner: { id: 'b' } }, { abortEarly: false })).to.reject(Joi.ValidationError);
+            expect(err.message).to.equal('Unknown id (ids[0]). Unknown id (ids[2])');
+            expect(err.details.map((detail) => detail.path)).to.equal([['ids', 0], ['ids', 2]]);
+            expect(err.details[0].type).to.equal('external');
+
+            await expect(schema.validateAsync({ ids: ['x', 'x'], owner: { id: 'b' } })).to.reject('Unknown id (ids[0])');
+        });
+
+        it('passes the preferences of each schema', async () => {
+
+            const calls = [];
+            const lookup = (items, helpers) => {
+
+                calls.push({ items, helpers });
+            };
+
+            const schema = Joi.object({
+                a: Joi.string().external(lookup, { batch: true }),
+                b: Joi.string().external(lookup, { batch: true }).prefs({ convert: false })
+            });
+
+            const controller = internals.abortController();
+            await schema.validateAsync({ a: 'x', b: 'y' }, { context: { x: 1 }, signal: controller.signal });
+            expect(calls).to.have.length(1);
+
+            const [{ items, helpers }] = calls;
+            expect(helpers).to.equal({ signal: controller.signal });
+            expect(items.map(({ value, prefs }) => [value, prefs.convert, prefs.context])).to.equal([['x', true, { x: 1 }], ['y', false, { x: 1 }]]);
+
+            const single = [];
+            const check = (value, { prefs }) => {
+
+                single.push([value, prefs.convert]);
+            };
+
+            await Joi.object({ a: Joi.string().external(check), b: Joi.string().external(check).prefs({ convert: false }) }).validateAsync({ a: 'x', b: 'y' });
+            expect(single).to.equal([['x', true], ['y', false]]);
+        });
+
+        it('ignores undefined batch results', async () => {
+
+            const lookup = () => undefined;
+            const schema = Joi.array().items(Joi.string().external(lookup, { batch: true }));
+            expect(await schema.validateAsync(['a', 'b'])).to.equal(['a', 'b']);
+        });
+
+        it('fails every item when the batched method throws', async () => {
+
+            const lookup = () => {
+
+                throw new Error('Database down');
+            };
+
+            const schema = Joi.array().items(Joi.string().external(lookup, { batch: true }));
+            const err = await expect(schema.validateAsync(['a', 'b'], { abortEarly: false })).to.reject(Joi.ValidationError);
+            expect(err.message).to.equal('Database down ([0]). Database down ([1])');
+        });
+
+        it('runs batched and single externals on the same path in order', async () => {
+
+            const lookup = (items) => items.map(({ value }) => value + '?');
+            const append = (value) => value + '!';
+
+            const schema = Joi.array().items(Joi.string().external(append).external(lookup, { batch: true }).external(append));
+            expect(await schema.validateAsync(['a', 'b'])).to.equal(['a!?!', 'b!?!']);
+            expect(await schema.validate(['a', 'b'], { externals: true })).to.equal(['a!?!', 'b!?!']);
+        });
+
+        it('errors on invalid batch results', async () => {
+
+            const lookup = () => ['a'];
+            const schema = Joi.array().items(Joi.string().external(lookup, { batch: true }));
+            await expect(schema.validateAsync(['a', 'b'])).to.reject('Batched external method must return an array of results matching the provided items');
+        });
+
+        it('errors on invalid options', () => {
+
+            expect(() => Joi.any().external(() => null, { x: true })).to.throw('Options contain unknown keys: x');
+        });
+
+        it('supports describe', () => {
+
+            const lookup = () => null;
+            const schema = Joi.string().external(lookup, { batch: true }).optional();
+            const description = schema.describe();
+            expect(description).to.equal({ type: 'string', flags: { presence: 'optional' }, externals: [{ method: lookup, batch: true }] });
+            expect(Joi.build(description)).to.equal(schema, { skip: ['_ruleset'] });
+        });
+    });
+
+    describe('entryAsync()', () => {
+
+        it('resolves with the validated value', async () => {
+
+            const schema = Joi.object({ a: Joi.number() });
+            expect(await schema.validateAsync({ a: '1' })).to.equal({ a: 1 });
+        });
+
+        it('rejects with the validation error', async () => {
+
+            const schema = Joi.object({ a: Joi.number() });
+            const err = await expect(schema.validateAsync({ a: 'x' })).to.reject(Joi.ValidationError, '"a" must be a number');
+            expect(err.details).to.equal([{
+                message: '"a" must be a number',
+                path: ['a'],
+                type: 'number.base',
+                context: { key: 'a', label: 'a', value: 'x' }
+            }]);
+        });
+
+        it('executes externals without the externals flag', async () => {
+
+            const append = (id) => id + '!';
+            const schema = Joi.object({
+                id: Joi.string().external(append)
+            });
+
+            expect(await schema.validateAsync({ id: 'x' })).to.equal({ id: 'x!' });
+            expect(await schema.validateAsync({ id: 'x' }, { externals: false })).to.equal({ id: 'x' });
+        });
+
+        it('executes sibling externals concurrently', async () => {
+
+            const order = [];
+            const lookup = async (id) => {
+
+                order.push(`start ${id}`);
+                await Hoek.wait(10);
+                order.push(`end ${id}`);
+            };
+
+            const schema = Joi.object({
+                a: Joi.string().external(lookup),
+                b: Joi.string().external(lookup)
+            });
+
+            await schema.validateAsync({ a: 'a', b: 'b' });
+            expect(order).to.equal(['start a', 'start b', 'end a', 'end b']);
+        });
+
+        it('executes externals on the same path in order and parents after children', async () => {
+
+            const order = [];
+            const check = async (id) => {
+
+                await Hoek.wait(10);
+                order.push(`check ${id}`);
+                return id + '?';
+            };
+
+            const append = (id) => {
+
+                order.push(`append ${id}`);
+                return id + '!';
+            };
+
+            const tag = (obj) => {
+
+                order.push(`tag ${obj.user.id}`);
+                return Object.assign({}, obj, { tagged: true });
+            };
+
+            const schema = Joi.object({
+                user: {
+                    id: Joi.string().external(check).external(append)
+                }
+            })
+                .external(tag);
+
+            expect(await schema.validateAsync({ user: { id: 'x' } })).to.equal({ user: { id: 'x?!' }, tagged: true });
+            expect(order).to.equal(['check x', 'append x?', 'tag x?!']);
+        });
+
+        it('rejects with a validation error when an external throws', async () => {
+
+            const error = new Error('Invalid id');
+            const check = (id) => {
+
+                throw error;
+            };
+
+            const schema = Joi.object({
+                user: {
+                    id: Joi.string().external(check)
+                }
+            });
+
+            const input = { user: { id: 'x' } };
+            const err = await expect(schema.validateAsync(input)).to.reject(Joi.ValidationError, 'Invalid id (user.id)');
+            expect(error.message).to.equal('Invalid id');
+            expect(err.details).to.equal([{
+                message: 'Invalid id (user.id)',
+                path: ['user', 'id'],
+                type: 'external',
+                context: { error, message: 'Invalid id', key: 'id', label: 'user.id', value: 'x' }
+            }]);
+
+            expect(err._original).to.shallow.equal(input);
+        });
+
+        it('passes the abort signal to externals', async () => {
+
+            const controller = internals.abortController();
+
+            let signal;
+            const check = (id, helpers) => {
+
+                signal = helpers.signal;
+            };
+
+            const schema = Joi.string().external(check);
+            await schema.validateAsync('x', { signal: controller.signal });
+            expect(signal).to.shallow.equal(controller.signal);
+        });
+
+        it('rejects when aborted before externals run', async () => {
+
+            const controller = internals.abortController();
+            controller.abort(new Error('Aborted'));
+
+            let called = false;
+            const check = () => {
+
+                called = true;
+            };
+
+            const schema = Joi.string().external(check);
+            await expect(schema.validateAsync('x', { signal: controller.signal })).to.reject('Aborted');
+            expect(called).to.be.false();
+        });
+
+        it('rejects when aborted while externals run', async () => {
+
+            const controller = internals.abortController();
+
+            const calls = [];
+            const check = async (id) => {
+
+                calls.push(id);
+                await Hoek.wait(10);
+            };
+
+            const schema = Joi.object({
+                a: Joi.string().external(check)
+            })
+                .external(check);
+
+            const promise = schema.validateAsync({ a: 'x' }, { signal: controller.signal });
+            controller.abort(new Error('Aborted'));
+
+            await expect(promise).to.reject('Aborted');
+            await Hoek.wait(20);
+            expect(calls).to.equal(['x']);
+            expect(controller.listeners.size).to.equal(0);
+        });
+
+        it('rejects with a generic abort error when the signal has no reason', async () => {
+
+            const controller = internals.abortController();
+
+            const check = () => Hoek.wait(10);
+            const schema = Joi.string().external(check);
+
+            const promise = schema.validateAsync('x', { signal: controller.signal });
+            controller.abort();
+
+            const err = await expect(promise).to.reject('The operation was aborted');
+            expect(err.name).to.equal('AbortError');
+        });
+
+        it('returns warnings', async () => {
+
+            const schema = Joi.string()
+                .warning('custom.x').message('test')
+                .external((value) => value + '!');
+
+            expect(await schema.validateAsync('x', { warnings: true })).to.equal({
+                value: 'x!',
+                warning: {
+                    message: 'test',
+                    details: [
+                        {
+                            message: 'test',
+                            path: [],
+                            type: 'custom.x',
+                            context: {
+                                label: 'value',
+                                value: 'x'
+                            }
+                        }
+                    ]
+                }
+            });
+
+            expect(await Joi.string().validateAsync('x', { warnings: true })).to.equal({ value: 'x' });
+        });
+    });
+
+    describe('changes', () => {
+
+        it('reports changes', () => {
+
+            const schema = Joi.object({
+                a: Joi.number(),
+                b: Joi.string().trim().lowercase(),
+                c: Joi.number().default(5).optional(),
+                d: Joi.any().strip(),
+                e: Joi.array().items(Joi.number()),
+                f: Joi.string().valid('ABC').insensitive(),
+                g: Joi.number().cast('string'),
+                h: Joi.string()
+            })
+                .rename('old', 'a');
+
+            const { value, error, changes } = schema.validate({ old: '1', b: ' X ', d: 1, e: ['1', 2], f: 'abc', g: '4', h: 'x' }, { changes: true });
+            expect(error).to.not.exist();
+            expect(value).to.equal({ a: 1, b: 'x', c: 5, e: [1, 2], f: 'ABC', g: '4', h: 'x' });
+            expect(changes).to.equal([
+                { path: [], kind: 'rename', from: 'old', to: 'a' },
+                { path: ['a'], kind: 'convert', from: '1', to: 1 },
+                { path: ['b'], kind: 'convert', from: ' X ', to: 'x' },
+                { path: ['c'], kind: 'default', from: undefined, to: 5 },
+                { path: ['d'], kind: 'strip', from: 1, to: undefined },
+                { path: ['e', 0], kind: 'convert', from: '1', to: 1 },
+                { path: ['f'], kind: 'convert', from: 'abc', to: 'ABC' },
+                { path: ['g'], kind: 'convert', from: '4', to: 4 },
+                { path: ['g'], kind: 'cast', from: 4, to: '4' }
+            ]);
+        });
+
+        it('reports stripped unknown keys and items', () => {
+
+            const schema = Joi.object({
+                a: Joi.array().items(Joi.number())
+            });
+
+            const { value, changes } = schema.validate({ a: [1, 'x', 2], b: 1 }, { changes: true, stripUnknown: { arrays: true, objects: true } });
+            expect(value).to.equal({ a: [1, 2] });
+            expect(changes).to.equal([
+                { path: ['a', 1], kind: 'strip', from: 'x', to: undefined },
+                { path: ['b'], kind: 'strip', from: 1, to: undefined }
+            ]);
+        });
+
+        it('reports empty, deep default, and failover values', () => {
+
+            const schema = Joi.object({
+                a: Joi.string().empty('').optional(),
+                b: Joi.object({
+                    c: Joi.number().default(1).optional()
+                })
+                    .optional()
+                    .default(),
+                d: Joi.number().failover(0)
+            });
+
+            const { value, changes } = schema.validate({ a: '', d: 'x' }, { changes: true });
+            expect(value).to.equal({ b: { c: 1 }, d: 0 });
+            expect(changes).to.equal([
+                { path: ['a'], kind: 'convert', from: '', to: undefined },
+                { path: ['b', 'c'], kind: 'default', from: undefined, to: 1 },
+                { path: ['b'], kind: 'default', from: undefined, to: { c: 1 } },
+                { path: ['d'], kind: 'failover', from: 'x', to: 0 }
+            ]);
+        });
+
+        it('ignores changes to invalid values', () => {
+
+            const schema = Joi.object({
+                a: Joi.alternatives([
+                    Joi.object({ b: Joi.number(), c: Joi.number() }),
+                    Joi.object({ b: Joi.number(), d: Joi.string() })
+                ]),
+                e: Joi.number().raw(),
+                f: Joi.string().valid(Joi.ref('$x')).insensitive()
+            });
+
+            const { changes } = schema.validate({ a: { b: '1', d: 'x' }, e: '2', f: 'Y' }, { changes: true, context: { x: 'y' } });
+            expect(changes).to.equal([
+                { path: ['a', 'b'], kind: 'convert', from: '1', to: 1 },
+                { path: ['f'], kind: 'convert', from: 'Y', to: 'y' }
+            ]);
+
+            const result = schema.validate({ a: { b: '1', c: 'x' }, e: '2', f: 'y' }, { changes: true, context: { x: 'y' } });
+            expect(result.error).to.be.an.error();
+            expect(result.changes).to.equal([]);
+        });
+
+        it('returns changes (async)', async () => {
+
+            const schema = Joi.number();
+            expect(await schema.validate('1', { changes: true })).to.equal({ value: 1, error: null, changes: [{ path: [], kind: 'convert', from: '1', to: 1 }] });
+            expect(await schema.validateAsync('1', { changes: true })).to.equal({ value: 1, changes: [{ path: [], kind: 'convert', from: '1', to: 1 }] });
+            expect(await schema.validateAsync(1, { changes: true })).to.equal({ value: 1, changes: [] });
+        });
+
+        it('cannot be set with prefs()', () => {
+
+            expect(() => Joi.any().prefs({ changes: true })).to.throw('Cannot override changes');
+            expect(() => Joi.compileValidator(Joi.any(), { changes: true })).to.throw('Cannot compile a validator with changes enabled');
+        });
+    });
+
+    describe('debug', () => {
+
+        it('traces schemas, rules and references', () => {
+
+            const schema = Joi.object({
+                a: Joi.number().min(Joi.ref('b')).id('first'),
+                b: Joi.number()
+            });
+
+            const { value, error, debug } = schema.validate({ a: 5, b: 2 }, { debug: true });
+            expect(value).to.equal({ a: 5, b: 2 });
+            expect(error).to.not.exist();
+            expect(debug).to.equal([
+                { type: 'entry', path: [], schema: 'object' },
+                { type: 'entry', path: ['b'], schema: 'number' },
+                { type: 'exit', path: ['b'], schema: 'number', outcome: 'pass' },
+                { type: 'entry', path: ['a'], schema: 'number', id: 'first' },
+                { type: 'resolve', path: ['a'], ref: 'ref:b', value: 2 },
+                { type: 'rule', path: ['a'], name: 'min', args: { limit: 2 }, outcome: 'pass' },
+                { type: 'exit', path: ['a'], schema: 'number', outcome: 'pass' },
+                { type: 'exit', path: [], schema: 'object', outcome: 'pass' }
+            ]);
+        });
+
+        it('traces errors, warnings and allowed values', () => {
+
+            const schema = Joi.object({
+                a: Joi.string().min(3).warn().max(4),
+                b: Joi.number().allow('x'),
+                c: Joi.number().default(Joi.ref('b')).optional(),
+                d: Joi.string().test((value) => value === 'd')
+            });
+
+            const { debug } = schema.validate({ a: 'abcdef', b: 'x', d: 'x' }, { debug: true, abortEarly: false });
+            expect(debug).to.equal([
+                { type: 'entry', path: [], schema: 'object' },
+                { type: 'entry', path: ['a'], schema: 'string' },
+                { type: 'rule', path: ['a'], name: 'min', args: { limit: 3 }, outcome: 'pass' },
+                { type: 'rule', path: ['a'], name: 'max', args: { limit: 4 }, outcome: 'error' },
+                { type: 'exit', path: ['a'], schema: 'string', outcome: 'error', errors: ['string.max'] },
+                { type: 'entry', path: ['b'], schema: 'number' },
+                { type: 'valid', path: ['b'], value: 'x' },
+                { type: 'exit', path: ['b'], schema: 'number', outcome: 'pass' },
+                { type: 'entry', path: ['c'], schema: 'number' },
+                { type: 'resolve', path: ['c'], ref: 'ref:b', value: 'x' },
+                { type: 'exit', path: ['c'], schema: 'number', outcome: 'pass' },
+                { type: 'entry', path: ['d'], schema: 'string' },
+                { type: 'rule', path: ['d'], name: 'custom', outcome: 'error' },
+                { type: 'exit', path: ['d'], schema: 'string', outcome: 'error', errors: ['any.invalid'] },
+                { type: 'exit', path: [], schema: 'object', outcome: 'error', errors: ['string.max', 'any.invalid'] }
+            ]);
+
+            const warned = Joi.string().min(3).warn().validate('a', { debug: true });
+            expect(warned.debug[1]).to.equal({ type: 'rule', path: [], name: 'min', args: { limit: 3 }, outcome: 'warning' });
+        });
+
+        it('traces alternatives and when branches', () => {
+
+            const schema = Joi.object({
+                a: Joi.number(),
+                b: Joi.when('a', { is: 5, then: Joi.string(), otherwise: Joi.number() }),
+                c: Joi.alternatives().try([Joi.number(), Joi.string()])
+            });
+
+            const { debug } = schema.validate({ a: 4, b: 1, c: 'x' }, { debug: true });
+            expect(debug.filter((item) => ['when', 'try'].includes(item.type))).to.equal([
+                { type: 'when', path: ['b'], index: 0, ref: 'ref:a', value: 4, matched: false, branch: 'otherwise' },
+                { type: 'try', path: ['c'], index: 0, matched: false },
+                { type: 'try', path: ['c'], index: 1, matched: true }
+            ]);
+
+            const peek = Joi.alternatives().when(Joi.object({ x: Joi.valid(1) }).unknown(), { then: Joi.object() });
+            expect(peek.validate({ x: 2 }, { debug: true }).debug[1]).to.equal({ type: 'when', path: [], index: 0, matched: false });
+        });
+
+        it('returns trace from async validation', async () => {
+
+            const schema = Joi.number();
+
+            expect(await schema.validateAsync('1', { debug: true })).to.equal({
+                value: 1,
+                debug: [
+                    { type: 'entry', path: [], schema: 'number' },
+                    { type: 'exit', path: [], schema: 'number', outcome: 'pass' }
+                ]
+            });
+
+            expect(await schema.validate('1', { debug: true })).to.contain({ value: 1 });
+
+            const err = await expect(schema.validateAsync('x', { debug: true })).to.reject('"value" must be a number');
+            expect(err.debug).to.have.length(2);
+
+            const external = Joi.number().external((value) => value + 1);
+            expect(await external.validate(1, { debug: true, externals: true })).to.contain({ value: 2 });
+        });
+
+        it('cannot be set with prefs()', () => {
+
+            expect(() => Joi.any().prefs({ debug: true })).to.throw('Cannot override debug');
+        });
+    });
+
+    describe('limits', () => {
+
+        it('limits nesting depth', () => {
+
+            const schema = Joi.object({
+                a: Joi.object({
+                    b: Joi.object({
+                        c: Joi.number()
+                    })
+                })
+            });
+
+            const value = { a: { b: { c: 1 } } };
+            expect(schema.validate(value, { maxDepth: 3 }).error).to.not.exist();
+
+            const { error } = schema.validate(value, { maxDepth: 2 });
+            expect(error).to.be.an.error('"a.b.c" exceeds the maximum nesting depth of 2');
+            expect(error.details).to.equal([{
+                message: '"a.b.c" exceeds the maximum nesting depth of 2',
+                path: ['a', 'b', 'c'],
+                type: 'any.maxDepth',
+                context: { limit: 2, label: 'a.b.c', key: 'c', value: 1 }
+            }]);
+        });
+
+        it('limits object keys', () => {
+
+            const schema = Joi.object({
+                a: Joi.object().unknown(),
+                b: Joi.number()
+            });
+
+            expect(schema.validate({ a: { x: 1, y: 2 }, b: 1 }, { maxKeys: 2 }).error).to.not.exist();
+            expect(schema.validate({ a: { x: 1, y: 2, z: 3 } }, { maxKeys: 2 }).error).to.be.an.error('"a" exceeds the maximum of 2 keys');
+            expect(schema.validate({ a: {}, b: 1, c: 2 }, { maxKeys: 2, abortEarly: false }).error).to.be.an.error('"value" exceeds the maximum of 2 keys');
+            expect(Joi.any().validate({ a: 1, b: 2 }, { maxKeys: 1 }).error).to.be.an.error('"value" exceeds the maximum of 1 keys');
+            expect(Joi.date().validate(new Date(0), { maxKeys: 0 }).error).to.not.exist();
+        });
+
+        it('limits array items', () => {
+
+            const schema = Joi.array().items(Joi.array());
+            expect(schema.validate([[1, 2], [3]], { maxItems: 2 }).error).to.not.exist();
+            expect(schema.validate([[1, 2, 3]], { maxItems: 2 }).error).to.be.an.error('"[0]" exceeds the maximum of 2 items');
+            expect(Joi.object().validate({ a: [1, 2, 3] }, { maxItems: 2 }).error).to.be.an.error('"a" exceeds the maximum of 2 items');
+            expect(Joi.object({ a: Joi.any() }).validate({ a: [1, 2, 3] }, { maxItems: 2 }).error).to.be.an.error('"a" exceeds the maximum of 2 items');
+        });
+
+        it('limits values not validated by the schema', () => {
+
+            let deep = 1;
+            for (let i = 0; i < 50; ++i) {
+                deep = { x: deep };
+            }
+
+            for (const schema of [Joi.object(), Joi.object().unknown(), Joi.any(), Joi.object({ a: Joi.any() }).unknown()]) {
+                expect(schema.validate(deep, { maxDepth: 3 }).error).to.be.an.error('"x.x.x.x" exceeds the maximum nesting depth of 3');
+            }
+
+            expect(Joi.array().validate([[[[1]]]], { maxDepth: 3 }).error).to.be.an.error('"[0][0][0][0]" exceeds the maximum nesting depth of 3');
+
+            const schema = Joi.object({
+                a: Joi.number()
+            })
+                .pattern(/^p/, Joi.array().items(Joi.number()))
+                .unknown();
+
+            expect(schema.validate({ a: 1, b: [1, 2], c: { d: 'abc' } }, { maxItems: 2, maxStringLength: 3 }).error).to.not.exist();
+            expect(schema.validate({ a: 1, b: [1, [1, 2, 3]] }, { maxItems: 2 }).error).to.be.an.error('"b[1]" exceeds the maximum of 2 items');
+            expect(schema.validate({ a: 1, b: { c: 1, d: { e: 1, f: 2, g: 3 } } }, { maxKeys: 2 }).error).to.be.an.error('"b.d" exceeds the maximum of 2 keys');
+            expect(schema.validate({ a: 1, b: [{ c: 'abcd' }] }, { maxStringLength: 3 }).error).to.be.an.error('"b[0].c" exceeds the maximum length of 3 characters');
+            expect(schema.validate({ a: 1, p: [1, 2, 3] }, { maxItems: 2 }).error).to.be.an.error('"p" exceeds the maximum of 2 items');
+            expect(Joi.object().pattern(Joi.string().min(2), Joi.any()).unknown().validate({ ab: [1, 2, 3] }, { maxItems: 2 }).error).to.be.an.error('"ab" exceeds the maximum of 2 items');
+            expect(Joi.object().pattern(/^p/, Joi.any()).unknown().validate({ p: 1, q: [1, 2, 3] }, { maxItems: 2 }).error).to.be.an.error('"q" exceeds the maximum of 2 items');
+            expect(schema.validate({ a: 1, b: Buffer.from('abcd'), c: new Date(0) }, { maxKeys: 3 }).error).to.not.exist();
+            expect(schema.validate({ a: 1, b: Object.assign(Object.create(null), { c: 1, d: 2, e: 3 }) }, { maxKeys: 2 }).error).to.be.an.error('"b" exceeds the maximum of 2 keys');
+
+            expect(Joi.object({ a: Joi.number() }).validate({ a: 1, b: { c: { d: 1 } } }, { maxDepth: 1 }).error).to.be.an.error('"b" is not allowed');
+            expect(Joi.array().items(Joi.any()).validate([{ a: { b: 1 } }], { maxDepth: 2 }).error).to.be.an.error('"[0].a.b" exceeds the maximum nesting depth of 2');
+            expect(Joi.array().ordered(Joi.number(), Joi.any()).validate([1, [[1]]], { maxDepth: 1 }).error).to.be.an.error('"[1][0]" exceeds the maximum nesting depth of 1');
+            expect(Joi.alternatives([Joi.any()]).validate({ a: { b: 1 } }, { maxDepth: 1 }).error).to.be.an.error('"a.b" exceeds the maximum nesting depth of 1');
+            expect(Joi.object({ a: Joi.link('/b'), b: Joi.any() }).validate({ a: { c: { d: 1 } }, b: 1 }, { maxDepth: 2 }).error).to.be.an.error('"a.c.d" exceeds the maximum nesting depth of 2');
+        });
+
+        it('limits string length', () => {
+
+            expect(Joi.string().validate('abc', { maxStringLength: 3 }).error).to.not.exist();
+            expect(Joi.string().validate('abcd', { maxStringLength: 3 }).error).to.be.an.error('"value" exceeds the maximum length of 3 characters');
+            expect(Joi.number().validate('1234', { maxStringLength: 3 }).error).to.be.an.error('"value" exceeds the maximum length of 3 characters');
+        });
+
+        it('checks converted values', () => {
+
+            const schema = Joi.object({
+                a: Joi.array()
+            });
+
+            expect(schema.validate('{"a":[1,2,3]}', { maxKeys: 1, maxItems: 3 }).error).to.not.exist();
+            expect(schema.validate('{"a":[1,2,3],"b":1}', { maxKeys: 1 }).error).to.be.an.error('"value" exceeds the maximum of 1 keys');
+            expect(schema.validate('{"a":"[1,2,3]"}', { maxItems: 2 }).error).to.be.an.error('"a" exceeds the maximum of 2 items');
+        });
+
+        it('reports errors from other keys', () => {
+
+            const schema = Joi.object({
+                a: Joi.string(),
+                b: Joi.number()
+            });
+
+            const { error } = schema.validate({ a: 'abcd', b: 'x' }, { maxStringLength: 3, abortEarly: false });
+            expect(error).to.be.an.error('"a" exceeds the maximum length of 3 characters. "b" must be a number');
+        });
+
+        it('applies schema preferences', () => {
+
+            const schema = Joi.object({
+                a: Joi.string().prefs({ maxStringLength: 2 }),
+                b: Joi.string()
+            });
+
+            expect(schema.validate({ a: 'ab', b: 'abcd' }).error).to.not.exist();
+            expect(schema.validate({ a: 'abc', b: 'x' }).error).to.be.an.error('"a" exceeds the maximum length of 2 characters');
+            expect(schema.validate({ a: 'a', b: 'abc' }, { maxStringLength: 2 }).error).to.be.an.error('"b" exceeds the maximum length of 2 characters');
+            expect(Joi.string().prefs({ maxStringLength: 2 }).validate('abc', { maxStringLength: Infinity }).error).to.be.an.error('"value" exceeds the maximum length of 2 characters');
+        });
+
+        it('errors on invalid limits', () => {
+
+            expect(() => Joi.any().validate(1, { maxDepth: -1 })).to.throw('"maxDepth" must be larger than or equal to 0');
+            expect(() => Joi.any().validate(1, { maxKeys: 1.5 })).to.throw('"maxKeys" must be an integer');
+        });
+    });
+
+    describe('errors.limit', () => {
+
+        it('limits the number of errors', () => {
+
+            const schema = Joi.array().items(Joi.object({
+                a: Joi.number(),
+                b: Joi.string()
+            }));
+
+            const rows = [];
+            for (let i = 0; i < 100; ++i) {
+                rows.push({ a: 'x', b: 'y' });
+            }
+
+            const { error } = schema.validate(rows, { abortEarly: false, errors: { limit: 3 } });
+            expect(error).to.be.an.error('"[0].a" must be a number. "[1].a" must be a number. "[2].a" must be a number');
+            expect(error.details).to.have.length(3);
+            expect(error.truncated).to.be.true();
+
+            const full = schema.validate(rows, { abortEarly: false });
+            expect(full.error.details).to.have.length(101);
+            expect(full.error.truncated).to.not.exist();
+        });
+
+        it('stops validating once over the limit', () => {
+
+            let count = 0;
+            const schema = Joi.array().items(Joi.number().error((errors) => {
+
+                ++count;
+                return errors;
+            }));
+
+            const { error } = schema.validate(['a', 'b', 'c', 'd', 'e', 'f'], { abortEarly: false, errors: { limit: 2 } });
+            expect(error).to.be.an.error('"[0]" must be a number. "[1]" must be a number');
+            expect(error.truncated).to.be.true();
+            expect(count).to.equal(3);
+        });
+
+        it('does not flag errors within the limit', () => {
+
+            const schema = Joi.object({
+                a: Joi.number(),
+                b: Joi.number()
+            });
+
+            const { error } = schema.validate({ a: 'x', b: 'y', c: 1 }, { abortEarly: false, errors: { limit: 3 } });
+            expect(error).to.be.an.error('"a" must be a number. "b" must be a number. "c" is not allowed');
+            expect(error.truncated).to.not.exist();
+
+            expect(schema.validate({ a: 'x', b: 'y', c: 1 }, { errors: { limit: 3 } }).error).to.be.an.error('"a" must be a number');
+        });
+
+        it('limits unknown keys errors', () => {
+
+            const schema = Joi.object({ a: Joi.number() });
+            const { error } = schema.validate({ a: 1, b: 1, c: 1, d: 1 }, { abortEarly: false, errors: { limit: 2 } });
+            expect(error).to.be.an.error('"b" is not allowed. "c" is not allowed');
+            expect(error.truncated).to.be.true();
+        });
+
+        it('limits rule errors', () => {
+
+            const { error } = Joi.string().min(5).alphanum().lowercase().validate('A!', { abortEarly: false, convert: false, errors: { limit: 2 } });
+            expect(error).to.be.an.error('"value" length must be at least 5 characters long. "value" must only contain alpha-numeric characters');
+            expect(error.truncated).to.be.true();
+        });
+
+        it('limits dependencies errors', () => {
+
+            const schema = Joi.object({
+                a: Joi.number().optional(),
+                b: Joi.number().optional(),
+                c: Joi.number().optional(),
+                d: Joi.number().optional()
+            })
+                .with('a', 'b')
+                .with('a', 'c')
+                .with('a', 'd');
+
+            const { error } = schema.validate({ a: 1 }, { abortEarly: false, errors: { limit: 1 } });
+            expect(error).to.be.an.error('"a" missing required peer "b"');
+            expect(error.truncated).to.be.true();
+
+            expect(schema.validate({ a: 'x' }, { abortEarly: false, errors: { limit: 2 } }).error).to.be.an.error('"a" must be a number. "a" missing required peer "b"');
+            expect(schema.validateAt('a', { a: 1 }, { abortEarly: false, errors: { limit: 1 } }).error).to.be.an.error('"a" missing required peer "b"');
+        });
+
+        it('stops executing externals once over the limit', async () => {
+
+            let count = 0;
+            const check = () => {
+
+                ++count;
+                throw new Error('Invalid');
+            };
+
+            const schema = Joi.array().items(Joi.number().external(check));
+            const values = [1, 2, 3, 4, 5, 6];
+
+            await expect(schema.validate(values, { abortEarly: false, errors: { limit: 2 }, externals: true })).to.reject('Invalid ([0]). Invalid ([1])');
+            expect(count).to.equal(3);
+
+            count = 0;
+            const parent = Joi.object({ a: Joi.number(), b: Joi.number(), c: schema });
+            await expect(parent.validate({ a: 'x', c: values }, { abortEarly: false, errors: { limit: 2 }, externals: true })).to.reject('"a" must be a number. "b" is required');
+            expect(count).to.equal(1);
+
+            count = 0;
+            const first = Joi.object({ c: schema, a: Joi.number(), b: Joi.number() });
+            expect(first.validate({ a: 'x', b: 'y', c: values }, { abortEarly: false, errors: { limit: 1 }, externals: true }).error).to.be.an.error('"a" must be a number');
+            expect(first.validate({ a: 'x', c: values }, { externals: true }).error).to.be.an.error('"a" must be a number');
+            await expect(first.validateAsync({ a: 'x', b: 'y', c: values }, { abortEarly: false, errors: { limit: 1 } })).to.reject('"a" must be a number');
+            expect(count).to.equal(0);
+
+            await expect(schema.validateAsync(values, { abortEarly: false, errors: { limit: 2 } })).to.reject('Invalid ([0]). Invalid ([1])');
+        });
+
+        it('applies schema preferences', () => {
+
+            const schema = Joi.object({
+                a: Joi.array().items(Joi.number()).prefs({ errors: { limit: 1 } }),
+                b: Joi.number()
+            });
+
+            const { error } = schema.validate({ a: ['x', 'y', 'z'], b: 'x' }, { abortEarly: false });
+            expect(error).to.be.an.error('"a[0]" must be a number. "a[1]" must be a number. "b" must be a number');
+        });
+
+        it('errors on invalid limit', () => {
+
+            expect(() => Joi.any().validate(1, { errors: { limit: 0 } })).to.throw('"errors.limit" must be larger than or equal to 1');
+        });
+    });
+
     describe('finalize()', () => {
 
         it('applies raw after validation', async () => {
@@ -364,3 +1295,25 @@ describe('Validator', () => {
         });
     });
 });
+
+
+internals.abortController = function () {
+
+    const listeners = new Set();
+    const signal = {
+        aborted: false,
+        addEventListener: (event, listener) => listeners.add(listener),
+        removeEventListener: (event, listener) => listeners.delete(listener)
+    };
+
+    const abort = (reason) => {
+
+        signal.aborted = true;
+        signal.reason = reason;
+        for (const listener of listeners) {
+            listener();
+        }
+    };
+
+    return { signal, abort, listeners };
+};